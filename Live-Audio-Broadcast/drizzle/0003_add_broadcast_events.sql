@@ -0,0 +1,21 @@
+-- Add broadcast lifecycle audit trail
+ALTER TYPE broadcast_status ADD VALUE IF NOT EXISTS 'cancelled';
+
+DO $$ BEGIN
+  CREATE TYPE broadcast_event_source AS ENUM ('api', 'worker', 'scheduler', 'webhook');
+EXCEPTION
+  WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS broadcast_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  broadcast_id uuid NOT NULL REFERENCES broadcasts(id) ON DELETE CASCADE,
+  from_status broadcast_status,
+  to_status broadcast_status NOT NULL,
+  source broadcast_event_source NOT NULL,
+  actor_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  reason varchar(255),
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS broadcast_events_broadcast_idx ON broadcast_events (broadcast_id, created_at);
@@ -0,0 +1,8 @@
+-- Add server-side recording settings and file references
+ALTER TABLE masjids
+  ADD COLUMN IF NOT EXISTS recording_enabled boolean NOT NULL DEFAULT false;
+
+ALTER TABLE broadcasts
+  ADD COLUMN IF NOT EXISTS recording_enabled boolean,
+  ADD COLUMN IF NOT EXISTS recording_egress_id varchar(255),
+  ADD COLUMN IF NOT EXISTS recording_path text;
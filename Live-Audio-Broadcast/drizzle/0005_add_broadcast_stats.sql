@@ -0,0 +1,10 @@
+-- Persist listener analytics per broadcast
+CREATE TABLE IF NOT EXISTS broadcast_stats (
+  broadcast_id uuid PRIMARY KEY REFERENCES broadcasts(id) ON DELETE CASCADE,
+  peak_listeners integer NOT NULL DEFAULT 0,
+  unique_listeners integer NOT NULL DEFAULT 0,
+  avg_listen_seconds integer NOT NULL DEFAULT 0,
+  platform_split jsonb NOT NULL DEFAULT '{}'::jsonb,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
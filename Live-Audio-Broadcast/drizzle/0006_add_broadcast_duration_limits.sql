@@ -0,0 +1,7 @@
+-- Per-masjid and per-prayer broadcast duration limits
+ALTER TABLE masjids
+  ADD COLUMN IF NOT EXISTS broadcast_max_minutes integer,
+  ADD COLUMN IF NOT EXISTS prayer_max_minutes jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE broadcasts
+  ADD COLUMN IF NOT EXISTS max_duration_minutes integer;
@@ -0,0 +1,8 @@
+-- Pre-recorded adhan fallback for broadcasts nobody starts
+ALTER TABLE masjids
+  ADD COLUMN IF NOT EXISTS adhan_fallback_enabled boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS adhan_fallback_audio_url text;
+
+ALTER TABLE broadcasts
+  ADD COLUMN IF NOT EXISTS ingress_id varchar(255),
+  ADD COLUMN IF NOT EXISTS is_automated boolean NOT NULL DEFAULT false;
@@ -0,0 +1,22 @@
+-- Masjid audio asset library
+DO $$ BEGIN
+  CREATE TYPE audio_asset_type AS ENUM ('adhan', 'fajr_adhan', 'announcement', 'jingle');
+EXCEPTION
+  WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS audio_assets (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  masjid_id uuid NOT NULL REFERENCES masjids(id) ON DELETE CASCADE,
+  type audio_asset_type NOT NULL,
+  name varchar(255) NOT NULL,
+  storage_key text NOT NULL,
+  content_type varchar(64) NOT NULL,
+  source_codec varchar(64),
+  duration_seconds double precision NOT NULL,
+  size_bytes integer NOT NULL,
+  created_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS audio_assets_masjid_type_idx ON audio_assets (masjid_id, type);
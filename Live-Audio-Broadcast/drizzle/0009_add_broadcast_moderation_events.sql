@@ -0,0 +1,18 @@
+-- Audit trail for live participant moderation and mic handover
+DO $$ BEGIN
+  CREATE TYPE moderation_action AS ENUM ('mute', 'unmute', 'remove', 'handover');
+EXCEPTION
+  WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS broadcast_moderation_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  broadcast_id uuid NOT NULL REFERENCES broadcasts(id) ON DELETE CASCADE,
+  actor_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  action moderation_action NOT NULL,
+  target_identity varchar(255) NOT NULL,
+  details jsonb NOT NULL DEFAULT '{}'::jsonb,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS broadcast_moderation_broadcast_idx ON broadcast_moderation_events (broadcast_id, created_at);
@@ -0,0 +1,9 @@
+-- Broadcast types beyond prayers (khutbah, lectures, Quran recitation, announcements)
+DO $$ BEGIN
+  CREATE TYPE broadcast_type AS ENUM ('prayer', 'khutbah', 'lecture', 'quran_recitation', 'announcement');
+EXCEPTION
+  WHEN duplicate_object THEN NULL;
+END $$;
+
+ALTER TABLE broadcasts
+  ADD COLUMN IF NOT EXISTS broadcast_type broadcast_type NOT NULL DEFAULT 'prayer';
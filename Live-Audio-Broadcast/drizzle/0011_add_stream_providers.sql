@@ -0,0 +1,20 @@
+-- Stream providers: a fixed set instead of free-form strings, selectable per masjid
+DO $$ BEGIN
+  CREATE TYPE stream_provider AS ENUM ('livekit', 'hls', 'external');
+EXCEPTION
+  WHEN duplicate_object THEN NULL;
+END $$;
+
+UPDATE broadcasts
+  SET stream_provider = 'livekit'
+  WHERE stream_provider IS NULL OR stream_provider::text NOT IN ('livekit', 'hls', 'external');
+
+ALTER TABLE broadcasts ALTER COLUMN stream_provider DROP DEFAULT;
+ALTER TABLE broadcasts
+  ALTER COLUMN stream_provider TYPE stream_provider USING stream_provider::text::stream_provider;
+ALTER TABLE broadcasts ALTER COLUMN stream_provider SET DEFAULT 'livekit';
+ALTER TABLE broadcasts ALTER COLUMN stream_provider SET NOT NULL;
+
+ALTER TABLE masjids
+  ADD COLUMN IF NOT EXISTS stream_provider stream_provider,
+  ADD COLUMN IF NOT EXISTS external_stream_url text;
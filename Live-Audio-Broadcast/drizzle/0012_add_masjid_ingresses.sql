@@ -0,0 +1,22 @@
+-- Reusable RTMP/WHIP ingress per masjid for mixing desks and hardware encoders
+DO $$ BEGIN
+  CREATE TYPE ingress_input AS ENUM ('rtmp', 'whip');
+EXCEPTION
+  WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS masjid_ingresses (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  masjid_id uuid NOT NULL REFERENCES masjids(id) ON DELETE CASCADE,
+  input_type ingress_input NOT NULL,
+  ingress_id varchar(255) NOT NULL,
+  url text NOT NULL,
+  stream_key varchar(255) NOT NULL,
+  broadcast_id uuid REFERENCES broadcasts(id) ON DELETE SET NULL,
+  created_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS masjid_ingresses_masjid_input_uq ON masjid_ingresses (masjid_id, input_type);
+CREATE UNIQUE INDEX IF NOT EXISTS masjid_ingresses_ingress_uq ON masjid_ingresses (ingress_id);
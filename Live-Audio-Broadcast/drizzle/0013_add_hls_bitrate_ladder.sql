@@ -0,0 +1,2 @@
+-- Per-masjid HLS bitrate ladder (kbps per rendition); NULL uses HLS_BITRATE_LADDER_KBPS
+ALTER TABLE masjids ADD COLUMN IF NOT EXISTS hls_bitrate_ladder_kbps integer[];
@@ -0,0 +1,6 @@
+-- Keep every HLS segment so finished broadcasts replay as VOD; NULL on a broadcast uses the masjid default
+ALTER TABLE masjids
+  ADD COLUMN IF NOT EXISTS hls_vod_enabled boolean NOT NULL DEFAULT false;
+
+ALTER TABLE broadcasts
+  ADD COLUMN IF NOT EXISTS hls_vod_enabled boolean;
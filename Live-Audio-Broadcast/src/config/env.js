@@ -17,23 +17,54 @@ const envSchema = z
     JWT_ISSUER: z.string().optional(),
     JWT_AUDIENCE: z.string().optional(),
     CSRF_COOKIE_NAME: z.string().default('csrfToken'),
+    STREAM_PROVIDER_DEFAULT: z.enum(['livekit', 'hls']).optional(),
     HLS_ENABLED: z.string().default('false'),
     HLS_OUTPUT_DIR: z.string().default('./hls'),
     HLS_PUBLIC_BASE_URL: z.string().optional(),
-    HLS_AUDIO_BITRATE_KBPS: z.string().default('16'),
+    HLS_BITRATE_LADDER_KBPS: z.string().default('16,32,64'),
+    HLS_CODECS: z.string().default('opus,aac'),
+    HLS_AAC_PROFILE: z.enum(['lc', 'he']).default('lc'),
     HLS_SEGMENT_SECONDS: z.string().default('1'),
+    HLS_PART_MS: z.string().default('200'),
+    HLS_DVR_WINDOW_SECONDS: z.string().default('6'),
+    HLS_RETENTION_HOURS: z.string().default('24'),
+    HLS_SEGMENT_CACHE_MB: z.string().default('64'),
     HLS_RTMP_PUBLISH_URL_TEMPLATE: z.string().optional(),
     HLS_RTMP_PLAY_URL_TEMPLATE: z.string().optional(),
     HLS_SIGNING_SECRET: z.string().optional(),
+    HLS_SIGNING_KEY_ID: z.string().regex(/^[A-Za-z0-9_-]+$/).default('k1'),
+    HLS_SIGNING_PREVIOUS_KEYS: z.string().default(''),
     HLS_URL_TTL_SECONDS: z.string().default('900'),
     HLS_FFMPEG_MODE: z.enum(['local', 'docker']).default('local'),
     HLS_FFMPEG_DOCKER_IMAGE: z.string().default('jrottenberg/ffmpeg:6.1-alpine'),
     HLS_FFMPEG_DOCKER_NETWORK: z.string().optional(),
     HLS_FFMPEG_CONTAINER_PREFIX: z.string().default('ffmpeg-hls-'),
+    HLS_RELAY_OUTPUTS: z.string().default('hls'),
+    ICECAST_URL: z.string().optional(),
+    ICECAST_PUBLIC_BASE_URL: z.string().optional(),
+    ICECAST_MOUNT_TEMPLATE: z.string().default('/listen/{masjidSlug}.mp3'),
+    ICECAST_HOLDING_MOUNT: z.string().default('/listen/holding.mp3'),
+    ICECAST_HOLDING_AUDIO: z.string().default('silence'),
+    ICECAST_FORMAT: z.enum(['mp3', 'aac']).default('mp3'),
+    ICECAST_BITRATE_KBPS: z.string().default('64'),
+    RECORDINGS_DIR: z.string().default('./recordings'),
+    RECORDINGS_EGRESS_DIR: z.string().optional(),
+    RECORDING_FORMAT: z.enum(['ogg', 'mp4']).default('ogg'),
+    RECORDING_URL_TTL_SECONDS: z.string().default('3600'),
+    AUDIO_ASSETS_DIR: z.string().default('./audio-assets'),
+    AUDIO_ASSET_FORMAT: z.enum(['ogg', 'mp4']).default('ogg'),
+    AUDIO_ASSET_MAX_BYTES: z.string().default('26214400'),
+    AUDIO_ASSET_MAX_SECONDS: z.string().default('900'),
+    AUDIO_ASSET_URL_TTL_SECONDS: z.string().default('3600'),
+    FFMPEG_PATH: z.string().default('ffmpeg'),
+    FFPROBE_PATH: z.string().default('ffprobe'),
+    PUBLIC_API_URL: z.string().url().optional(),
     GOOGLE_CLIENT_ID: z.string().optional(),
     BROADCAST_MAX_MINUTES: z.string().default('15'),
     BROADCAST_PREP_MINUTES: z.string().default('2'),
     SCHEDULER_INTERVAL_SECONDS: z.string().default('60'),
+    MISSED_BROADCAST_GRACE_MINUTES: z.string().default('10'),
+    IDEMPOTENCY_TTL_SECONDS: z.string().default('86400'),
     LIVEKIT_URL: z.string().url().optional(),
     LIVEKIT_API_KEY: z.string().optional(),
     LIVEKIT_API_SECRET: z.string().optional(),
@@ -52,11 +83,37 @@ const envSchema = z
     BROADCAST_MAX_MINUTES: Number(raw.BROADCAST_MAX_MINUTES),
     BROADCAST_PREP_MINUTES: Number(raw.BROADCAST_PREP_MINUTES),
     SCHEDULER_INTERVAL_SECONDS: Number(raw.SCHEDULER_INTERVAL_SECONDS),
+    MISSED_BROADCAST_GRACE_MINUTES: Number(raw.MISSED_BROADCAST_GRACE_MINUTES),
+    IDEMPOTENCY_TTL_SECONDS: Number(raw.IDEMPOTENCY_TTL_SECONDS),
     APNS_PRODUCTION: raw.APNS_PRODUCTION === 'true',
     HLS_ENABLED: raw.HLS_ENABLED === 'true',
-    HLS_AUDIO_BITRATE_KBPS: Number(raw.HLS_AUDIO_BITRATE_KBPS),
+    HLS_BITRATE_LADDER_KBPS: raw.HLS_BITRATE_LADDER_KBPS.split(',')
+      .map((value) => Number(value.trim()))
+      .filter((value) => Number.isInteger(value) && value > 0),
+    HLS_CODECS: raw.HLS_CODECS.split(',')
+      .map((value) => value.trim())
+      .filter((value) => ['opus', 'aac'].includes(value)),
     HLS_SEGMENT_SECONDS: Number(raw.HLS_SEGMENT_SECONDS),
+    HLS_PART_MS: Number(raw.HLS_PART_MS),
+    HLS_DVR_WINDOW_SECONDS: Number(raw.HLS_DVR_WINDOW_SECONDS),
+    HLS_RETENTION_HOURS: Number(raw.HLS_RETENTION_HOURS),
+    HLS_SEGMENT_CACHE_MB: Number(raw.HLS_SEGMENT_CACHE_MB),
     HLS_URL_TTL_SECONDS: Number(raw.HLS_URL_TTL_SECONDS),
+    // `kid:secret,kid:secret`; retired HLS keys still accepted while their URLs are in use.
+    HLS_SIGNING_PREVIOUS_KEYS: Object.fromEntries(
+      raw.HLS_SIGNING_PREVIOUS_KEYS.split(',')
+        .map((entry) => entry.trim())
+        .filter((entry) => entry.includes(':'))
+        .map((entry) => [entry.slice(0, entry.indexOf(':')), entry.slice(entry.indexOf(':') + 1)])
+    ),
+    HLS_RELAY_OUTPUTS: raw.HLS_RELAY_OUTPUTS.split(',')
+      .map((value) => value.trim())
+      .filter(Boolean),
+    ICECAST_BITRATE_KBPS: Number(raw.ICECAST_BITRATE_KBPS),
+    RECORDING_URL_TTL_SECONDS: Number(raw.RECORDING_URL_TTL_SECONDS),
+    AUDIO_ASSET_MAX_BYTES: Number(raw.AUDIO_ASSET_MAX_BYTES),
+    AUDIO_ASSET_MAX_SECONDS: Number(raw.AUDIO_ASSET_MAX_SECONDS),
+    AUDIO_ASSET_URL_TTL_SECONDS: Number(raw.AUDIO_ASSET_URL_TTL_SECONDS),
   }));
 
 export const env = envSchema.parse(process.env);
@@ -0,0 +1,210 @@
+// Audio asset controller handlers.
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { pipeline } from 'node:stream/promises';
+import { and, desc, eq } from 'drizzle-orm';
+import { db } from '../db/client.js';
+import { audioAssets, masjidAdmins, masjids } from '../db/schema.js';
+import {
+  createUploadTempPath,
+  signAudioAssetUrl,
+  storeAudioUpload,
+  verifyAudioAssetSignature,
+} from '../services/audio-assets.js';
+import { audioAssetStorage } from '../services/storage.js';
+import { audioAssetUploadFieldsSchema } from '../validators/audio-asset.validator.js';
+import { asyncHandler } from '../utils/async-handler.js';
+import { ApiError } from '../utils/api-error.js';
+import { ApiResponse } from '../utils/api-response.js';
+import { sendWithRange } from '../utils/byte-range.js';
+
+const assetFields = {
+  id: audioAssets.id,
+  masjidId: audioAssets.masjidId,
+  type: audioAssets.type,
+  name: audioAssets.name,
+  contentType: audioAssets.contentType,
+  sourceCodec: audioAssets.sourceCodec,
+  durationSeconds: audioAssets.durationSeconds,
+  sizeBytes: audioAssets.sizeBytes,
+  createdBy: audioAssets.createdBy,
+  createdAt: audioAssets.createdAt,
+};
+
+// Masjid admins of any role, or super admins for masjids that exist.
+async function requireAssetAccess(request, masjidId) {
+  const actorId = request.user?.id || request.user?.sub;
+  const actorRole = request.user?.role;
+  if (!actorId) throw new ApiError(401, 'unauthorized', 'Missing auth context');
+
+  if (actorRole === 'super_admin') {
+    const [masjidRecord] = await db
+      .select({ id: masjids.id })
+      .from(masjids)
+      .where(eq(masjids.id, masjidId))
+      .limit(1);
+    if (!masjidRecord) throw new ApiError(404, 'not_found', 'Masjid not found');
+    return actorId;
+  }
+
+  const [adminRecord] = await db
+    .select({ role: masjidAdmins.role })
+    .from(masjidAdmins)
+    .where(and(eq(masjidAdmins.userId, actorId), eq(masjidAdmins.masjidId, masjidId)))
+    .limit(1);
+
+  if (!adminRecord) {
+    throw new ApiError(403, 'forbidden', 'Insufficient privileges');
+  }
+
+  return actorId;
+}
+
+function withSignedUrl(asset) {
+  return { ...asset, url: signAudioAssetUrl(asset.masjidId, asset.id) };
+}
+
+// Upload an audio file (multipart: `file`, `type`, optional `name`).
+const uploadAudioAsset = asyncHandler(async (request, reply) => {
+  const params = request.params;
+  if (!params?.id) throw new ApiError(400, 'validation_error', 'Missing masjid id');
+  const { id } = params;
+
+  const actorId = await requireAssetAccess(request, id);
+
+  if (!request.isMultipart()) {
+    throw new ApiError(400, 'validation_error', 'Expected multipart/form-data');
+  }
+
+  const fields = {};
+  let tempPath = null;
+  let filename = null;
+
+  try {
+    for await (const part of request.parts()) {
+      if (part.type !== 'file') {
+        fields[part.fieldname] = part.value;
+        continue;
+      }
+
+      if (part.fieldname !== 'file' || tempPath) {
+        part.file.resume();
+        continue;
+      }
+
+      tempPath = createUploadTempPath();
+      filename = part.filename;
+      await pipeline(part.file, fs.createWriteStream(tempPath));
+    }
+
+    if (!tempPath) throw new ApiError(400, 'validation_error', 'Missing audio file');
+
+    const { type, name } = audioAssetUploadFieldsSchema.parse(fields);
+    const assetId = crypto.randomUUID();
+
+    let stored;
+    try {
+      stored = await storeAudioUpload({ masjidId: id, assetId, tempPath });
+    } catch (error) {
+      if (error?.code === 'ENOENT') {
+        throw new ApiError(500, 'configuration_error', 'ffmpeg/ffprobe not available');
+      }
+      throw error;
+    }
+
+    const [createdAsset] = await db
+      .insert(audioAssets)
+      .values({
+        id: assetId,
+        masjidId: id,
+        type,
+        name: name ?? (path.parse(filename ?? '').name || type),
+        ...stored,
+        createdBy: actorId,
+      })
+      .returning(assetFields);
+
+    return reply.status(201).send(new ApiResponse(201, 'Audio asset uploaded', withSignedUrl(createdAsset)));
+  } finally {
+    if (tempPath) await fs.promises.rm(tempPath, { force: true });
+  }
+});
+
+// List a masjid's audio assets with short-lived playback URLs.
+const listAudioAssets = asyncHandler(async (request, reply) => {
+  const params = request.params;
+  if (!params?.id) throw new ApiError(400, 'validation_error', 'Missing masjid id');
+  const { id } = params;
+
+  await requireAssetAccess(request, id);
+
+  const { type } = request.query ?? {};
+  const filters = [eq(audioAssets.masjidId, id)];
+  if (type) filters.push(eq(audioAssets.type, type));
+
+  const items = await db
+    .select(assetFields)
+    .from(audioAssets)
+    .where(and(...filters))
+    .orderBy(desc(audioAssets.createdAt));
+
+  return reply.status(200).send(new ApiResponse(200, 'Audio assets fetched', items.map(withSignedUrl)));
+});
+
+// Delete an audio asset and its stored file.
+const deleteAudioAsset = asyncHandler(async (request, reply) => {
+  const params = request.params;
+  if (!params?.id || !params?.assetId) {
+    throw new ApiError(400, 'validation_error', 'Missing audio asset params');
+  }
+  const { id, assetId } = params;
+
+  await requireAssetAccess(request, id);
+
+  const [deletedAsset] = await db
+    .delete(audioAssets)
+    .where(and(eq(audioAssets.id, assetId), eq(audioAssets.masjidId, id)))
+    .returning({ id: audioAssets.id, storageKey: audioAssets.storageKey });
+
+  if (!deletedAsset) throw new ApiError(404, 'not_found', 'Audio asset not found');
+
+  await audioAssetStorage.remove(deletedAsset.storageKey);
+
+  return reply.status(200).send(new ApiResponse(200, 'Audio asset deleted', { id: deletedAsset.id }));
+});
+
+// Stream an audio asset; only reachable through a signed URL.
+const getAudioAssetFile = asyncHandler(async (request, reply) => {
+  const params = request.params;
+  if (!params?.id || !params?.assetId) {
+    throw new ApiError(400, 'validation_error', 'Missing audio asset params');
+  }
+  const { id, assetId } = params;
+  const { exp, sig } = request.query ?? {};
+
+  if (!verifyAudioAssetSignature(assetId, exp, sig)) {
+    throw new ApiError(401, 'unauthorized', 'Invalid or expired signature');
+  }
+
+  const [asset] = await db
+    .select({ storageKey: audioAssets.storageKey, contentType: audioAssets.contentType })
+    .from(audioAssets)
+    .where(and(eq(audioAssets.id, assetId), eq(audioAssets.masjidId, id)))
+    .limit(1);
+
+  if (!asset) throw new ApiError(404, 'not_found', 'Audio asset not found');
+
+  const stat = await audioAssetStorage.stat(asset.storageKey);
+  if (!stat) throw new ApiError(404, 'not_found', 'Audio file not found');
+
+  reply.type(asset.contentType);
+  reply.header('Cache-Control', 'private, max-age=3600');
+
+  return sendWithRange(request, reply, {
+    size: stat.size,
+    createStream: (range) => audioAssetStorage.createReadStream(asset.storageKey, range),
+  });
+});
+
+export { uploadAudioAsset, listAudioAssets, deleteAudioAsset, getAudioAssetFile };
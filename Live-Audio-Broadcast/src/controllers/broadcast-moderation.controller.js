@@ -0,0 +1,247 @@
+// Live participant moderation: co-hosts, mute/remove and mic handover.
+import { and, eq } from 'drizzle-orm';
+import { db } from '../db/client.js';
+import { broadcastModerationEvents, broadcasts, masjidAdmins } from '../db/schema.js';
+import {
+  getLivekitAudioTracks,
+  getLivekitConfigStatus,
+  getLivekitParticipant,
+  listLivekitParticipants,
+  parseLivekitMetadata,
+  removeLivekitParticipant,
+  setLivekitParticipantCanPublish,
+  setLivekitParticipantMuted,
+} from '../services/livekit.js';
+import { publishBroadcastUpdate } from '../services/broadcast-stream.js';
+import { getStreamProvider } from '../services/stream-providers.js';
+import { isAdhanFallbackIdentity } from '../services/adhan-fallback.js';
+import { asyncHandler } from '../utils/async-handler.js';
+import { ApiError } from '../utils/api-error.js';
+import { ApiResponse } from '../utils/api-response.js';
+
+async function findMasjidAdmin(userId, masjidId) {
+  const [adminRecord] = await db
+    .select({ userId: masjidAdmins.userId, role: masjidAdmins.role })
+    .from(masjidAdmins)
+    .where(and(eq(masjidAdmins.userId, userId), eq(masjidAdmins.masjidId, masjidId)))
+    .limit(1);
+
+  return adminRecord ?? null;
+}
+
+// Masjid admins of any role, or super admins.
+async function loadBroadcastForModeration(request, { requireLive = true } = {}) {
+  const actorId = request.user?.id || request.user?.sub;
+  const actorRole = request.user?.role;
+  if (!actorId) throw new ApiError(401, 'unauthorized', 'Missing auth context');
+
+  const params = request.params;
+  if (!params?.id) throw new ApiError(400, 'validation_error', 'Missing broadcast id');
+
+  const [broadcastRecord] = await db
+    .select({
+      id: broadcasts.id,
+      masjidId: broadcasts.masjidId,
+      status: broadcasts.status,
+      streamProvider: broadcasts.streamProvider,
+      streamRoomId: broadcasts.streamRoomId,
+    })
+    .from(broadcasts)
+    .where(eq(broadcasts.id, params.id))
+    .limit(1);
+
+  if (!broadcastRecord) throw new ApiError(404, 'not_found', 'Broadcast not found');
+
+  if (actorRole !== 'super_admin' && !(await findMasjidAdmin(actorId, broadcastRecord.masjidId))) {
+    throw new ApiError(403, 'forbidden', 'Insufficient privileges');
+  }
+
+  if (requireLive) {
+    if (broadcastRecord.status !== 'live') {
+      throw new ApiError(409, 'conflict', 'Broadcast is not live');
+    }
+    const provider = getStreamProvider(broadcastRecord.streamProvider);
+    if (!provider.usesLivekitRoom || !broadcastRecord.streamRoomId) {
+      throw new ApiError(409, 'conflict', 'Broadcast has no LiveKit room');
+    }
+    const configStatus = getLivekitConfigStatus();
+    if (!configStatus.ok) {
+      throw new ApiError(500, 'configuration_error', 'LiveKit credentials missing', configStatus);
+    }
+  }
+
+  return { actorId, broadcastRecord };
+}
+
+async function requireParticipant(roomName, identity) {
+  const participant = await getLivekitParticipant(roomName, identity);
+  if (!participant) throw new ApiError(404, 'not_found', 'Participant not found');
+  return participant;
+}
+
+async function recordModerationEvent({ broadcastId, actorId, action, targetIdentity, details = {} }) {
+  await db.insert(broadcastModerationEvents).values({
+    broadcastId,
+    actorId,
+    action,
+    targetIdentity,
+    details,
+  });
+}
+
+function serializeParticipant(participant) {
+  const metadata = parseLivekitMetadata(participant.metadata);
+  return {
+    identity: participant.identity,
+    name: participant.name || null,
+    role: metadata.role ?? null,
+    isPublisher: Boolean(participant.permission?.canPublish),
+    joinedAt: participant.joinedAt ? new Date(Number(participant.joinedAt) * 1000) : null,
+    audioTracks: getLivekitAudioTracks(participant).map((track) => ({
+      sid: track.sid,
+      muted: Boolean(track.muted),
+    })),
+  };
+}
+
+// List who is in the broadcast room, publishers first.
+const listBroadcastParticipants = asyncHandler(async (request, reply) => {
+  const { broadcastRecord } = await loadBroadcastForModeration(request);
+
+  const participants = await listLivekitParticipants(broadcastRecord.streamRoomId);
+  if (!participants) throw new ApiError(503, 'service_unavailable', 'LiveKit room unavailable');
+
+  const items = participants
+    .map(serializeParticipant)
+    .sort((a, b) => Number(b.isPublisher) - Number(a.isPublisher));
+
+  return reply.status(200).send(new ApiResponse(200, 'Broadcast participants fetched', items));
+});
+
+// Server-side mute or unmute of a participant's microphone.
+const muteBroadcastParticipant = asyncHandler(async (request, reply) => {
+  const { actorId, broadcastRecord } = await loadBroadcastForModeration(request);
+  const { identity } = request.params;
+  const muted = request.body?.muted ?? true;
+
+  const participant = await requireParticipant(broadcastRecord.streamRoomId, identity);
+  const audioTracks = getLivekitAudioTracks(participant);
+  if (!audioTracks.length) {
+    throw new ApiError(409, 'conflict', 'Participant is not publishing audio');
+  }
+
+  await setLivekitParticipantMuted(broadcastRecord.streamRoomId, participant, muted);
+
+  await recordModerationEvent({
+    broadcastId: broadcastRecord.id,
+    actorId,
+    action: muted ? 'mute' : 'unmute',
+    targetIdentity: identity,
+    details: { trackSids: audioTracks.map((track) => track.sid) },
+  });
+
+  return reply.status(200).send(
+    new ApiResponse(200, muted ? 'Participant muted' : 'Participant unmuted', { identity, muted })
+  );
+});
+
+// Disconnect a participant from the room.
+const removeBroadcastParticipant = asyncHandler(async (request, reply) => {
+  const { actorId, broadcastRecord } = await loadBroadcastForModeration(request);
+  const { identity } = request.params;
+
+  const participant = await requireParticipant(broadcastRecord.streamRoomId, identity);
+  await removeLivekitParticipant(broadcastRecord.streamRoomId, identity);
+
+  await recordModerationEvent({
+    broadcastId: broadcastRecord.id,
+    actorId,
+    action: 'remove',
+    targetIdentity: identity,
+    details: { wasPublisher: Boolean(participant.permission?.canPublish) },
+  });
+
+  return reply.status(200).send(new ApiResponse(200, 'Participant removed', { identity }));
+});
+
+// Hand the microphone to another masjid admin already in the room; everyone else stops publishing.
+const handoverBroadcastMic = asyncHandler(async (request, reply) => {
+  const { actorId, broadcastRecord } = await loadBroadcastForModeration(request);
+  const { toIdentity } = request.body;
+  const roomName = broadcastRecord.streamRoomId;
+
+  const targetAdmin = await findMasjidAdmin(toIdentity, broadcastRecord.masjidId);
+  if (!targetAdmin) {
+    throw new ApiError(409, 'conflict', 'Microphone can only be handed to a masjid admin');
+  }
+
+  await requireParticipant(roomName, toIdentity);
+
+  const participants = (await listLivekitParticipants(roomName)) ?? [];
+  const fromIdentities = participants
+    .filter(
+      (participant) =>
+        participant.identity !== toIdentity &&
+        participant.permission?.canPublish &&
+        !isAdhanFallbackIdentity(participant.identity)
+    )
+    .map((participant) => participant.identity);
+
+  // Grant before revoking so the room never has zero publishers (which ends the broadcast).
+  await setLivekitParticipantCanPublish(roomName, toIdentity, true);
+  await Promise.all(
+    fromIdentities.map((identity) => setLivekitParticipantCanPublish(roomName, identity, false))
+  );
+
+  await recordModerationEvent({
+    broadcastId: broadcastRecord.id,
+    actorId,
+    action: 'handover',
+    targetIdentity: toIdentity,
+    details: { fromIdentities, role: targetAdmin.role },
+  });
+
+  await publishBroadcastUpdate({
+    event: 'speaker_changed',
+    masjidId: broadcastRecord.masjidId,
+    broadcastId: broadcastRecord.id,
+    data: { identity: toIdentity, role: targetAdmin.role },
+  });
+
+  return reply.status(200).send(
+    new ApiResponse(200, 'Microphone handed over', {
+      identity: toIdentity,
+      role: targetAdmin.role,
+      fromIdentities,
+    })
+  );
+});
+
+// Moderation audit trail for a broadcast, oldest first.
+const listBroadcastModerationEvents = asyncHandler(async (request, reply) => {
+  const { broadcastRecord } = await loadBroadcastForModeration(request, { requireLive: false });
+
+  const items = await db
+    .select({
+      id: broadcastModerationEvents.id,
+      broadcastId: broadcastModerationEvents.broadcastId,
+      actorId: broadcastModerationEvents.actorId,
+      action: broadcastModerationEvents.action,
+      targetIdentity: broadcastModerationEvents.targetIdentity,
+      details: broadcastModerationEvents.details,
+      createdAt: broadcastModerationEvents.createdAt,
+    })
+    .from(broadcastModerationEvents)
+    .where(eq(broadcastModerationEvents.broadcastId, broadcastRecord.id))
+    .orderBy(broadcastModerationEvents.createdAt);
+
+  return reply.status(200).send(new ApiResponse(200, 'Broadcast moderation events fetched', items));
+});
+
+export {
+  listBroadcastParticipants,
+  muteBroadcastParticipant,
+  removeBroadcastParticipant,
+  handoverBroadcastMic,
+  listBroadcastModerationEvents,
+};
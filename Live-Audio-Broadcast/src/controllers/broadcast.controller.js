@@ -1,54 +1,101 @@
 // Broadcast controller handlers.
-import { and, eq, gte, lt, ne, or } from 'drizzle-orm';
+import { and, eq, gte, inArray, lt, ne, notInArray, or, sql } from 'drizzle-orm';
 import { db } from '../db/client.js';
-import { broadcasts, masjidAdmins, masjids, subscriptions } from '../db/schema.js';
-import { broadcastQueue, notificationQueue } from '../queues/queue.factory.js';
+import {
+  broadcastEvents,
+  broadcastStats,
+  broadcasts,
+  masjidAdmins,
+  masjids,
+  subscriptions,
+} from '../db/schema.js';
 import { env } from '../config/env.js';
-import { createLivekitToken, ensureLivekitRoom, getLivekitConfigStatus, getLivekitUrl } from '../services/livekit.js';
-import { isHlsEnabled, signHlsUrl, verifyHlsSignature } from '../services/hls.js';
+import { notificationQueue } from '../queues/queue.factory.js';
+import {
+  appendHlsPlaylistQuery,
+  isHlsVariantName,
+  isHlsVodRequested,
+  signHlsMediaQuery,
+  signHlsQuery,
+  verifyHlsMediaSignature,
+  verifyHlsSignature,
+} from '../services/hls.js';
+import {
+  buildLowLatencyPlaylist,
+  getHlsBlockingTimeoutMs,
+  hasHlsPosition,
+  isHlsPositionReachable,
+  isHlsPreloadPart,
+  isHlsSegmentFile,
+  readHlsSegment,
+  readHlsSource,
+  waitForHlsOutput,
+} from '../services/ll-hls.js';
+import { createHlsEtag, getCachedHlsFile } from '../services/hls-cache.js';
+import { getStreamProvider, resolveStreamProviderId } from '../services/stream-providers.js';
+import { bindMasjidIngress } from '../services/masjid-ingress.js';
+import { getLivekitConfigStatus } from '../services/livekit.js';
+import {
+  getRecordingContentType,
+  resolveRecordingPath,
+  signRecordingUrl,
+  verifyRecordingSignature,
+} from '../services/recording.js';
+import { publishBroadcastUpdate, subscribeToMasjids } from '../services/broadcast-stream.js';
+import { getIndexedBroadcasts } from '../services/broadcast-index.js';
+import { assertBroadcastTypeFields } from '../services/broadcast-types.js';
+import {
+  getListenerStats,
+  getUserListenerId,
+  recordListenerHeartbeat,
+} from '../services/listener-analytics.js';
+import {
+  assertBroadcastTransition,
+  enqueueBroadcastEndJobs,
+  BROADCAST_MAX_MINUTES_CEILING,
+  enqueueBroadcastStartJobs,
+  getBroadcastEndsAt,
+  getBroadcastMaxMinutes,
+  publishBroadcastStatus,
+  recordBroadcastEvent,
+  resolveBroadcastMaxMinutes,
+  scheduleBroadcastAutoEnd,
+  transitionBroadcast,
+} from '../services/broadcast-lifecycle.js';
 import { asyncHandler } from '../utils/async-handler.js';
 import { ApiError } from '../utils/api-error.js';
 import { ApiResponse } from '../utils/api-response.js';
 import { verifyAccessToken } from '../utils/jwt.js';
+import { sendWithRange } from '../utils/byte-range.js';
+import { detectPlatform } from '../utils/user-agent.js';
+import crypto from 'node:crypto';
 import fs from 'node:fs';
 import path from 'node:path';
+import { Readable } from 'node:stream';
 
-const DEFAULT_BROADCAST_MAX_MINUTES = 15;
+// A LiveKit token counts as presence until the participant_joined webhook confirms the join.
+const LISTENER_TOKEN_PRESENCE_SECONDS = 60;
 
-function getBroadcastMaxMinutes() {
-  const parsed = Number(env.BROADCAST_MAX_MINUTES);
-  if (Number.isFinite(parsed) && parsed > 0) return parsed;
-  return DEFAULT_BROADCAST_MAX_MINUTES;
-}
-
-function isBroadcastExpired(startedAt) {
-  if (!startedAt) return false;
-  const maxMinutes = getBroadcastMaxMinutes();
-  const elapsedMs = Date.now() - startedAt.getTime();
-  return elapsedMs >= maxMinutes * 60 * 1000;
+function isBroadcastExpired(broadcastRecord) {
+  const endsAt = getBroadcastEndsAt(broadcastRecord);
+  if (!endsAt) return false;
+  return Date.now() >= endsAt.getTime();
 }
 
 async function markBroadcastExpired(broadcastId, endedReason = 'max_duration_reached') {
-  const [updatedBroadcast] = await db
-    .update(broadcasts)
-    .set({
-      status: 'completed',
-      endedAt: new Date(),
-      endedReason,
-      updatedAt: new Date(),
-    })
-    .where(eq(broadcasts.id, broadcastId))
-    .returning({ id: broadcasts.id, masjidId: broadcasts.masjidId });
+  const updatedBroadcast = await transitionBroadcast({
+    broadcastId,
+    to: 'completed',
+    source: 'api',
+    reason: endedReason,
+    values: { endedAt: new Date(), endedReason },
+    returning: { id: broadcasts.id, masjidId: broadcasts.masjidId },
+  });
 
-  if (updatedBroadcast) {
-    await notificationQueue.add('broadcast-end', {
-      broadcastId: updatedBroadcast.id,
-      masjidId: updatedBroadcast.masjidId,
-    });
-  }
+  await enqueueBroadcastEndJobs(updatedBroadcast);
 }
 
-// Check if the user can manage broadcasts for a masjid.
+// Check if the user can manage broadcasts for a masjid; returns their masjid role.
 async function requireMasjidAuthority(actorId, masjidId) {
   const [adminRecord] = await db
     .select({ role: masjidAdmins.role })
@@ -59,8 +106,11 @@ async function requireMasjidAuthority(actorId, masjidId) {
   if (!adminRecord) {
     throw new ApiError(403, 'forbidden', 'Insufficient privileges');
   }
+
+  return adminRecord;
 }
 
+// Returns 'admin' for masjid staff and 'subscriber' for listeners.
 async function assertMasjidAccess(actorId, masjidId) {
   const [adminRecord] = await db
     .select({ userId: masjidAdmins.userId })
@@ -68,7 +118,7 @@ async function assertMasjidAccess(actorId, masjidId) {
     .where(and(eq(masjidAdmins.userId, actorId), eq(masjidAdmins.masjidId, masjidId)))
     .limit(1);
 
-  if (adminRecord) return;
+  if (adminRecord) return 'admin';
 
   const [subscription] = await db
     .select({ userId: subscriptions.userId })
@@ -79,6 +129,72 @@ async function assertMasjidAccess(actorId, masjidId) {
   if (!subscription) {
     throw new ApiError(403, 'forbidden', 'Subscription required');
   }
+
+  return 'subscriber';
+}
+
+// One broadcast per type and prayer per (UTC) day, ignoring failed and cancelled ones.
+async function assertNoPrayerConflict(
+  { masjidId, broadcastType, prayerName, scheduledAt, excludeBroadcastId },
+  executor = db
+) {
+  const startOfDay = new Date(
+    Date.UTC(
+      scheduledAt.getUTCFullYear(),
+      scheduledAt.getUTCMonth(),
+      scheduledAt.getUTCDate(),
+      0,
+      0,
+      0
+    )
+  );
+  const endOfDay = new Date(startOfDay);
+  endOfDay.setUTCDate(endOfDay.getUTCDate() + 1);
+
+  const filters = [
+    eq(broadcasts.masjidId, masjidId),
+    eq(broadcasts.broadcastType, broadcastType),
+    eq(broadcasts.prayerName, prayerName),
+    notInArray(broadcasts.status, ['failed', 'cancelled']),
+    or(
+      and(gte(broadcasts.scheduledAt, startOfDay), lt(broadcasts.scheduledAt, endOfDay)),
+      and(gte(broadcasts.startedAt, startOfDay), lt(broadcasts.startedAt, endOfDay))
+    ),
+  ];
+  if (excludeBroadcastId) filters.push(ne(broadcasts.id, excludeBroadcastId));
+
+  const [existingBroadcast] = await executor
+    .select({ id: broadcasts.id, status: broadcasts.status })
+    .from(broadcasts)
+    .where(and(...filters))
+    .limit(1);
+
+  if (existingBroadcast) {
+    throw new ApiError(409, 'conflict', 'Broadcast already exists for this prayer and date');
+  }
+}
+
+// Resolve the caller on routes that sit outside the auth middleware (media players).
+function getActorIdFromHeaders(request) {
+  const authHeader = request.headers.authorization;
+  const bearer = authHeader?.startsWith('Bearer ')
+    ? authHeader.slice('Bearer '.length)
+    : undefined;
+  const cookieToken = request.cookies?.accessToken;
+  const token = bearer || cookieToken;
+
+  if (!token) throw new ApiError(401, 'unauthorized', 'Missing token');
+
+  let payload;
+  try {
+    payload = verifyAccessToken(token);
+  } catch {
+    throw new ApiError(401, 'unauthorized', 'Invalid token');
+  }
+
+  const actorId = payload?.id || payload?.sub;
+  if (!actorId) throw new ApiError(401, 'unauthorized', 'Invalid token');
+  return actorId;
 }
 
 const listBroadcasts = asyncHandler(async (request, reply) => {
@@ -86,14 +202,14 @@ const listBroadcasts = asyncHandler(async (request, reply) => {
   if (!actorId) throw new ApiError(401, 'unauthorized', 'Missing auth context');
 
   const query = request.query ?? {};
-  const { masjidId, date, status, prayerName } = query;
+  const { masjidId, date, status, prayerName, broadcastType } = query;
   if (!masjidId) throw new ApiError(400, 'validation_error', 'Missing masjidId');
 
-  await assertMasjidAccess(actorId, masjidId);
+  const accessRole = await assertMasjidAccess(actorId, masjidId);
 
   const filters = [eq(broadcasts.masjidId, masjidId)];
-  if (status) filters.push(eq(broadcasts.status, status));
   if (prayerName) filters.push(eq(broadcasts.prayerName, prayerName));
+  if (broadcastType) filters.push(eq(broadcasts.broadcastType, broadcastType));
 
   if (date) {
     const day = new Date(`${date}T00:00:00.000Z`);
@@ -106,16 +222,33 @@ const listBroadcasts = asyncHandler(async (request, reply) => {
     filters.push(lt(broadcasts.scheduledAt, end));
   }
 
+  // Missed count ignores the status filter so admins always see it.
+  let meta;
+  if (accessRole === 'admin') {
+    const [missedRow] = await db
+      .select({ total: sql`count(*)`.mapWith(Number) })
+      .from(broadcasts)
+      .where(
+        and(...filters, eq(broadcasts.status, 'failed'), eq(broadcasts.endedReason, 'not_started'))
+      );
+    meta = { missedCount: missedRow?.total ?? 0 };
+  }
+
+  if (status) filters.push(eq(broadcasts.status, status));
+
   const items = await db
     .select({
       id: broadcasts.id,
       masjidId: broadcasts.masjidId,
       title: broadcasts.title,
+      broadcastType: broadcasts.broadcastType,
       prayerName: broadcasts.prayerName,
       status: broadcasts.status,
       scheduledAt: broadcasts.scheduledAt,
       startedAt: broadcasts.startedAt,
       endedAt: broadcasts.endedAt,
+      endedReason: broadcasts.endedReason,
+      isAutomated: broadcasts.isAutomated,
       streamProvider: broadcasts.streamProvider,
       streamRoomId: broadcasts.streamRoomId,
       audioUrl: broadcasts.audioUrl,
@@ -125,7 +258,117 @@ const listBroadcasts = asyncHandler(async (request, reply) => {
     .where(and(...filters))
     .orderBy(broadcasts.scheduledAt);
 
-  return reply.status(200).send(new ApiResponse(200, 'Broadcasts fetched', items));
+  return reply.status(200).send(new ApiResponse(200, 'Broadcasts fetched', items, meta));
+});
+
+// Masjids the caller follows plus an optional coordinate search, for discovery.
+async function getDiscoveryScope(actorId, query) {
+  const subscribed = await db
+    .select({ masjidId: subscriptions.masjidId })
+    .from(subscriptions)
+    .where(eq(subscriptions.userId, actorId));
+
+  const { latitude, longitude, radiusKm } = query;
+  return {
+    masjidIds: subscribed.map((row) => row.masjidId),
+    near: latitude !== undefined && longitude !== undefined ? { latitude, longitude, radiusKm } : undefined,
+  };
+}
+
+// How to play a live broadcast, as the broadcast's stream provider describes it.
+async function getListenerStreamDescriptor(actorId, entry, userAgent) {
+  return getStreamProvider(entry.streamProvider).getListenerCredentials(entry, {
+    identity: actorId,
+    basePath: '/api/v1',
+    userAgent,
+  });
+}
+
+// Let the provider prepare its room (LiveKit room, external URL) and store what it returns.
+async function prepareStreamRoom(provider, broadcastRecord) {
+  const roomValues = await provider.createRoom(broadcastRecord);
+  if (!roomValues) return broadcastRecord;
+
+  await db
+    .update(broadcasts)
+    .set({ ...roomValues, updatedAt: new Date() })
+    .where(eq(broadcasts.id, broadcastRecord.id));
+
+  return { ...broadcastRecord, ...roomValues };
+}
+
+function toDiscoveryItem(entry, subscribed) {
+  return {
+    id: entry.id,
+    title: entry.title,
+    broadcastType: entry.broadcastType ?? 'prayer',
+    prayerName: entry.prayerName,
+    status: entry.status,
+    scheduledAt: entry.scheduledAt,
+    startedAt: entry.startedAt,
+    masjid: { id: entry.masjidId, name: entry.masjidName, logoUrl: entry.masjidLogoUrl },
+    subscribed,
+    distanceKm: entry.distanceKm ?? null,
+  };
+}
+
+// Live broadcasts across the caller's subscriptions and, optionally, public masjids nearby.
+const listLiveBroadcasts = asyncHandler(async (request, reply) => {
+  const actorId = request.user?.id || request.user?.sub;
+  if (!actorId) throw new ApiError(401, 'unauthorized', 'Missing auth context');
+
+  const query = request.query ?? {};
+  const { masjidIds, near } = await getDiscoveryScope(actorId, query);
+  const subscribedIds = new Set(masjidIds);
+
+  const entries = await getIndexedBroadcasts({
+    state: 'live',
+    masjidIds,
+    near,
+    limit: query.limit,
+  });
+
+  const now = Date.now();
+  const items = await Promise.all(
+    entries.map(async (entry) => {
+      const subscribed = subscribedIds.has(entry.masjidId);
+      const startedAt = entry.startedAt ? new Date(entry.startedAt).getTime() : now;
+      return {
+        ...toDiscoveryItem(entry, subscribed),
+        elapsedSeconds: Math.max(0, Math.floor((now - startedAt) / 1000)),
+        // Listening still requires a subscription, as with the listener-token endpoint.
+        stream: subscribed
+          ? await getListenerStreamDescriptor(actorId, entry, request.headers['user-agent'])
+          : null,
+      };
+    })
+  );
+
+  return reply.status(200).send(new ApiResponse(200, 'Live broadcasts fetched', items));
+});
+
+// Scheduled broadcasts in the next `hours` across subscriptions and, optionally, nearby masjids.
+const listUpcomingBroadcasts = asyncHandler(async (request, reply) => {
+  const actorId = request.user?.id || request.user?.sub;
+  if (!actorId) throw new ApiError(401, 'unauthorized', 'Missing auth context');
+
+  const query = request.query ?? {};
+  const { masjidIds, near } = await getDiscoveryScope(actorId, query);
+  const subscribedIds = new Set(masjidIds);
+
+  const now = Date.now();
+  const entries = await getIndexedBroadcasts({
+    state: 'upcoming',
+    masjidIds,
+    near,
+    from: new Date(now),
+    to: new Date(now + query.hours * 60 * 60 * 1000),
+    limit: query.limit,
+  });
+
+  const items = entries.map((entry) => toDiscoveryItem(entry, subscribedIds.has(entry.masjidId)));
+
+  return reply.status(200).send(new ApiResponse(200, 'Upcoming broadcasts fetched', items));
 });
 
 // Create a broadcast entry.
@@ -139,15 +382,26 @@ const createBroadcast = asyncHandler(async (request, reply) => {
   const {
     masjidId,
     title,
+    broadcastType = 'prayer',
     prayerName,
     scheduledAt,
     streamProvider,
     streamRoomId,
     audioUrl,
+    recordingEnabled,
+    hlsVodEnabled,
   } = body;
 
+  assertBroadcastTypeFields({ broadcastType, prayerName });
+
   const [masjidRecord] = await db
-    .select({ id: masjids.id, isApproved: masjids.isApproved, isActive: masjids.isActive })
+    .select({
+      id: masjids.id,
+      isApproved: masjids.isApproved,
+      isActive: masjids.isActive,
+      streamProvider: masjids.streamProvider,
+      externalStreamUrl: masjids.externalStreamUrl,
+    })
     .from(masjids)
     .where(eq(masjids.id, masjidId))
     .limit(1);
@@ -165,110 +419,91 @@ const createBroadcast = asyncHandler(async (request, reply) => {
       throw new ApiError(400, 'validation_error', 'Invalid scheduledAt');
     }
 
-    const startOfDay = new Date(
-      Date.UTC(
-        scheduledDate.getUTCFullYear(),
-        scheduledDate.getUTCMonth(),
-        scheduledDate.getUTCDate(),
-        0,
-        0,
-        0
-      )
-    );
-    const endOfDay = new Date(startOfDay);
-    endOfDay.setUTCDate(endOfDay.getUTCDate() + 1);
-
-    const [existingBroadcast] = await db
-      .select({ id: broadcasts.id, status: broadcasts.status })
-      .from(broadcasts)
-      .where(
-        and(
-          eq(broadcasts.masjidId, masjidId),
-          eq(broadcasts.prayerName, prayerName),
-          ne(broadcasts.status, 'failed'),
-          or(
-            and(gte(broadcasts.scheduledAt, startOfDay), lt(broadcasts.scheduledAt, endOfDay)),
-            and(gte(broadcasts.startedAt, startOfDay), lt(broadcasts.startedAt, endOfDay))
-          )
-        )
-      )
-      .limit(1);
-
-    if (existingBroadcast) {
-      throw new ApiError(409, 'conflict', 'Broadcast already exists for this prayer and date');
-    }
-  }
-
-  const resolvedProvider = streamProvider ?? 'livekit';
-
-  const [createdBroadcast] = await db
-    .insert(broadcasts)
-    .values({
+    await assertNoPrayerConflict({
       masjidId,
-      createdBy: actorId,
-      title: title ?? null,
-      prayerName: prayerName ?? null,
-      status: scheduledAt ? 'scheduled' : 'pending',
-      scheduledAt: scheduledAt ? new Date(scheduledAt) : null,
-      streamProvider: resolvedProvider,
-      streamRoomId: streamRoomId ?? null,
-      audioUrl: audioUrl ?? null,
-    })
-    .returning({
-      id: broadcasts.id,
-      masjidId: broadcasts.masjidId,
-      createdBy: broadcasts.createdBy,
-      title: broadcasts.title,
-      prayerName: broadcasts.prayerName,
-      startedAt: broadcasts.startedAt,
-      status: broadcasts.status,
-      scheduledAt: broadcasts.scheduledAt,
-      streamProvider: broadcasts.streamProvider,
-      streamRoomId: broadcasts.streamRoomId,
-      audioUrl: broadcasts.audioUrl,
-      createdAt: broadcasts.createdAt,
-      updatedAt: broadcasts.updatedAt,
+      broadcastType,
+      prayerName,
+      scheduledAt: scheduledDate,
     });
+  }
 
-  let broadcastPayload = createdBroadcast;
+  const provider = getStreamProvider(
+    resolveStreamProviderId({ requested: streamProvider, masjid: masjidRecord })
+  );
 
-  if (resolvedProvider === 'livekit' && !createdBroadcast.streamRoomId && getLivekitUrl()) {
-    const roomName = `broadcast-${createdBroadcast.id}`;
-    await ensureLivekitRoom(roomName);
+  // Rooms are prepared before the insert so a misconfigured provider creates nothing.
+  const broadcastId = crypto.randomUUID();
+  const roomValues = await provider.createRoom({
+    id: broadcastId,
+    streamRoomId: streamRoomId ?? null,
+    audioUrl: audioUrl ?? null,
+    externalStreamUrl: masjidRecord.externalStreamUrl,
+  });
 
-    const [updatedBroadcast] = await db
-      .update(broadcasts)
-      .set({
-        streamRoomId: roomName,
-        audioUrl: createdBroadcast.audioUrl ?? getLivekitUrl(),
-        updatedAt: new Date(),
+  let createdBroadcast;
+  try {
+    [createdBroadcast] = await db
+      .insert(broadcasts)
+      .values({
+        id: broadcastId,
+        masjidId,
+        createdBy: actorId,
+        title: title ?? null,
+        broadcastType,
+        prayerName: prayerName ?? null,
+        status: scheduledAt ? 'scheduled' : 'pending',
+        scheduledAt: scheduledAt ? new Date(scheduledAt) : null,
+        streamProvider: provider.id,
+        streamRoomId: streamRoomId ?? null,
+        audioUrl: audioUrl ?? null,
+        recordingEnabled: recordingEnabled ?? null,
+        hlsVodEnabled: hlsVodEnabled ?? null,
+        ...roomValues,
       })
-      .where(eq(broadcasts.id, createdBroadcast.id))
       .returning({
         id: broadcasts.id,
         masjidId: broadcasts.masjidId,
         createdBy: broadcasts.createdBy,
         title: broadcasts.title,
+        broadcastType: broadcasts.broadcastType,
         prayerName: broadcasts.prayerName,
+        startedAt: broadcasts.startedAt,
         status: broadcasts.status,
         scheduledAt: broadcasts.scheduledAt,
         streamProvider: broadcasts.streamProvider,
         streamRoomId: broadcasts.streamRoomId,
         audioUrl: broadcasts.audioUrl,
+        recordingEnabled: broadcasts.recordingEnabled,
+        hlsVodEnabled: broadcasts.hlsVodEnabled,
         createdAt: broadcasts.createdAt,
         updatedAt: broadcasts.updatedAt,
       });
-
-    if (updatedBroadcast) {
-      broadcastPayload = updatedBroadcast;
-    }
+  } catch (error) {
+    // Nothing refers to the room made above; release it with the failed insert.
+    if (roomValues?.streamRoomId) await provider.deleteRoom({ id: broadcastId, ...roomValues });
+    throw error;
   }
 
-  return reply.status(201).send(new ApiResponse(201, 'Broadcast created', broadcastPayload));
+  await recordBroadcastEvent({
+    broadcastId: createdBroadcast.id,
+    toStatus: createdBroadcast.status,
+    source: 'api',
+    actorId,
+    reason: 'created',
+  });
+
+  await publishBroadcastStatus({
+    broadcastId: createdBroadcast.id,
+    masjidId: createdBroadcast.masjidId,
+    status: createdBroadcast.status,
+    scheduledAt: createdBroadcast.scheduledAt,
+  });
+
+  return reply.status(201).send(new ApiResponse(201, 'Broadcast created', createdBroadcast));
 });
 
-// Start a broadcast and enqueue notifications.
-const startBroadcast = asyncHandler(async (request, reply) => {
+// Edit a broadcast that has not gone live yet; a new time notifies subscribers.
+const updateBroadcast = asyncHandler(async (request, reply) => {
   const actorId = request.user?.id || request.user?.sub;
   if (!actorId) throw new ApiError(401, 'unauthorized', 'Missing auth context');
 
@@ -276,97 +511,340 @@ const startBroadcast = asyncHandler(async (request, reply) => {
   if (!params?.id) throw new ApiError(400, 'validation_error', 'Missing broadcast id');
   const { id } = params;
 
-  const body = request.body ?? {};
-  const { streamProvider, streamRoomId, audioUrl } = body;
+  const body = request.body;
+  if (!body) throw new ApiError(400, 'validation_error', 'Missing request body');
+  const { title, broadcastType, prayerName, scheduledAt, streamProvider } = body;
+
+  let scheduledDate;
+  if (scheduledAt !== undefined) {
+    scheduledDate = new Date(scheduledAt);
+    if (Number.isNaN(scheduledDate.getTime())) {
+      throw new ApiError(400, 'validation_error', 'Invalid scheduledAt');
+    }
+    if (scheduledDate.getTime() <= Date.now()) {
+      throw new ApiError(400, 'validation_error', 'scheduledAt must be in the future');
+    }
+  }
 
   const [broadcastRecord] = await db
     .select({
       id: broadcasts.id,
       masjidId: broadcasts.masjidId,
-      status: broadcasts.status,
-      prayerName: broadcasts.prayerName,
       streamProvider: broadcasts.streamProvider,
       streamRoomId: broadcasts.streamRoomId,
-      audioUrl: broadcasts.audioUrl,
+      externalStreamUrl: masjids.externalStreamUrl,
     })
     .from(broadcasts)
+    .innerJoin(masjids, eq(masjids.id, broadcasts.masjidId))
     .where(eq(broadcasts.id, id))
     .limit(1);
 
   if (!broadcastRecord) throw new ApiError(404, 'not_found', 'Broadcast not found');
-  if (broadcastRecord.status === 'live') {
-    if (isBroadcastExpired(broadcastRecord.startedAt)) {
-      await markBroadcastExpired(broadcastRecord.id);
-      throw new ApiError(409, 'conflict', 'Broadcast expired');
-    }
-    throw new ApiError(409, 'conflict', 'Broadcast already live');
+
+  await requireMasjidAuthority(actorId, broadcastRecord.masjidId);
+
+  // A new provider gets a fresh room; the old one is released after the update commits.
+  let roomValues;
+  if (streamProvider && streamProvider !== broadcastRecord.streamProvider) {
+    const created = await getStreamProvider(streamProvider).createRoom({
+      id,
+      streamRoomId: null,
+      audioUrl: null,
+      externalStreamUrl: broadcastRecord.externalStreamUrl,
+    });
+    roomValues = { streamRoomId: null, audioUrl: null, ...created };
   }
-  if (broadcastRecord.status === 'completed') {
-    throw new ApiError(409, 'conflict', 'Broadcast already ended');
+
+  let result;
+  try {
+    result = await db.transaction(async (tx) => {
+      const [current] = await tx
+        .select({
+          status: broadcasts.status,
+          broadcastType: broadcasts.broadcastType,
+          prayerName: broadcasts.prayerName,
+          scheduledAt: broadcasts.scheduledAt,
+          streamProvider: broadcasts.streamProvider,
+          streamRoomId: broadcasts.streamRoomId,
+        })
+        .from(broadcasts)
+        .where(eq(broadcasts.id, id))
+        .limit(1)
+        .for('update');
+
+      if (!['pending', 'scheduled'].includes(current?.status)) {
+        throw new ApiError(409, 'conflict', 'Only pending or scheduled broadcasts can be edited', {
+          status: current?.status,
+        });
+      }
+
+      const nextType = broadcastType ?? current.broadcastType;
+      const nextPrayerName = prayerName === undefined ? current.prayerName : prayerName;
+      assertBroadcastTypeFields({ broadcastType: nextType, prayerName: nextPrayerName });
+
+      const nextScheduledAt = scheduledDate ?? current.scheduledAt;
+      if (nextPrayerName && nextScheduledAt) {
+        await assertNoPrayerConflict(
+          {
+            masjidId: broadcastRecord.masjidId,
+            broadcastType: nextType,
+            prayerName: nextPrayerName,
+            scheduledAt: nextScheduledAt,
+            excludeBroadcastId: id,
+          },
+          tx
+        );
+      }
+
+      // A pending broadcast that gets a time becomes scheduled.
+      const nextStatus = scheduledDate ? 'scheduled' : current.status;
+      if (nextStatus !== current.status) assertBroadcastTransition(current.status, nextStatus);
+
+      const [updatedBroadcast] = await tx
+        .update(broadcasts)
+        .set({
+          title,
+          broadcastType,
+          prayerName,
+          scheduledAt: scheduledDate,
+          streamProvider,
+          ...roomValues,
+          status: nextStatus,
+          updatedAt: new Date(),
+        })
+        .where(eq(broadcasts.id, id))
+        .returning({
+          id: broadcasts.id,
+          masjidId: broadcasts.masjidId,
+          title: broadcasts.title,
+          broadcastType: broadcasts.broadcastType,
+          prayerName: broadcasts.prayerName,
+          status: broadcasts.status,
+          scheduledAt: broadcasts.scheduledAt,
+          streamProvider: broadcasts.streamProvider,
+          streamRoomId: broadcasts.streamRoomId,
+          updatedAt: broadcasts.updatedAt,
+        });
+
+      const rescheduled =
+        Boolean(scheduledDate) && scheduledDate.getTime() !== current.scheduledAt?.getTime();
+      if (rescheduled) {
+        await recordBroadcastEvent(
+          {
+            broadcastId: id,
+            fromStatus: current.status,
+            toStatus: nextStatus,
+            source: 'api',
+            actorId,
+            reason: 'rescheduled',
+          },
+          tx
+        );
+      }
+
+      return { updatedBroadcast, previous: current, rescheduled };
+    });
+  } catch (error) {
+    // The edit was refused: release the room made for the new provider, unless it is
+    // the same room the broadcast already had (LiveKit and HLS share room names).
+    if (roomValues?.streamRoomId && roomValues.streamRoomId !== broadcastRecord.streamRoomId) {
+      await getStreamProvider(streamProvider).deleteRoom({ id, ...roomValues });
+    }
+    throw error;
   }
+  const { updatedBroadcast, previous, rescheduled } = result;
 
-  await requireMasjidAuthority(actorId, broadcastRecord.masjidId);
+  if (previous.streamRoomId && previous.streamRoomId !== updatedBroadcast.streamRoomId) {
+    await getStreamProvider(previous.streamProvider).deleteRoom(previous);
+  }
 
-  let resolvedRoomId = streamRoomId ?? broadcastRecord.streamRoomId ?? null;
-  let resolvedProvider = streamProvider ?? broadcastRecord.streamProvider ?? 'livekit';
-  let resolvedAudioUrl = audioUrl ?? broadcastRecord.audioUrl ?? null;
+  await publishBroadcastStatus({
+    broadcastId: id,
+    masjidId: updatedBroadcast.masjidId,
+    status: updatedBroadcast.status,
+    scheduledAt: updatedBroadcast.scheduledAt,
+    reason: rescheduled ? 'rescheduled' : 'updated',
+  });
 
-  if (!resolvedRoomId && resolvedProvider === 'livekit' && getLivekitUrl()) {
-    const roomName = `broadcast-${broadcastRecord.id}`;
-    await ensureLivekitRoom(roomName);
-    resolvedRoomId = roomName;
-    resolvedAudioUrl = resolvedAudioUrl ?? getLivekitUrl();
+  if (rescheduled) {
+    await notificationQueue.add('broadcast-rescheduled', {
+      broadcastId: id,
+      masjidId: updatedBroadcast.masjidId,
+      broadcastType: updatedBroadcast.broadcastType,
+      prayerName: updatedBroadcast.prayerName,
+      title: updatedBroadcast.title,
+      scheduledAt: updatedBroadcast.scheduledAt.toISOString(),
+      previousScheduledAt: previous.scheduledAt?.toISOString() ?? null,
+    });
   }
 
-  const [updatedBroadcast] = await db
-    .update(broadcasts)
-    .set({
-      status: 'live',
-      streamProvider: resolvedProvider ?? undefined,
-      streamRoomId: resolvedRoomId ?? undefined,
-      audioUrl: resolvedAudioUrl ?? undefined,
-      startedAt: new Date(),
-      updatedAt: new Date(),
-    })
+  return reply.status(200).send(new ApiResponse(200, 'Broadcast updated', updatedBroadcast));
+});
+
+// Cancel a broadcast that has not gone live yet and tell subscribers.
+const cancelBroadcast = asyncHandler(async (request, reply) => {
+  const actorId = request.user?.id || request.user?.sub;
+  if (!actorId) throw new ApiError(401, 'unauthorized', 'Missing auth context');
+
+  const params = request.params;
+  if (!params?.id) throw new ApiError(400, 'validation_error', 'Missing broadcast id');
+  const { id } = params;
+
+  const [broadcastRecord] = await db
+    .select({ id: broadcasts.id, masjidId: broadcasts.masjidId })
+    .from(broadcasts)
     .where(eq(broadcasts.id, id))
-    .returning({
+    .limit(1);
+
+  if (!broadcastRecord) throw new ApiError(404, 'not_found', 'Broadcast not found');
+
+  await requireMasjidAuthority(actorId, broadcastRecord.masjidId);
+
+  const updatedBroadcast = await transitionBroadcast({
+    broadcastId: id,
+    to: 'cancelled',
+    source: 'api',
+    actorId,
+    reason: 'cancelled',
+    values: { endedAt: new Date(), endedReason: 'cancelled' },
+    returning: {
       id: broadcasts.id,
       masjidId: broadcasts.masjidId,
+      title: broadcasts.title,
+      broadcastType: broadcasts.broadcastType,
       prayerName: broadcasts.prayerName,
       status: broadcasts.status,
+      scheduledAt: broadcasts.scheduledAt,
       streamProvider: broadcasts.streamProvider,
       streamRoomId: broadcasts.streamRoomId,
-      audioUrl: broadcasts.audioUrl,
-      startedAt: broadcasts.startedAt,
-      updatedAt: broadcasts.updatedAt,
-    });
+      endedAt: broadcasts.endedAt,
+      endedReason: broadcasts.endedReason,
+    },
+  });
+
+  // Rooms are created eagerly with the broadcast; nobody will join this one now.
+  await getStreamProvider(updatedBroadcast.streamProvider).deleteRoom(updatedBroadcast);
 
-  await notificationQueue.add('broadcast-start', {
-    broadcastId: updatedBroadcast.id,
+  await notificationQueue.add('broadcast-cancelled', {
+    broadcastId: id,
     masjidId: updatedBroadcast.masjidId,
+    broadcastType: updatedBroadcast.broadcastType,
     prayerName: updatedBroadcast.prayerName,
+    title: updatedBroadcast.title,
+    scheduledAt: updatedBroadcast.scheduledAt?.toISOString() ?? null,
   });
 
-  if (isHlsEnabled() && resolvedRoomId) {
-    await broadcastQueue.add('hls-start', {
-      broadcastId: updatedBroadcast.id,
-      roomName: resolvedRoomId,
-    });
+  return reply.status(200).send(new ApiResponse(200, 'Broadcast cancelled', updatedBroadcast));
+});
+
+// Whether the broadcast went live on this room (e.g. through a concurrent start).
+async function isLiveOnRoom(broadcastId, streamRoomId) {
+  const [current] = await db
+    .select({ status: broadcasts.status, streamRoomId: broadcasts.streamRoomId })
+    .from(broadcasts)
+    .where(eq(broadcasts.id, broadcastId))
+    .limit(1);
+  return current?.status === 'live' && current.streamRoomId === streamRoomId;
+}
+
+// Start a broadcast and enqueue notifications.
+const startBroadcast = asyncHandler(async (request, reply) => {
+  const actorId = request.user?.id || request.user?.sub;
+  if (!actorId) throw new ApiError(401, 'unauthorized', 'Missing auth context');
+
+  const params = request.params;
+  if (!params?.id) throw new ApiError(400, 'validation_error', 'Missing broadcast id');
+  const { id } = params;
+
+  const body = request.body ?? {};
+  const { streamProvider, streamRoomId, audioUrl } = body;
+
+  const [broadcastRecord] = await db
+    .select({
+      id: broadcasts.id,
+      masjidId: broadcasts.masjidId,
+      status: broadcasts.status,
+      broadcastType: broadcasts.broadcastType,
+      prayerName: broadcasts.prayerName,
+      streamProvider: broadcasts.streamProvider,
+      streamRoomId: broadcasts.streamRoomId,
+      audioUrl: broadcasts.audioUrl,
+      startedAt: broadcasts.startedAt,
+      maxDurationMinutes: broadcasts.maxDurationMinutes,
+      externalStreamUrl: masjids.externalStreamUrl,
+    })
+    .from(broadcasts)
+    .innerJoin(masjids, eq(masjids.id, broadcasts.masjidId))
+    .where(eq(broadcasts.id, id))
+    .limit(1);
+
+  if (!broadcastRecord) throw new ApiError(404, 'not_found', 'Broadcast not found');
+  if (broadcastRecord.status === 'live') {
+    if (isBroadcastExpired(broadcastRecord)) {
+      await markBroadcastExpired(broadcastRecord.id);
+      throw new ApiError(409, 'conflict', 'Broadcast expired');
+    }
+    throw new ApiError(409, 'conflict', 'Broadcast already live');
   }
+  assertBroadcastTransition(broadcastRecord.status, 'live');
 
-  const maxMinutes = getBroadcastMaxMinutes();
-  const delayMs = Math.max(1, maxMinutes) * 60 * 1000;
+  await requireMasjidAuthority(actorId, broadcastRecord.masjidId);
 
-  await broadcastQueue.add(
-    'broadcast-auto-end',
-    { broadcastId: updatedBroadcast.id, endedReason: 'max_duration_reached' },
-    { delay: delayMs, jobId: `broadcast-auto-end-${updatedBroadcast.id}` }
-  );
+  const provider = getStreamProvider(streamProvider ?? broadcastRecord.streamProvider);
+  const streamBroadcast = {
+    id: broadcastRecord.id,
+    streamRoomId: streamRoomId ?? broadcastRecord.streamRoomId ?? null,
+    audioUrl: audioUrl ?? broadcastRecord.audioUrl ?? null,
+    externalStreamUrl: broadcastRecord.externalStreamUrl,
+  };
+  const roomValues = await provider.createRoom(streamBroadcast);
+
+  const maxDurationMinutes = await resolveBroadcastMaxMinutes(broadcastRecord);
+
+  let updatedBroadcast;
+  try {
+    updatedBroadcast = await transitionBroadcast({
+      broadcastId: id,
+      to: 'live',
+      source: 'api',
+      actorId,
+      values: {
+        streamProvider: provider.id,
+        streamRoomId: streamBroadcast.streamRoomId ?? undefined,
+        audioUrl: streamBroadcast.audioUrl ?? undefined,
+        ...roomValues,
+        startedAt: new Date(),
+        maxDurationMinutes,
+      },
+      returning: {
+        id: broadcasts.id,
+        masjidId: broadcasts.masjidId,
+        broadcastType: broadcasts.broadcastType,
+        prayerName: broadcasts.prayerName,
+        status: broadcasts.status,
+        streamProvider: broadcasts.streamProvider,
+        streamRoomId: broadcasts.streamRoomId,
+        audioUrl: broadcasts.audioUrl,
+        startedAt: broadcasts.startedAt,
+        maxDurationMinutes: broadcasts.maxDurationMinutes,
+        updatedAt: broadcasts.updatedAt,
+      },
+    });
+  } catch (error) {
+    // Lost to a concurrent start (or the broadcast was cancelled): release the room made
+    // here, unless the broadcast is now live on that same room.
+    if (roomValues?.streamRoomId && !(await isLiveOnRoom(id, roomValues.streamRoomId))) {
+      await provider.deleteRoom({ id, ...roomValues });
+    }
+    throw error;
+  }
+
+  await enqueueBroadcastStartJobs(updatedBroadcast);
 
   return reply.status(200).send(new ApiResponse(200, 'Broadcast started', updatedBroadcast));
 });
 
-// Create a broadcaster token for LiveKit.
+// Publisher credentials from the broadcast's stream provider (a LiveKit token).
 const getBroadcastToken = asyncHandler(async (request, reply) => {
   const actorId = request.user?.id || request.user?.sub;
   if (!actorId) throw new ApiError(401, 'unauthorized', 'Missing auth context');
@@ -381,18 +859,21 @@ const getBroadcastToken = asyncHandler(async (request, reply) => {
       masjidId: broadcasts.masjidId,
       status: broadcasts.status,
       startedAt: broadcasts.startedAt,
+      maxDurationMinutes: broadcasts.maxDurationMinutes,
       streamProvider: broadcasts.streamProvider,
       streamRoomId: broadcasts.streamRoomId,
       audioUrl: broadcasts.audioUrl,
       hlsUrl: broadcasts.hlsUrl,
+      externalStreamUrl: masjids.externalStreamUrl,
     })
     .from(broadcasts)
+    .innerJoin(masjids, eq(masjids.id, broadcasts.masjidId))
     .where(eq(broadcasts.id, id))
     .limit(1);
 
   if (!broadcastRecord) throw new ApiError(404, 'not_found', 'Broadcast not found');
   if (broadcastRecord.status === 'live') {
-    if (isBroadcastExpired(broadcastRecord.startedAt)) {
+    if (isBroadcastExpired(broadcastRecord)) {
       await markBroadcastExpired(broadcastRecord.id);
       throw new ApiError(409, 'conflict', 'Broadcast expired');
     }
@@ -400,52 +881,78 @@ const getBroadcastToken = asyncHandler(async (request, reply) => {
     throw new ApiError(409, 'conflict', 'Broadcast is not live');
   }
 
-  await requireMasjidAuthority(actorId, broadcastRecord.masjidId);
+  const adminRecord = await requireMasjidAuthority(actorId, broadcastRecord.masjidId);
 
-  const provider = broadcastRecord.streamProvider ?? 'livekit';
-  let resolvedRoomId = broadcastRecord.streamRoomId;
-  let resolvedAudioUrl = broadcastRecord.audioUrl ?? getLivekitUrl();
+  const provider = getStreamProvider(broadcastRecord.streamProvider);
+  const streamBroadcast = await prepareStreamRoom(provider, broadcastRecord);
 
-  if (!resolvedRoomId && provider === 'livekit' && getLivekitUrl()) {
-    const roomName = `broadcast-${broadcastRecord.id}`;
-    await ensureLivekitRoom(roomName);
-    resolvedRoomId = roomName;
+  const credentials = await provider.getPublisherCredentials(streamBroadcast, {
+    identity: actorId,
+    metadata: { role: adminRecord.role, masjidId: broadcastRecord.masjidId },
+  });
 
-    await db
-      .update(broadcasts)
-      .set({
-        streamRoomId: roomName,
-        audioUrl: resolvedAudioUrl,
-        updatedAt: new Date(),
-      })
-      .where(eq(broadcasts.id, broadcastRecord.id));
-  }
+  return reply.status(200).send(new ApiResponse(200, 'Broadcast token issued', credentials));
+});
+
+// Point the masjid's RTMP/WHIP encoder at this broadcast; its first published track takes it live.
+const createBroadcastIngress = asyncHandler(async (request, reply) => {
+  const actorId = request.user?.id || request.user?.sub;
+  if (!actorId) throw new ApiError(401, 'unauthorized', 'Missing auth context');
 
-  if (!resolvedRoomId) {
-    throw new ApiError(500, 'configuration_error', 'LiveKit room not configured');
+  const params = request.params;
+  if (!params?.id) throw new ApiError(400, 'validation_error', 'Missing broadcast id');
+  const { id } = params;
+  const { inputType = 'rtmp' } = request.body ?? {};
+
+  const [broadcastRecord] = await db
+    .select({
+      id: broadcasts.id,
+      masjidId: broadcasts.masjidId,
+      status: broadcasts.status,
+      streamProvider: broadcasts.streamProvider,
+      streamRoomId: broadcasts.streamRoomId,
+      audioUrl: broadcasts.audioUrl,
+      masjidName: masjids.name,
+    })
+    .from(broadcasts)
+    .innerJoin(masjids, eq(masjids.id, broadcasts.masjidId))
+    .where(eq(broadcasts.id, id))
+    .limit(1);
+
+  if (!broadcastRecord) throw new ApiError(404, 'not_found', 'Broadcast not found');
+  if (!['pending', 'scheduled', 'live'].includes(broadcastRecord.status)) {
+    throw new ApiError(409, 'conflict', 'Broadcast has already ended');
   }
 
-  const token = await createLivekitToken({
-    identity: actorId,
-    roomName: resolvedRoomId,
-    canPublish: true,
-  });
+  await requireMasjidAuthority(actorId, broadcastRecord.masjidId);
 
-  if (!token) {
-    const configStatus = getLivekitConfigStatus();
+  const provider = getStreamProvider(broadcastRecord.streamProvider);
+  if (!provider.usesLivekitRoom) {
+    throw new ApiError(409, 'conflict', 'Broadcast is published from an external stream');
+  }
+  const configStatus = getLivekitConfigStatus();
+  if (!configStatus.ok) {
     throw new ApiError(500, 'configuration_error', 'LiveKit credentials missing', configStatus);
   }
 
+  const streamBroadcast = await prepareStreamRoom(provider, broadcastRecord);
+
+  const ingress = await bindMasjidIngress({
+    masjid: { id: broadcastRecord.masjidId, name: broadcastRecord.masjidName },
+    inputType,
+    broadcast: streamBroadcast,
+    actorId,
+  });
+
   return reply.status(200).send(
-    new ApiResponse(200, 'Broadcast token issued', {
-      token,
-      roomName: resolvedRoomId,
-      livekitUrl: resolvedAudioUrl,
+    new ApiResponse(200, 'Broadcast ingress ready', {
+      ...ingress,
+      roomName: streamBroadcast.streamRoomId,
     })
   );
 });
 
-// Create a listener token for LiveKit.
+// Listener credentials: a LiveKit token or a stream URL, depending on the provider.
 const getBroadcastListenerToken = asyncHandler(async (request, reply) => {
   const actorId = request.user?.id || request.user?.sub;
   if (!actorId) throw new ApiError(401, 'unauthorized', 'Missing auth context');
@@ -460,21 +967,34 @@ const getBroadcastListenerToken = asyncHandler(async (request, reply) => {
       masjidId: broadcasts.masjidId,
       status: broadcasts.status,
       startedAt: broadcasts.startedAt,
+      maxDurationMinutes: broadcasts.maxDurationMinutes,
       streamProvider: broadcasts.streamProvider,
       streamRoomId: broadcasts.streamRoomId,
       audioUrl: broadcasts.audioUrl,
+      hlsUrl: broadcasts.hlsUrl,
+      externalStreamUrl: masjids.externalStreamUrl,
+      masjidSlug: masjids.slug,
+      broadcastHlsVodEnabled: broadcasts.hlsVodEnabled,
+      masjidHlsVodEnabled: masjids.hlsVodEnabled,
     })
     .from(broadcasts)
+    .innerJoin(masjids, eq(masjids.id, broadcasts.masjidId))
     .where(eq(broadcasts.id, id))
     .limit(1);
 
   if (!broadcastRecord) throw new ApiError(404, 'not_found', 'Broadcast not found');
+
+  const provider = getStreamProvider(broadcastRecord.streamProvider);
+  const streamRecord = { ...broadcastRecord, hlsVodEnabled: isHlsVodRequested(broadcastRecord) };
+  // Completed broadcasts kept for VOD are replayed from their finalised playlists.
+  const replay = broadcastRecord.status === 'completed' && provider.canReplay(streamRecord);
+
   if (broadcastRecord.status === 'live') {
-    if (isBroadcastExpired(broadcastRecord.startedAt)) {
+    if (isBroadcastExpired(broadcastRecord)) {
       await markBroadcastExpired(broadcastRecord.id);
       throw new ApiError(409, 'conflict', 'Broadcast expired');
     }
-  } else {
+  } else if (!replay) {
     throw new ApiError(409, 'conflict', 'Broadcast is not live');
   }
 
@@ -488,62 +1008,46 @@ const getBroadcastListenerToken = asyncHandler(async (request, reply) => {
     throw new ApiError(403, 'forbidden', 'Subscription required');
   }
 
-  if (isHlsEnabled()) {
-    const signedUrl = signHlsUrl(broadcastRecord.id, '/api/v1');
-    const hlsUrl = signedUrl ?? broadcastRecord.hlsUrl;
-    if (!hlsUrl) {
-      throw new ApiError(503, 'service_unavailable', 'HLS stream not ready');
+  const streamBroadcast = replay ? streamRecord : await prepareStreamRoom(provider, streamRecord);
+
+  const stream = await provider.getListenerCredentials(streamBroadcast, {
+    identity: actorId,
+    basePath: '/api/v1',
+    codecs: request.body?.codecs,
+    userAgent: request.headers['user-agent'],
+  });
+
+  if (!stream) {
+    const health = provider.health();
+    if (!health.ok) {
+      throw new ApiError(500, 'configuration_error', 'Stream provider not configured', {
+        streamProvider: provider.id,
+        ...health,
+      });
     }
+    throw new ApiError(503, 'service_unavailable', 'Stream not ready');
+  }
 
+  if (stream.format !== 'livekit') {
     return reply.status(200).send(
       new ApiResponse(200, 'Listener stream ready', {
-        streamUrl: hlsUrl,
-        format: 'hls',
+        streamUrl: stream.url,
+        format: stream.format,
+        codec: stream.codec ?? null,
+        variants: stream.variants ?? null,
+        replay,
       })
     );
   }
 
-  const provider = broadcastRecord.streamProvider ?? 'livekit';
-  let resolvedRoomId = broadcastRecord.streamRoomId;
-  let resolvedAudioUrl = broadcastRecord.audioUrl ?? getLivekitUrl();
-
-  if (!resolvedRoomId && provider === 'livekit' && getLivekitUrl()) {
-    const roomName = `broadcast-${broadcastRecord.id}`;
-    await ensureLivekitRoom(roomName);
-    resolvedRoomId = roomName;
-
-    await db
-      .update(broadcasts)
-      .set({
-        streamRoomId: roomName,
-        audioUrl: resolvedAudioUrl,
-        updatedAt: new Date(),
-      })
-      .where(eq(broadcasts.id, broadcastRecord.id));
-  }
-
-  if (!resolvedRoomId) {
-    throw new ApiError(500, 'configuration_error', 'LiveKit room not configured');
-  }
-
-  const token = await createLivekitToken({
-    identity: actorId,
-    roomName: resolvedRoomId,
-    canPublish: false,
+  await recordListenerHeartbeat({
+    broadcastId: broadcastRecord.id,
+    listenerId: getUserListenerId(actorId),
+    platform: detectPlatform(request.headers['user-agent']),
+    ttlSeconds: LISTENER_TOKEN_PRESENCE_SECONDS,
   });
 
-  if (!token) {
-    const configStatus = getLivekitConfigStatus();
-    throw new ApiError(500, 'configuration_error', 'LiveKit credentials missing', configStatus);
-  }
-
-  return reply.status(200).send(
-    new ApiResponse(200, 'Listener token issued', {
-      token,
-      roomName: resolvedRoomId,
-      livekitUrl: resolvedAudioUrl,
-    })
-  );
+  return reply.status(200).send(new ApiResponse(200, 'Listener token issued', stream));
 });
 
 // End a broadcast.
@@ -565,23 +1069,22 @@ const endBroadcast = asyncHandler(async (request, reply) => {
     .limit(1);
 
   if (!broadcastRecord) throw new ApiError(404, 'not_found', 'Broadcast not found');
-  if (broadcastRecord.status === 'completed') {
-    throw new ApiError(409, 'conflict', 'Broadcast already ended');
-  }
+  assertBroadcastTransition(broadcastRecord.status, 'completed');
 
   await requireMasjidAuthority(actorId, broadcastRecord.masjidId);
 
-  const [updatedBroadcast] = await db
-    .update(broadcasts)
-    .set({
-      status: 'completed',
+  const updatedBroadcast = await transitionBroadcast({
+    broadcastId: id,
+    to: 'completed',
+    source: 'api',
+    actorId,
+    reason: endedReason ?? 'ended_by_broadcaster',
+    values: {
       endedAt: new Date(),
       recordingUrl: recordingUrl ?? undefined,
       endedReason: endedReason ?? undefined,
-      updatedAt: new Date(),
-    })
-    .where(eq(broadcasts.id, id))
-    .returning({
+    },
+    returning: {
       id: broadcasts.id,
       masjidId: broadcasts.masjidId,
       status: broadcasts.status,
@@ -589,52 +1092,337 @@ const endBroadcast = asyncHandler(async (request, reply) => {
       recordingUrl: broadcasts.recordingUrl,
       endedReason: broadcasts.endedReason,
       updatedAt: broadcasts.updatedAt,
-    });
+    },
+  });
+
+  await enqueueBroadcastEndJobs(updatedBroadcast);
+
+  return reply.status(200).send(new ApiResponse(200, 'Broadcast ended', updatedBroadcast));
+});
+
+// Add time to a live broadcast and push back its auto-end.
+const extendBroadcast = asyncHandler(async (request, reply) => {
+  const actorId = request.user?.id || request.user?.sub;
+  if (!actorId) throw new ApiError(401, 'unauthorized', 'Missing auth context');
+
+  const params = request.params;
+  if (!params?.id) throw new ApiError(400, 'validation_error', 'Missing broadcast id');
+  const { id } = params;
+
+  const body = request.body;
+  if (!body) throw new ApiError(400, 'validation_error', 'Missing request body');
+  const { minutes } = body;
+
+  const [broadcastRecord] = await db
+    .select({ id: broadcasts.id, masjidId: broadcasts.masjidId })
+    .from(broadcasts)
+    .where(eq(broadcasts.id, id))
+    .limit(1);
+
+  if (!broadcastRecord) throw new ApiError(404, 'not_found', 'Broadcast not found');
+
+  await requireMasjidAuthority(actorId, broadcastRecord.masjidId);
+
+  const { updatedBroadcast, previousEndsAt } = await db.transaction(async (tx) => {
+    const [current] = await tx
+      .select({
+        status: broadcasts.status,
+        startedAt: broadcasts.startedAt,
+        maxDurationMinutes: broadcasts.maxDurationMinutes,
+      })
+      .from(broadcasts)
+      .where(eq(broadcasts.id, id))
+      .limit(1)
+      .for('update');
+
+    if (current?.status !== 'live') throw new ApiError(409, 'conflict', 'Broadcast is not live');
+    if (isBroadcastExpired(current)) throw new ApiError(409, 'conflict', 'Broadcast expired');
+
+    const currentMinutes = current.maxDurationMinutes ?? getBroadcastMaxMinutes();
+    const nextMinutes = currentMinutes + minutes;
+    if (nextMinutes > BROADCAST_MAX_MINUTES_CEILING) {
+      throw new ApiError(
+        409,
+        'conflict',
+        `Broadcasts cannot run longer than ${BROADCAST_MAX_MINUTES_CEILING} minutes`,
+        { maxDurationMinutes: currentMinutes }
+      );
+    }
+
+    const [updatedBroadcast] = await tx
+      .update(broadcasts)
+      .set({ maxDurationMinutes: nextMinutes, updatedAt: new Date() })
+      .where(eq(broadcasts.id, id))
+      .returning({
+        id: broadcasts.id,
+        masjidId: broadcasts.masjidId,
+        status: broadcasts.status,
+        startedAt: broadcasts.startedAt,
+        maxDurationMinutes: broadcasts.maxDurationMinutes,
+        updatedAt: broadcasts.updatedAt,
+      });
 
-  await notificationQueue.add('broadcast-end', {
-    broadcastId: updatedBroadcast.id,
+    return { updatedBroadcast, previousEndsAt: getBroadcastEndsAt(current) };
+  });
+
+  await scheduleBroadcastAutoEnd(updatedBroadcast, { previousEndsAt });
+
+  const endsAt = getBroadcastEndsAt(updatedBroadcast);
+  await publishBroadcastUpdate({
+    event: 'extended',
     masjidId: updatedBroadcast.masjidId,
+    broadcastId: id,
+    data: { endsAt: endsAt.toISOString(), maxDurationMinutes: updatedBroadcast.maxDurationMinutes },
   });
 
-  if (isHlsEnabled()) {
-    await broadcastQueue.add('hls-stop', { broadcastId: updatedBroadcast.id });
+  return reply.status(200).send(
+    new ApiResponse(200, 'Broadcast extended', { ...updatedBroadcast, endsAt })
+  );
+});
+
+// List lifecycle events for a broadcast (masjid admins and super admins).
+const listBroadcastEvents = asyncHandler(async (request, reply) => {
+  const actorId = request.user?.id || request.user?.sub;
+  const actorRole = request.user?.role;
+  if (!actorId) throw new ApiError(401, 'unauthorized', 'Missing auth context');
+
+  const params = request.params;
+  if (!params?.id) throw new ApiError(400, 'validation_error', 'Missing broadcast id');
+  const { id } = params;
+
+  const [broadcastRecord] = await db
+    .select({ id: broadcasts.id, masjidId: broadcasts.masjidId })
+    .from(broadcasts)
+    .where(eq(broadcasts.id, id))
+    .limit(1);
+
+  if (!broadcastRecord) throw new ApiError(404, 'not_found', 'Broadcast not found');
+
+  if (actorRole !== 'super_admin') {
+    await requireMasjidAuthority(actorId, broadcastRecord.masjidId);
   }
 
-  return reply.status(200).send(new ApiResponse(200, 'Broadcast ended', updatedBroadcast));
+  const items = await db
+    .select({
+      id: broadcastEvents.id,
+      broadcastId: broadcastEvents.broadcastId,
+      fromStatus: broadcastEvents.fromStatus,
+      toStatus: broadcastEvents.toStatus,
+      source: broadcastEvents.source,
+      actorId: broadcastEvents.actorId,
+      reason: broadcastEvents.reason,
+      createdAt: broadcastEvents.createdAt,
+    })
+    .from(broadcastEvents)
+    .where(eq(broadcastEvents.broadcastId, id))
+    .orderBy(broadcastEvents.createdAt);
+
+  return reply.status(200).send(new ApiResponse(200, 'Broadcast events fetched', items));
+});
+
+// Listener figures for a broadcast: live from Redis, persisted once it has ended.
+const getBroadcastStats = asyncHandler(async (request, reply) => {
+  const actorId = request.user?.id || request.user?.sub;
+  const actorRole = request.user?.role;
+  if (!actorId) throw new ApiError(401, 'unauthorized', 'Missing auth context');
+
+  const params = request.params;
+  if (!params?.id) throw new ApiError(400, 'validation_error', 'Missing broadcast id');
+  const { id } = params;
+
+  const [broadcastRecord] = await db
+    .select({ id: broadcasts.id, masjidId: broadcasts.masjidId, status: broadcasts.status })
+    .from(broadcasts)
+    .where(eq(broadcasts.id, id))
+    .limit(1);
+
+  if (!broadcastRecord) throw new ApiError(404, 'not_found', 'Broadcast not found');
+
+  if (actorRole !== 'super_admin') {
+    await requireMasjidAuthority(actorId, broadcastRecord.masjidId);
+  }
+
+  if (broadcastRecord.status === 'live') {
+    const stats = await getListenerStats(id);
+    return reply.status(200).send(
+      new ApiResponse(200, 'Broadcast stats fetched', {
+        broadcastId: id,
+        status: broadcastRecord.status,
+        live: true,
+        ...stats,
+      })
+    );
+  }
+
+  const [storedStats] = await db
+    .select({
+      peakListeners: broadcastStats.peakListeners,
+      uniqueListeners: broadcastStats.uniqueListeners,
+      avgListenSeconds: broadcastStats.avgListenSeconds,
+      platformSplit: broadcastStats.platformSplit,
+      updatedAt: broadcastStats.updatedAt,
+    })
+    .from(broadcastStats)
+    .where(eq(broadcastStats.broadcastId, id))
+    .limit(1);
+
+  return reply.status(200).send(
+    new ApiResponse(200, 'Broadcast stats fetched', {
+      broadcastId: id,
+      status: broadcastRecord.status,
+      live: false,
+      peakListeners: storedStats?.peakListeners ?? 0,
+      uniqueListeners: storedStats?.uniqueListeners ?? 0,
+      avgListenSeconds: storedStats?.avgListenSeconds ?? 0,
+      platformSplit: storedStats?.platformSplit ?? {},
+      updatedAt: storedStats?.updatedAt ?? null,
+    })
+  );
 });
 
+const HLS_PLAYLIST_MAX_AGE_SECONDS = 1;
+const HLS_SEGMENT_MAX_AGE_SECONDS = 365 * 24 * 60 * 60;
+const HLS_SEGMENT_CONTENT_TYPES = {
+  '.m4s': 'video/iso.segment',
+  '.mp4': 'video/mp4',
+};
+
+// Every listener polls the playlist several times a second, so the broadcast's status
+// is read from the database at most once per interval per broadcast.
+const HLS_STATUS_CACHE_MS = 2 * 1000;
+const hlsBroadcastStatuses = new Map();
+
+async function getHlsBroadcastStatus(broadcastId) {
+  const cached = hlsBroadcastStatuses.get(broadcastId);
+  if (cached && cached.expiresAt > Date.now()) return cached.status;
+
+  const [broadcastRecord] = await db
+    .select({ status: broadcasts.status })
+    .from(broadcasts)
+    .where(eq(broadcasts.id, broadcastId))
+    .limit(1);
+
+  for (const [key, entry] of hlsBroadcastStatuses) {
+    if (entry.expiresAt <= Date.now()) hlsBroadcastStatuses.delete(key);
+  }
+  const status = broadcastRecord?.status ?? null;
+  hlsBroadcastStatuses.set(broadcastId, { status, expiresAt: Date.now() + HLS_STATUS_CACHE_MS });
+  return status;
+}
+
+async function readHlsFile(assetPath) {
+  try {
+    return await fs.promises.readFile(assetPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Cache key that changes whenever the file is rewritten.
+async function getHlsFileVersionKey(assetPath) {
+  try {
+    const stat = await fs.promises.stat(assetPath);
+    return `${assetPath}:${stat.mtimeMs}:${stat.size}`;
+  } catch (error) {
+    if (error.code === 'ENOENT') return assetPath;
+    throw error;
+  }
+}
+
+async function readHlsPlaylistFile(assetPath) {
+  const body = await readHlsFile(assetPath);
+  return body ? body.toString('utf8') : null;
+}
+
+// ETag revalidation and byte ranges over an in-memory HLS file.
+function sendHlsFile(request, reply, { body, etag }) {
+  reply.header('ETag', etag);
+  const ifNoneMatch = request.headers['if-none-match'];
+  if (ifNoneMatch && ifNoneMatch.split(',').some((value) => value.trim() === etag)) {
+    return reply.status(304).send();
+  }
+
+  return sendWithRange(request, reply, {
+    size: body.length,
+    createStream: (range) =>
+      Readable.from([range ? body.subarray(range.start, range.end + 1) : body]),
+  });
+}
+
+function parseHlsDirective(value, name) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new ApiError(400, 'validation_error', `Invalid ${name}`);
+  }
+  return number;
+}
+
+// LL-HLS blocking reload: `_HLS_msn`/`_HLS_part` hold the response until that part exists.
+async function getLowLatencyPlaylist(assetDir, query) {
+  const msn = parseHlsDirective(query._HLS_msn, '_HLS_msn');
+  const part = parseHlsDirective(query._HLS_part, '_HLS_part');
+  if (msn === undefined) {
+    if (part !== undefined) throw new ApiError(400, 'validation_error', '_HLS_part requires _HLS_msn');
+    return buildLowLatencyPlaylist(await readHlsSource(assetDir));
+  }
+
+  if (!isHlsPositionReachable(await readHlsSource(assetDir), { msn })) {
+    throw new ApiError(400, 'validation_error', '_HLS_msn is too far ahead of the live edge');
+  }
+
+  const ready = await waitForHlsOutput(
+    assetDir,
+    async () => hasHlsPosition(await readHlsSource(assetDir), { msn, part }),
+    getHlsBlockingTimeoutMs()
+  );
+  if (!ready) throw new ApiError(503, 'service_unavailable', 'HLS stream is not advancing');
+
+  const source = await readHlsSource(assetDir);
+  if (!source) throw new ApiError(404, 'not_found', 'HLS asset not found');
+  return buildLowLatencyPlaylist(source);
+}
+
 const getHlsAsset = asyncHandler(async (request, reply) => {
   const params = request.params;
   const query = request.query ?? {};
   if (!params?.id || !params?.file) throw new ApiError(400, 'validation_error', 'Missing HLS asset params');
 
-  const { id, file } = params;
-  const { exp, sig } = query;
-
-  let authorized = verifyHlsSignature(id, exp, sig);
+  const { id, variant, file } = params;
 
-  if (!authorized) {
-    const authHeader = request.headers.authorization;
-    const bearer = authHeader?.startsWith('Bearer ')
-      ? authHeader.slice('Bearer '.length)
-      : undefined;
-    const cookieToken = request.cookies?.accessToken;
-    const token = bearer || cookieToken;
+  // Variant playlists and their segments live one level down, e.g. `aac-32k/index.m3u8`.
+  if (variant !== undefined && !isHlsVariantName(variant)) {
+    throw new ApiError(404, 'not_found', 'HLS asset not found');
+  }
 
-    if (!token) throw new ApiError(401, 'unauthorized', 'Missing token');
+  const isPlaylist = file.endsWith('.m3u8');
+  // Media files carry a signature shared by all listeners; it expires with its window.
+  const mediaExpiry = isPlaylist ? null : verifyHlsMediaSignature(id, query);
+  let actorId = mediaExpiry ? null : verifyHlsSignature(id, query);
 
-    const payload = verifyAccessToken(token);
-    const actorId = payload?.id || payload?.sub;
-    if (!actorId) throw new ApiError(401, 'unauthorized', 'Invalid token');
+  if (!mediaExpiry && !actorId) {
+    // Native players keep reloading a variant playlist through the URL the master gave
+    // them; once that expires, its signature still vouches for the listener while the
+    // broadcast is live and they remain subscribed.
+    const expiredPlaylistUserId = isPlaylist
+      ? verifyHlsSignature(id, query, { allowExpired: true })
+      : null;
+    actorId = expiredPlaylistUserId ? null : getActorIdFromHeaders(request);
 
     const [broadcastRecord] = await db
-      .select({ masjidId: broadcasts.masjidId })
+      .select({ masjidId: broadcasts.masjidId, status: broadcasts.status })
       .from(broadcasts)
       .where(eq(broadcasts.id, id))
       .limit(1);
 
     if (!broadcastRecord) throw new ApiError(404, 'not_found', 'Broadcast not found');
 
+    if (!actorId) {
+      actorId =
+        broadcastRecord.status === 'live' ? expiredPlaylistUserId : getActorIdFromHeaders(request);
+    }
+
     const [subscription] = await db
       .select({ userId: subscriptions.userId })
       .from(subscriptions)
@@ -645,30 +1433,269 @@ const getHlsAsset = asyncHandler(async (request, reply) => {
   }
 
   const safeFile = path.basename(file);
-  const assetPath = path.resolve(env.HLS_OUTPUT_DIR, 'broadcasts', id, safeFile);
+  const assetDir = path.resolve(env.HLS_OUTPUT_DIR, 'broadcasts', id, variant ?? '');
+  const assetPath = path.join(assetDir, safeFile);
 
-  if (!fs.existsSync(assetPath)) {
-    throw new ApiError(404, 'not_found', 'HLS asset not found');
-  }
+  // Renditions written as LL-HLS parts get their playlist and full segments built on request.
+  const source = variant !== undefined ? await readHlsSource(assetDir) : null;
 
   if (safeFile.endsWith('.m3u8')) {
+    let playlist =
+      source && safeFile === 'index.m3u8'
+        ? await getLowLatencyPlaylist(assetDir, query)
+        : await readHlsPlaylistFile(assetPath);
+    if (playlist === null) throw new ApiError(404, 'not_found', 'HLS asset not found');
+
+    // Players poll the playlist throughout playback, so each fetch doubles as a heartbeat;
+    // VOD replays of a finished broadcast are not live listeners.
+    if ((await getHlsBroadcastStatus(id)) === 'live') {
+      const userAgent = request.headers['user-agent'];
+      await recordListenerHeartbeat({
+        broadcastId: id,
+        listenerId: getUserListenerId(actorId),
+        platform: detectPlatform(userAgent),
+      });
+    }
+
+    // Re-sign every URI on each fetch, so native players that send no auth headers keep
+    // fresh, current-key signatures for as long as they poll.
+    const signedQuery = signHlsQuery(id, actorId);
+    if (signedQuery) {
+      playlist = appendHlsPlaylistQuery(playlist, {
+        playlistQuery: signedQuery,
+        mediaQuery: signHlsMediaQuery(id),
+      });
+    }
+
+    // Signed playlists name their listener, so only the listener's own cache may keep them.
     reply.type('application/vnd.apple.mpegurl');
-  } else if (safeFile.endsWith('.m4s')) {
-    reply.type('video/iso.segment');
-  } else if (safeFile.endsWith('.mp4')) {
-    reply.type('video/mp4');
+    reply.header(
+      'Cache-Control',
+      `${signedQuery ? 'private' : 'public'}, max-age=${HLS_PLAYLIST_MAX_AGE_SECONDS}`
+    );
+    return sendHlsFile(request, reply, {
+      body: Buffer.from(playlist),
+      etag: createHlsEtag(playlist),
+    });
+  }
+
+  const contentType = HLS_SEGMENT_CONTENT_TYPES[path.extname(safeFile)];
+  if (!contentType) throw new ApiError(404, 'not_found', 'HLS asset not found');
+
+  const loadFile = () =>
+    source && isHlsSegmentFile(safeFile)
+      ? readHlsSegment(assetDir, safeFile)
+      : readHlsFile(assetPath);
+
+  // A restarted relay rewrites init.mp4 in place, so its cache entry follows the file.
+  const isInitFile = path.extname(safeFile) === '.mp4';
+  const cacheKey = isInitFile ? await getHlsFileVersionKey(assetPath) : assetPath;
+
+  let asset = await getCachedHlsFile(cacheKey, loadFile);
+  // Players request the hinted next part early and expect it once ffmpeg has written it.
+  if (!asset && isHlsPreloadPart(source, safeFile)) {
+    const written = await waitForHlsOutput(
+      assetDir,
+      async () => fs.existsSync(assetPath),
+      getHlsBlockingTimeoutMs()
+    );
+    if (written) asset = await getCachedHlsFile(cacheKey, loadFile);
+  }
+  if (!asset) throw new ApiError(404, 'not_found', 'HLS asset not found');
+
+  // Part and segment names are never reused. Under the shared signature a CDN keeps them
+  // until that signature expires; other requests were authorised per listener. The init
+  // file is revalidated by ETag every time.
+  const scope = mediaExpiry ? 'public' : 'private';
+  const maxAge = mediaExpiry
+    ? Math.max(0, mediaExpiry - Math.floor(Date.now() / 1000))
+    : HLS_SEGMENT_MAX_AGE_SECONDS;
+  reply.type(contentType);
+  reply.header(
+    'Cache-Control',
+    isInitFile ? `${scope}, no-cache` : `${scope}, max-age=${maxAge}, immutable`
+  );
+  return sendHlsFile(request, reply, asset);
+});
+
+// Issue a short-lived signed URL for a broadcast recording.
+const getBroadcastRecordingUrl = asyncHandler(async (request, reply) => {
+  const actorId = request.user?.id || request.user?.sub;
+  if (!actorId) throw new ApiError(401, 'unauthorized', 'Missing auth context');
+
+  const params = request.params;
+  if (!params?.id) throw new ApiError(400, 'validation_error', 'Missing broadcast id');
+  const { id } = params;
+
+  const [broadcastRecord] = await db
+    .select({ id: broadcasts.id, masjidId: broadcasts.masjidId, recordingPath: broadcasts.recordingPath })
+    .from(broadcasts)
+    .where(eq(broadcasts.id, id))
+    .limit(1);
+
+  if (!broadcastRecord) throw new ApiError(404, 'not_found', 'Broadcast not found');
+  if (!broadcastRecord.recordingPath) throw new ApiError(404, 'not_found', 'Recording not available');
+
+  await assertMasjidAccess(actorId, broadcastRecord.masjidId);
+
+  const signedUrl = signRecordingUrl(broadcastRecord.id, '/api/v1');
+  if (!signedUrl) {
+    throw new ApiError(500, 'configuration_error', 'Recording signing secret missing');
+  }
+
+  return reply.status(200).send(new ApiResponse(200, 'Recording URL issued', { url: signedUrl }));
+});
+
+// Stream a broadcast recording; accepts a signed URL or a bearer/cookie token.
+const getBroadcastRecording = asyncHandler(async (request, reply) => {
+  const params = request.params;
+  const query = request.query ?? {};
+  if (!params?.id) throw new ApiError(400, 'validation_error', 'Missing broadcast id');
+
+  const { id } = params;
+  const { exp, sig } = query;
+
+  const [broadcastRecord] = await db
+    .select({ masjidId: broadcasts.masjidId, recordingPath: broadcasts.recordingPath })
+    .from(broadcasts)
+    .where(eq(broadcasts.id, id))
+    .limit(1);
+
+  if (!broadcastRecord) throw new ApiError(404, 'not_found', 'Broadcast not found');
+
+  if (!verifyRecordingSignature(id, exp, sig)) {
+    const actorId = getActorIdFromHeaders(request);
+    await assertMasjidAccess(actorId, broadcastRecord.masjidId);
   }
 
-  reply.header('Cache-Control', 'no-cache');
-  return reply.send(fs.createReadStream(assetPath));
+  const recordingPath = broadcastRecord.recordingPath
+    ? resolveRecordingPath(broadcastRecord.recordingPath)
+    : null;
+  if (!recordingPath) throw new ApiError(404, 'not_found', 'Recording not available');
+
+  let stats;
+  try {
+    stats = await fs.promises.stat(recordingPath);
+  } catch {
+    throw new ApiError(404, 'not_found', 'Recording not available');
+  }
+
+  reply.type(getRecordingContentType(recordingPath));
+  reply.header('Cache-Control', 'private, max-age=3600');
+  return sendWithRange(request, reply, {
+    size: stats.size,
+    createStream: (range) => fs.createReadStream(recordingPath, range),
+  });
+});
+
+const SSE_HEARTBEAT_MS = 25 * 1000;
+
+// Server-Sent Events stream of status changes for the caller's subscribed masjids.
+const streamBroadcastUpdates = asyncHandler(async (request, reply) => {
+  const actorId = request.user?.id || request.user?.sub;
+  if (!actorId) throw new ApiError(401, 'unauthorized', 'Missing auth context');
+
+  const query = request.query ?? {};
+  const requestedIds = query.masjidIds ?? [];
+
+  const subscribed = await db
+    .select({ masjidId: subscriptions.masjidId })
+    .from(subscriptions)
+    .where(eq(subscriptions.userId, actorId));
+
+  const subscribedIds = subscribed.map((item) => item.masjidId);
+  const masjidIds = requestedIds.length
+    ? requestedIds.filter((masjidId) => subscribedIds.includes(masjidId))
+    : subscribedIds;
+
+  if (!masjidIds.length) throw new ApiError(403, 'forbidden', 'Subscription required');
+
+  // Updates published while the snapshot loads are held back and sent after it.
+  const pending = [];
+  let streaming = false;
+  const send = (update) => {
+    if (!streaming) {
+      pending.push(update);
+      return;
+    }
+    if (reply.raw.destroyed) return;
+    reply.raw.write(`event: ${update.event}\ndata: ${JSON.stringify(update)}\n\n`);
+  };
+
+  // Subscribe and load the snapshot before hijacking, so failures still get an error reply.
+  const unsubscribe = await subscribeToMasjids(masjidIds, send);
+  let liveBroadcasts;
+  try {
+    liveBroadcasts = await db
+      .select({
+        id: broadcasts.id,
+        masjidId: broadcasts.masjidId,
+        prayerName: broadcasts.prayerName,
+        startedAt: broadcasts.startedAt,
+      })
+      .from(broadcasts)
+      .where(and(inArray(broadcasts.masjidId, masjidIds), eq(broadcasts.status, 'live')));
+  } catch (error) {
+    unsubscribe();
+    throw error;
+  }
+
+  if (reply.raw.destroyed) {
+    unsubscribe();
+    return;
+  }
+
+  reply.hijack();
+  reply.raw.writeHead(200, {
+    ...reply.getHeaders(),
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  reply.raw.write('retry: 5000\n\n');
+
+  const heartbeat = setInterval(() => {
+    if (!reply.raw.destroyed) reply.raw.write(': ping\n\n');
+  }, SSE_HEARTBEAT_MS);
+
+  request.raw.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  streaming = true;
+  for (const item of liveBroadcasts) {
+    send({
+      event: 'live',
+      masjidId: item.masjidId,
+      broadcastId: item.id,
+      status: 'live',
+      prayerName: item.prayerName,
+      startedAt: item.startedAt,
+      at: new Date().toISOString(),
+    });
+  }
+  for (const update of pending.splice(0)) send(update);
 });
 
 export {
   createBroadcast,
+  updateBroadcast,
+  cancelBroadcast,
   listBroadcasts,
+  listLiveBroadcasts,
+  listUpcomingBroadcasts,
   startBroadcast,
   endBroadcast,
+  extendBroadcast,
   getBroadcastToken,
   getBroadcastListenerToken,
+  createBroadcastIngress,
   getHlsAsset,
+  listBroadcastEvents,
+  getBroadcastStats,
+  getBroadcastRecordingUrl,
+  getBroadcastRecording,
+  streamBroadcastUpdates,
 };
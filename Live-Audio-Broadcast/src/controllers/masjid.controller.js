@@ -1,15 +1,26 @@
 // Masjid controller handlers.
 import crypto from 'crypto';
-import { and, eq, ilike, sql } from 'drizzle-orm';
+import { and, asc, eq, gte, ilike, isNotNull, lt, sql } from 'drizzle-orm';
 import { db } from '../db/client.js';
-import { masjidAdmins, masjidRequests, masjidStaff, masjids, users } from '../db/schema.js';
+import {
+  broadcastStats,
+  broadcasts,
+  masjidAdmins,
+  masjidRequests,
+  masjidStaff,
+  masjids,
+  users,
+} from '../db/schema.js';
 import { redis } from '../config/redis.js';
+import { env } from '../config/env.js';
+import { getHlsUsageByMasjid } from '../services/hls-retention.js';
 import { asyncHandler } from '../utils/async-handler.js';
 import { ApiError } from '../utils/api-error.js';
 import { ApiResponse } from '../utils/api-response.js';
 
 const MASJID_CACHE_TTL_SECONDS = 3600;
 const STATIC_FIELDS = ['name', 'address', 'city', 'country', 'latitude', 'longitude'];
+const BROADCAST_STATS_DEFAULT_DAYS = 30;
 
 // Generate a URL-friendly slug from a name.
 function slugify(value) {
@@ -534,6 +545,15 @@ const updateMasjid = asyncHandler(async (request, reply) => {
     contactEmail,
     contactPhone,
     logoUrl,
+    recordingEnabled,
+    broadcastMaxMinutes,
+    prayerMaxMinutes,
+    adhanFallbackEnabled,
+    adhanFallbackAudioUrl,
+    streamProvider,
+    externalStreamUrl,
+    hlsBitrateLadderKbps,
+    hlsVodEnabled,
     isApproved,
     isActive,
   } = body;
@@ -574,6 +594,15 @@ const updateMasjid = asyncHandler(async (request, reply) => {
   if (contactEmail !== undefined) updateValues.contactEmail = contactEmail;
   if (contactPhone !== undefined) updateValues.contactPhone = contactPhone;
   if (logoUrl !== undefined) updateValues.logoUrl = logoUrl;
+  if (recordingEnabled !== undefined) updateValues.recordingEnabled = recordingEnabled;
+  if (broadcastMaxMinutes !== undefined) updateValues.broadcastMaxMinutes = broadcastMaxMinutes;
+  if (prayerMaxMinutes !== undefined) updateValues.prayerMaxMinutes = prayerMaxMinutes;
+  if (adhanFallbackEnabled !== undefined) updateValues.adhanFallbackEnabled = adhanFallbackEnabled;
+  if (adhanFallbackAudioUrl !== undefined) updateValues.adhanFallbackAudioUrl = adhanFallbackAudioUrl;
+  if (streamProvider !== undefined) updateValues.streamProvider = streamProvider;
+  if (externalStreamUrl !== undefined) updateValues.externalStreamUrl = externalStreamUrl;
+  if (hlsBitrateLadderKbps !== undefined) updateValues.hlsBitrateLadderKbps = hlsBitrateLadderKbps;
+  if (hlsVodEnabled !== undefined) updateValues.hlsVodEnabled = hlsVodEnabled;
   if (actorRole === 'super_admin' && isApproved !== undefined) updateValues.isApproved = isApproved;
   if (actorRole === 'super_admin' && isActive !== undefined) updateValues.isActive = isActive;
 
@@ -596,6 +625,15 @@ const updateMasjid = asyncHandler(async (request, reply) => {
       contactEmail: masjids.contactEmail,
       contactPhone: masjids.contactPhone,
       logoUrl: masjids.logoUrl,
+      recordingEnabled: masjids.recordingEnabled,
+      broadcastMaxMinutes: masjids.broadcastMaxMinutes,
+      prayerMaxMinutes: masjids.prayerMaxMinutes,
+      adhanFallbackEnabled: masjids.adhanFallbackEnabled,
+      adhanFallbackAudioUrl: masjids.adhanFallbackAudioUrl,
+      streamProvider: masjids.streamProvider,
+      externalStreamUrl: masjids.externalStreamUrl,
+      hlsBitrateLadderKbps: masjids.hlsBitrateLadderKbps,
+      hlsVodEnabled: masjids.hlsVodEnabled,
       isApproved: masjids.isApproved,
       isActive: masjids.isActive,
       createdAt: masjids.createdAt,
@@ -636,6 +674,15 @@ const getMasjid = asyncHandler(async (request, reply) => {
       contactEmail: masjids.contactEmail,
       contactPhone: masjids.contactPhone,
       logoUrl: masjids.logoUrl,
+      recordingEnabled: masjids.recordingEnabled,
+      broadcastMaxMinutes: masjids.broadcastMaxMinutes,
+      prayerMaxMinutes: masjids.prayerMaxMinutes,
+      adhanFallbackEnabled: masjids.adhanFallbackEnabled,
+      adhanFallbackAudioUrl: masjids.adhanFallbackAudioUrl,
+      streamProvider: masjids.streamProvider,
+      externalStreamUrl: masjids.externalStreamUrl,
+      hlsBitrateLadderKbps: masjids.hlsBitrateLadderKbps,
+      hlsVodEnabled: masjids.hlsVodEnabled,
       isApproved: masjids.isApproved,
       isActive: masjids.isActive,
       createdAt: masjids.createdAt,
@@ -722,6 +769,78 @@ const listMasjids = asyncHandler(async (request, reply) => {
   }));
 });
 
+// Listener figures per broadcast over a date range, for masjid admins.
+const listMasjidBroadcastStats = asyncHandler(async (request, reply) => {
+  const actorId = request.user?.id || request.user?.sub;
+  const actorRole = request.user?.role;
+  if (!actorId) throw new ApiError(401, 'unauthorized', 'Missing auth context');
+
+  const params = request.params;
+  if (!params?.id) throw new ApiError(400, 'validation_error', 'Missing masjid id');
+  const { id } = params;
+
+  if (actorRole !== 'super_admin') {
+    await requireMasjidAdmin(actorId, id);
+  }
+
+  const query = request.query ?? {};
+  const to = query.to ?? new Date();
+  const from =
+    query.from ?? new Date(to.getTime() - BROADCAST_STATS_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+
+  const filters = [
+    eq(broadcasts.masjidId, id),
+    isNotNull(broadcasts.startedAt),
+    gte(broadcasts.startedAt, from),
+    lt(broadcasts.startedAt, to),
+  ];
+  if (query.prayerName) {
+    filters.push(eq(broadcasts.prayerName, query.prayerName));
+  }
+
+  const points = await db
+    .select({
+      broadcastId: broadcasts.id,
+      prayerName: broadcasts.prayerName,
+      status: broadcasts.status,
+      startedAt: broadcasts.startedAt,
+      endedAt: broadcasts.endedAt,
+      peakListeners: broadcastStats.peakListeners,
+      uniqueListeners: broadcastStats.uniqueListeners,
+      avgListenSeconds: broadcastStats.avgListenSeconds,
+      platformSplit: broadcastStats.platformSplit,
+    })
+    .from(broadcasts)
+    .leftJoin(broadcastStats, eq(broadcastStats.broadcastId, broadcasts.id))
+    .where(and(...filters))
+    .orderBy(asc(broadcasts.startedAt));
+
+  return reply.status(200).send(
+    new ApiResponse(200, 'Broadcast stats fetched', points, {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      prayerName: query.prayerName ?? null,
+    })
+  );
+});
+
+// HLS disk usage per masjid (super_admin only).
+const getHlsStorageUsage = asyncHandler(async (request, reply) => {
+  const actorId = request.user?.id || request.user?.sub;
+  const actorRole = request.user?.role;
+  if (!actorId) throw new ApiError(401, 'unauthorized', 'Missing auth context');
+  if (actorRole !== 'super_admin') throw new ApiError(403, 'forbidden', 'Insufficient privileges');
+
+  const usage = await getHlsUsageByMasjid();
+
+  return reply.status(200).send(
+    new ApiResponse(200, 'HLS storage usage fetched', usage.masjids, {
+      totalBytes: usage.totalBytes,
+      retentionHours: env.HLS_RETENTION_HOURS,
+    })
+  );
+});
+
 export {
   createMasjid,
   approveMasjidRequest,
@@ -732,4 +851,6 @@ export {
   updateMasjid,
   getMasjid,
   listMasjids,
+  listMasjidBroadcastStats,
+  getHlsStorageUsage,
 };
@@ -0,0 +1,338 @@
+// Webhook controller handlers.
+import { desc, eq } from 'drizzle-orm';
+import { db } from '../db/client.js';
+import { broadcasts } from '../db/schema.js';
+import { logger } from '../config/logger.js';
+import {
+  isLivekitEgressFailed,
+  isLivekitIngressFailed,
+  listLivekitParticipants,
+  receiveLivekitWebhook,
+} from '../services/livekit.js';
+import { publishBroadcastUpdate } from '../services/broadcast-stream.js';
+import { isAdhanFallbackIdentity } from '../services/adhan-fallback.js';
+import { findMasjidIngressBroadcastId } from '../services/masjid-ingress.js';
+import {
+  getUserListenerId,
+  recordListenerJoin,
+  recordListenerLeave,
+} from '../services/listener-analytics.js';
+import {
+  canTransitionBroadcast,
+  enqueueBroadcastEndJobs,
+  enqueueBroadcastStartJobs,
+  resolveBroadcastMaxMinutes,
+  transitionBroadcast,
+} from '../services/broadcast-lifecycle.js';
+import { asyncHandler } from '../utils/async-handler.js';
+import { ApiError } from '../utils/api-error.js';
+import { ApiResponse } from '../utils/api-response.js';
+
+function isPublisher(participant) {
+  return Boolean(participant?.permission?.canPublish);
+}
+
+async function findBroadcastByRoom(roomName) {
+  if (!roomName) return null;
+
+  const [broadcastRecord] = await db
+    .select({
+      id: broadcasts.id,
+      masjidId: broadcasts.masjidId,
+      status: broadcasts.status,
+      broadcastType: broadcasts.broadcastType,
+      prayerName: broadcasts.prayerName,
+      streamRoomId: broadcasts.streamRoomId,
+    })
+    .from(broadcasts)
+    .where(eq(broadcasts.streamRoomId, roomName))
+    .orderBy(desc(broadcasts.createdAt))
+    .limit(1);
+
+  return broadcastRecord ?? null;
+}
+
+// Move a live broadcast to a terminal state and fan out the same jobs as endBroadcast.
+async function finishBroadcast(broadcastRecord, { status = 'completed', endedReason }) {
+  if (!canTransitionBroadcast(broadcastRecord.status, status)) return null;
+
+  let updatedBroadcast;
+  try {
+    updatedBroadcast = await transitionBroadcast({
+      broadcastId: broadcastRecord.id,
+      to: status,
+      source: 'webhook',
+      reason: endedReason,
+      values: { endedAt: new Date(), endedReason },
+      returning: { id: broadcasts.id, masjidId: broadcasts.masjidId },
+    });
+  } catch (error) {
+    // Already ended by the API or another webhook since the record was read.
+    if (error?.statusCode === 409) return null;
+    throw error;
+  }
+
+  await enqueueBroadcastEndJobs(updatedBroadcast);
+
+  logger.info(
+    { broadcastId: broadcastRecord.id, status, endedReason },
+    'Broadcast ended from webhook'
+  );
+  return updatedBroadcast;
+}
+
+async function handleRoomFinished(event) {
+  const broadcastRecord = await findBroadcastByRoom(event.room?.name);
+  if (!broadcastRecord) return;
+  await finishBroadcast(broadcastRecord, { endedReason: 'room_finished' });
+}
+
+async function publishListenerCount(event, broadcastRecord) {
+  const room = event.room;
+  if (!room || broadcastRecord.status !== 'live') return;
+
+  await publishBroadcastUpdate({
+    event: 'listener_count',
+    masjidId: broadcastRecord.masjidId,
+    broadcastId: broadcastRecord.id,
+    data: { listenerCount: Math.max(0, (room.numParticipants ?? 0) - (room.numPublishers ?? 0)) },
+  });
+}
+
+async function handleParticipantJoined(event) {
+  if (isPublisher(event.participant)) return;
+
+  const broadcastRecord = await findBroadcastByRoom(event.room?.name);
+  if (!broadcastRecord) return;
+
+  if (broadcastRecord.status === 'live' && event.participant?.identity) {
+    await recordListenerJoin({
+      broadcastId: broadcastRecord.id,
+      listenerId: getUserListenerId(event.participant.identity),
+    });
+  }
+  await publishListenerCount(event, broadcastRecord);
+}
+
+async function handleParticipantLeft(event) {
+  const broadcastRecord = await findBroadcastByRoom(event.room?.name);
+  if (!broadcastRecord || broadcastRecord.status !== 'live') return;
+
+  if (!isPublisher(event.participant)) {
+    if (event.participant?.identity) {
+      await recordListenerLeave({
+        broadcastId: broadcastRecord.id,
+        listenerId: getUserListenerId(event.participant.identity),
+      });
+    }
+    await publishListenerCount(event, broadcastRecord);
+    return;
+  }
+
+  const participants = await listLivekitParticipants(broadcastRecord.streamRoomId);
+  if (!participants) {
+    // Unknown who is still publishing; room_finished or the expiry sweep ends it later.
+    logger.warn(
+      { broadcastId: broadcastRecord.id, roomName: broadcastRecord.streamRoomId },
+      'Could not list LiveKit participants after publisher left'
+    );
+    return;
+  }
+  const remainingPublishers = participants.filter(
+    (participant) =>
+      participant.identity !== event.participant.identity && isPublisher(participant)
+  );
+  if (remainingPublishers.length) return;
+
+  // The fallback ingress leaves once its audio file has played to the end.
+  const endedReason = isAdhanFallbackIdentity(event.participant.identity)
+    ? 'adhan_fallback_completed'
+    : 'publisher_left';
+  await finishBroadcast(broadcastRecord, { endedReason });
+}
+
+// Also how RTMP/WHIP ingresses go live: the encoder's participant publishes like any other.
+async function handleTrackPublished(event) {
+  if (!isPublisher(event.participant)) return;
+
+  const broadcastRecord = await findBroadcastByRoom(event.room?.name);
+  if (!broadcastRecord) return;
+
+  if (!canTransitionBroadcast(broadcastRecord.status, 'live')) return;
+
+  const maxDurationMinutes = await resolveBroadcastMaxMinutes(broadcastRecord);
+
+  let updatedBroadcast;
+  try {
+    updatedBroadcast = await transitionBroadcast({
+      broadcastId: broadcastRecord.id,
+      to: 'live',
+      source: 'webhook',
+      reason: 'track_published',
+      values: { startedAt: new Date(), maxDurationMinutes },
+      returning: {
+        id: broadcasts.id,
+        masjidId: broadcasts.masjidId,
+        prayerName: broadcasts.prayerName,
+        streamRoomId: broadcasts.streamRoomId,
+        startedAt: broadcasts.startedAt,
+        maxDurationMinutes: broadcasts.maxDurationMinutes,
+      },
+    });
+  } catch (error) {
+    // Already taken live by the API, another publisher or the adhan fallback.
+    if (error?.statusCode === 409) return;
+    throw error;
+  }
+
+  await enqueueBroadcastStartJobs(updatedBroadcast);
+
+  logger.info({ broadcastId: updatedBroadcast.id }, 'Broadcast started from webhook');
+}
+
+async function handleRecordingEgressEnded(egressInfo) {
+  const [broadcastRecord] = await db
+    .select({ id: broadcasts.id })
+    .from(broadcasts)
+    .where(eq(broadcasts.recordingEgressId, egressInfo.egressId))
+    .limit(1);
+
+  if (!broadcastRecord) return;
+
+  const failed = isLivekitEgressFailed(egressInfo);
+  if (failed) {
+    logger.warn(
+      { broadcastId: broadcastRecord.id, egressId: egressInfo.egressId, error: egressInfo.error },
+      'Recording egress failed'
+    );
+  }
+
+  await db
+    .update(broadcasts)
+    .set({
+      recordingEgressId: null,
+      recordingPath: failed ? null : undefined,
+      updatedAt: new Date(),
+    })
+    .where(eq(broadcasts.id, broadcastRecord.id));
+}
+
+async function handleEgressEnded(event) {
+  const egressInfo = event.egressInfo;
+  if (!egressInfo?.egressId) return;
+
+  const [broadcastRecord] = await db
+    .select({ id: broadcasts.id, status: broadcasts.status })
+    .from(broadcasts)
+    .where(eq(broadcasts.hlsEgressId, egressInfo.egressId))
+    .limit(1);
+
+  if (!broadcastRecord) {
+    await handleRecordingEgressEnded(egressInfo);
+    return;
+  }
+
+  await db
+    .update(broadcasts)
+    .set({ hlsEgressId: null, updatedAt: new Date() })
+    .where(eq(broadcasts.id, broadcastRecord.id));
+
+  if (isLivekitEgressFailed(egressInfo)) {
+    logger.warn(
+      { broadcastId: broadcastRecord.id, egressId: egressInfo.egressId, error: egressInfo.error },
+      'HLS egress failed'
+    );
+    await finishBroadcast(broadcastRecord, { status: 'failed', endedReason: 'egress_failed' });
+  }
+}
+
+// A masjid's reusable encoder ingress outlives the broadcast; only a failure ends it early.
+async function handleMasjidIngressEnded(ingressInfo) {
+  if (!isLivekitIngressFailed(ingressInfo)) return;
+
+  const broadcastId = await findMasjidIngressBroadcastId(ingressInfo.ingressId);
+  if (!broadcastId) return;
+
+  const [broadcastRecord] = await db
+    .select({ id: broadcasts.id, masjidId: broadcasts.masjidId, status: broadcasts.status })
+    .from(broadcasts)
+    .where(eq(broadcasts.id, broadcastId))
+    .limit(1);
+
+  if (!broadcastRecord) return;
+
+  logger.warn(
+    { broadcastId, ingressId: ingressInfo.ingressId, error: ingressInfo.state?.error },
+    'Masjid ingress failed'
+  );
+  await finishBroadcast(broadcastRecord, { status: 'failed', endedReason: 'ingress_failed' });
+}
+
+async function handleIngressEnded(event) {
+  const ingressInfo = event.ingressInfo;
+  if (!ingressInfo?.ingressId) return;
+
+  const [broadcastRecord] = await db
+    .select({ id: broadcasts.id, masjidId: broadcasts.masjidId, status: broadcasts.status })
+    .from(broadcasts)
+    .where(eq(broadcasts.ingressId, ingressInfo.ingressId))
+    .limit(1);
+
+  if (!broadcastRecord) {
+    await handleMasjidIngressEnded(ingressInfo);
+    return;
+  }
+
+  await db
+    .update(broadcasts)
+    .set({ ingressId: null, updatedAt: new Date() })
+    .where(eq(broadcasts.id, broadcastRecord.id));
+
+  if (isLivekitIngressFailed(ingressInfo)) {
+    logger.warn(
+      {
+        broadcastId: broadcastRecord.id,
+        ingressId: ingressInfo.ingressId,
+        error: ingressInfo.state?.error,
+      },
+      'Ingress failed'
+    );
+    await finishBroadcast(broadcastRecord, { status: 'failed', endedReason: 'ingress_failed' });
+  }
+}
+
+const webhookHandlers = {
+  room_finished: handleRoomFinished,
+  participant_joined: handleParticipantJoined,
+  participant_left: handleParticipantLeft,
+  track_published: handleTrackPublished,
+  egress_ended: handleEgressEnded,
+  ingress_ended: handleIngressEnded,
+};
+
+// Receive signed LiveKit webhooks and reconcile broadcast state.
+const handleLivekitWebhook = asyncHandler(async (request, reply) => {
+  const rawBody = typeof request.body === 'string' ? request.body : '';
+  if (!rawBody) throw new ApiError(400, 'validation_error', 'Missing webhook body');
+
+  let event;
+  try {
+    event = await receiveLivekitWebhook(rawBody, request.headers.authorization);
+  } catch (error) {
+    request.log.warn({ err: error }, 'LiveKit webhook rejected');
+    throw new ApiError(401, 'unauthorized', 'Invalid webhook signature');
+  }
+
+  if (!event) {
+    throw new ApiError(503, 'configuration_error', 'LiveKit credentials missing');
+  }
+
+  const handler = webhookHandlers[event.event];
+  if (handler) {
+    await handler(event);
+  }
+
+  return reply.status(200).send(new ApiResponse(200, 'Webhook processed', { event: event.event }));
+});
+
+export { handleLivekitWebhook };
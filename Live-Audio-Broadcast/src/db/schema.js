@@ -4,6 +4,7 @@ import {
   date,
   doublePrecision,
   index,
+  integer,
   jsonb,
   pgEnum,
   pgTable,
@@ -19,10 +20,29 @@ import {
 export const userRoleEnum = pgEnum('user_role', ['listener', 'masjid_admin', 'super_admin']);
 export const masjidAdminRoleEnum = pgEnum('masjid_admin_role', ['manager', 'imam', 'muazzin']);
 export const masjidRequestStatusEnum = pgEnum('masjid_request_status', ['pending', 'approved', 'rejected']);
-export const broadcastStatusEnum = pgEnum('broadcast_status', ['pending', 'scheduled', 'live', 'completed', 'failed']);
+export const broadcastStatusEnum = pgEnum('broadcast_status', [
+  'pending',
+  'scheduled',
+  'live',
+  'completed',
+  'failed',
+  'cancelled',
+]);
+export const broadcastEventSourceEnum = pgEnum('broadcast_event_source', ['api', 'worker', 'scheduler', 'webhook']);
+export const moderationActionEnum = pgEnum('moderation_action', ['mute', 'unmute', 'remove', 'handover']);
 export const prayerNameEnum = pgEnum('prayer_name', ['Fajr', 'Dhuhr', 'Asr', 'Maghrib', 'Isha', 'Juma']);
+export const broadcastTypeEnum = pgEnum('broadcast_type', [
+  'prayer',
+  'khutbah',
+  'lecture',
+  'quran_recitation',
+  'announcement',
+]);
+export const streamProviderEnum = pgEnum('stream_provider', ['livekit', 'hls', 'external']);
+export const ingressInputEnum = pgEnum('ingress_input', ['rtmp', 'whip']);
 export const platformEnum = pgEnum('platform', ['android', 'ios', 'web']);
 export const notificationStatusEnum = pgEnum('notification_status', ['queued', 'sent', 'failed']);
+export const audioAssetTypeEnum = pgEnum('audio_asset_type', ['adhan', 'fajr_adhan', 'announcement', 'jingle']);
 
 // 1. USERS: authentication and role management
 export const users = pgTable(
@@ -86,6 +106,15 @@ export const masjids = pgTable(
     contactEmail: varchar('contact_email', { length: 255 }),
     contactPhone: varchar('contact_phone', { length: 32 }),
     logoUrl: text('logo_url'),
+    recordingEnabled: boolean('recording_enabled').default(false).notNull(),
+    broadcastMaxMinutes: integer('broadcast_max_minutes'),
+    prayerMaxMinutes: jsonb('prayer_max_minutes').default({}).notNull(),
+    adhanFallbackEnabled: boolean('adhan_fallback_enabled').default(false).notNull(),
+    adhanFallbackAudioUrl: text('adhan_fallback_audio_url'),
+    streamProvider: streamProviderEnum('stream_provider'),
+    externalStreamUrl: text('external_stream_url'),
+    hlsBitrateLadderKbps: integer('hls_bitrate_ladder_kbps').array(),
+    hlsVodEnabled: boolean('hls_vod_enabled').default(false).notNull(),
     isApproved: boolean('is_approved').default(false).notNull(),
     isActive: boolean('is_active').default(true).notNull(),
     createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
@@ -116,6 +145,27 @@ export const masjidAdmins = pgTable(
   ]
 );
 
+// 4a. MASJID INGRESSES: reusable RTMP/WHIP endpoints for mixing desks, re-pointed at each broadcast
+export const masjidIngresses = pgTable(
+  'masjid_ingresses',
+  {
+    id: uuid('id').default(sql`gen_random_uuid()`).primaryKey(),
+    masjidId: uuid('masjid_id').references(() => masjids.id, { onDelete: 'cascade' }).notNull(),
+    inputType: ingressInputEnum('input_type').notNull(),
+    ingressId: varchar('ingress_id', { length: 255 }).notNull(),
+    url: text('url').notNull(),
+    streamKey: varchar('stream_key', { length: 255 }).notNull(),
+    broadcastId: uuid('broadcast_id').references(() => broadcasts.id, { onDelete: 'set null' }),
+    createdBy: uuid('created_by').references(() => users.id, { onDelete: 'set null' }),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
+    updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow().notNull(),
+  },
+  (table) => [
+    uniqueIndex('masjid_ingresses_masjid_input_uq').on(table.masjidId, table.inputType),
+    uniqueIndex('masjid_ingresses_ingress_uq').on(table.ingressId),
+  ]
+);
+
 // 5. MASJID REQUESTS: registration requests awaiting approval
 export const masjidRequests = pgTable(
   'masjid_requests',
@@ -172,6 +222,25 @@ export const masjidStaff = pgTable(
   ]
 );
 
+// 6a. AUDIO ASSETS: uploaded adhan/announcement files, normalised and stored per masjid
+export const audioAssets = pgTable(
+  'audio_assets',
+  {
+    id: uuid('id').default(sql`gen_random_uuid()`).primaryKey(),
+    masjidId: uuid('masjid_id').references(() => masjids.id, { onDelete: 'cascade' }).notNull(),
+    type: audioAssetTypeEnum('type').notNull(),
+    name: varchar('name', { length: 255 }).notNull(),
+    storageKey: text('storage_key').notNull(),
+    contentType: varchar('content_type', { length: 64 }).notNull(),
+    sourceCodec: varchar('source_codec', { length: 64 }),
+    durationSeconds: doublePrecision('duration_seconds').notNull(),
+    sizeBytes: integer('size_bytes').notNull(),
+    createdBy: uuid('created_by').references(() => users.id, { onDelete: 'set null' }),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
+  },
+  (table) => [index('audio_assets_masjid_type_idx').on(table.masjidId, table.type)]
+);
+
 // 5. SUBSCRIPTIONS: follow + granular notification preferences
 export const subscriptions = pgTable(
   'subscriptions',
@@ -242,17 +311,25 @@ export const broadcasts = pgTable(
     masjidId: uuid('masjid_id').references(() => masjids.id, { onDelete: 'cascade' }).notNull(),
     createdBy: uuid('created_by').references(() => users.id),
     title: varchar('title', { length: 255 }),
+    broadcastType: broadcastTypeEnum('broadcast_type').default('prayer').notNull(),
     prayerName: prayerNameEnum('prayer_name'),
     status: broadcastStatusEnum('status').default('pending').notNull(),
     scheduledAt: timestamp('scheduled_at', { withTimezone: true }),
-    streamProvider: varchar('stream_provider', { length: 64 }).default('livekit'),
+    streamProvider: streamProviderEnum('stream_provider').default('livekit').notNull(),
     streamRoomId: varchar('stream_room_id', { length: 255 }),
     audioUrl: text('audio_url'),
     hlsUrl: text('hls_url'),
     hlsEgressId: varchar('hls_egress_id', { length: 255 }),
     hlsRtmpUrl: text('hls_rtmp_url'),
     recordingUrl: text('recording_url'),
+    recordingEnabled: boolean('recording_enabled'),
+    recordingEgressId: varchar('recording_egress_id', { length: 255 }),
+    recordingPath: text('recording_path'),
+    hlsVodEnabled: boolean('hls_vod_enabled'),
+    ingressId: varchar('ingress_id', { length: 255 }),
+    isAutomated: boolean('is_automated').default(false).notNull(),
     startedAt: timestamp('started_at', { withTimezone: true }),
+    maxDurationMinutes: integer('max_duration_minutes'),
     endedAt: timestamp('ended_at', { withTimezone: true }),
     endedReason: varchar('ended_reason', { length: 255 }),
     createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
@@ -265,6 +342,54 @@ export const broadcasts = pgTable(
   ]
 );
 
+// 7b. BROADCAST EVENTS: audit trail of every lifecycle transition
+export const broadcastEvents = pgTable(
+  'broadcast_events',
+  {
+    id: uuid('id').default(sql`gen_random_uuid()`).primaryKey(),
+    broadcastId: uuid('broadcast_id').references(() => broadcasts.id, { onDelete: 'cascade' }).notNull(),
+    fromStatus: broadcastStatusEnum('from_status'),
+    toStatus: broadcastStatusEnum('to_status').notNull(),
+    source: broadcastEventSourceEnum('source').notNull(),
+    actorId: uuid('actor_id').references(() => users.id, { onDelete: 'set null' }),
+    reason: varchar('reason', { length: 255 }),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
+  },
+  (table) => [
+    index('broadcast_events_broadcast_idx').on(table.broadcastId, table.createdAt),
+  ]
+);
+
+// 7d. BROADCAST MODERATION: audit of on-air participant control (mute, remove, mic handover)
+export const broadcastModerationEvents = pgTable(
+  'broadcast_moderation_events',
+  {
+    id: uuid('id').default(sql`gen_random_uuid()`).primaryKey(),
+    broadcastId: uuid('broadcast_id').references(() => broadcasts.id, { onDelete: 'cascade' }).notNull(),
+    actorId: uuid('actor_id').references(() => users.id, { onDelete: 'set null' }),
+    action: moderationActionEnum('action').notNull(),
+    targetIdentity: varchar('target_identity', { length: 255 }).notNull(),
+    details: jsonb('details').default({}).notNull(),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
+  },
+  (table) => [
+    index('broadcast_moderation_broadcast_idx').on(table.broadcastId, table.createdAt),
+  ]
+);
+
+// 7c. BROADCAST STATS: listener figures persisted once a broadcast ends
+export const broadcastStats = pgTable('broadcast_stats', {
+  broadcastId: uuid('broadcast_id')
+    .references(() => broadcasts.id, { onDelete: 'cascade' })
+    .primaryKey(),
+  peakListeners: integer('peak_listeners').default(0).notNull(),
+  uniqueListeners: integer('unique_listeners').default(0).notNull(),
+  avgListenSeconds: integer('avg_listen_seconds').default(0).notNull(),
+  platformSplit: jsonb('platform_split').default({}).notNull(),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
+  updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow().notNull(),
+});
+
 // 8. NOTIFICATION LOGS: audit of push delivery at scale
 export const notificationLogs = pgTable(
   'notification_logs',
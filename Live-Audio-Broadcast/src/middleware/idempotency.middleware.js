@@ -0,0 +1,82 @@
+import fp from 'fastify-plugin';
+import {
+  completeIdempotencyKey,
+  getIdempotencyStoreKey,
+  getRequestFingerprint,
+  releaseIdempotencyKey,
+  reserveIdempotencyKey,
+} from '../services/idempotency.js';
+import { ApiError } from '../utils/api-error.js';
+
+const IDEMPOTENT_METHODS = new Set(['POST', 'PATCH']);
+const KEY_PATTERN = /^[A-Za-z0-9_.:-]{1,255}$/;
+
+/**
+ * Honours an `Idempotency-Key` header on POST/PATCH routes: the first response
+ * is stored per (user, route, key) and replayed to retries.
+ * Register after the auth middleware so the caller is known.
+ */
+export default fp(async (fastify) => {
+  fastify.decorateRequest('idempotency', null);
+
+  fastify.addHook('preHandler', async (request, reply) => {
+    if (!IDEMPOTENT_METHODS.has(request.method)) return;
+
+    const key = request.headers['idempotency-key'];
+    if (key === undefined) return;
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+      throw new ApiError(400, 'validation_error', 'Invalid Idempotency-Key header');
+    }
+
+    const userId = request.user?.id || request.user?.sub;
+    if (!userId) return;
+
+    const storeKey = getIdempotencyStoreKey({
+      userId,
+      method: request.method,
+      path: request.url.split('?')[0],
+      key,
+    });
+    const fingerprint = getRequestFingerprint(request.body);
+
+    const result = await reserveIdempotencyKey(storeKey, fingerprint);
+    if (result.reserved) {
+      request.idempotency = { storeKey, fingerprint };
+      return;
+    }
+
+    const { record } = result;
+    if (record.fingerprint !== fingerprint) {
+      throw new ApiError(409, 'conflict', 'Idempotency-Key was already used with a different request');
+    }
+    if (record.state !== 'completed') {
+      throw new ApiError(409, 'conflict', 'A request with this Idempotency-Key is still in progress');
+    }
+
+    reply.status(record.statusCode).header('Idempotent-Replayed', 'true');
+    if (record.contentType) reply.type(record.contentType);
+    reply.send(record.body);
+    return reply;
+  });
+
+  fastify.addHook('onSend', async (request, reply, payload) => {
+    const { idempotency } = request;
+    if (!idempotency) return payload;
+    request.idempotency = null;
+
+    // Server errors and streamed bodies are not replayed; the client may retry them.
+    const replayable = typeof payload === 'string' || Buffer.isBuffer(payload);
+    if (reply.statusCode >= 500 || !replayable) {
+      await releaseIdempotencyKey(idempotency.storeKey);
+      return payload;
+    }
+
+    await completeIdempotencyKey(idempotency.storeKey, {
+      fingerprint: idempotency.fingerprint,
+      statusCode: reply.statusCode,
+      contentType: reply.getHeader('content-type'),
+      body: payload.toString(),
+    });
+    return payload;
+  });
+});
@@ -6,6 +6,8 @@ import { scheduleRoutes } from './schedule.routes.js';
 import { subscriptionRoutes } from './subscription.routes.js';
 import { broadcastRoutes } from './broadcast.routes.js';
 import { deviceRoutes } from './device.routes.js';
+import { webhookRoutes } from './webhook.routes.js';
+import { audioAssetRoutes } from './audio-asset.routes.js';
 
 /**
  * Register application routes.
@@ -16,8 +18,10 @@ export async function registerRoutes(fastify) {
   fastify.register(authRoutes, { prefix: '/api/v1/auth' });
   fastify.register(userRoutes, { prefix: '/api/v1/users' });
   fastify.register(masjidRoutes, { prefix: '/api/v1/masjids' });
+  fastify.register(audioAssetRoutes, { prefix: '/api/v1/masjids' });
   fastify.register(scheduleRoutes, { prefix: '/api/v1/schedules' });
   fastify.register(deviceRoutes, { prefix: '/api/v1/devices' });
   fastify.register(subscriptionRoutes, { prefix: '/api/v1/subscriptions' });
   fastify.register(broadcastRoutes, { prefix: '/api/v1/broadcasts' });
+  fastify.register(webhookRoutes, { prefix: '/api/v1/webhooks' });
 }
@@ -0,0 +1,68 @@
+import multipart from '@fastify/multipart';
+import authMiddleware from '../middleware/auth.middleware.js';
+import idempotencyMiddleware from '../middleware/idempotency.middleware.js';
+import { validateRequest } from '../middleware/validation.middleware.js';
+import { env } from '../config/env.js';
+import { masjidIdParamsSchema } from '../validators/masjid.validator.js';
+import {
+  audioAssetListQuerySchema,
+  audioAssetParamsSchema,
+} from '../validators/audio-asset.validator.js';
+import {
+  deleteAudioAsset,
+  getAudioAssetFile,
+  listAudioAssets,
+  uploadAudioAsset,
+} from '../controllers/audio-asset.controller.js';
+
+/**
+ * Masjid audio library, mounted under /masjids.
+ * @param {import('fastify').FastifyInstance} fastify
+ */
+export async function audioAssetRoutes(fastify) {
+  await fastify.register(multipart, {
+    limits: {
+      fileSize: env.AUDIO_ASSET_MAX_BYTES,
+      files: 1,
+      fields: 10,
+    },
+  });
+
+  // Signed URL only; players and LiveKit ingress fetch without a session.
+  fastify.get(
+    '/:id/audio-assets/:assetId/file',
+    { preHandler: validateRequest({ params: audioAssetParamsSchema }) },
+    getAudioAssetFile,
+  );
+
+  fastify.register(async (secured) => {
+    secured.register(authMiddleware);
+    secured.register(idempotencyMiddleware);
+
+    secured.post(
+      '/:id/audio-assets',
+      {
+        config: { rateLimit: { max: 10, timeWindow: '1 minute' } },
+        preHandler: validateRequest({ params: masjidIdParamsSchema }),
+      },
+      uploadAudioAsset,
+    );
+
+    secured.get(
+      '/:id/audio-assets',
+      {
+        preHandler: validateRequest({
+          params: masjidIdParamsSchema,
+          query: audioAssetListQuerySchema,
+        }),
+      },
+      listAudioAssets,
+    );
+
+    secured.delete(
+      '/:id/audio-assets/:assetId',
+      { preHandler: validateRequest({ params: audioAssetParamsSchema }) },
+      deleteAudioAsset,
+    );
+  });
+}
@@ -1,29 +1,66 @@
 import authMiddleware from '../middleware/auth.middleware.js';
+import idempotencyMiddleware from '../middleware/idempotency.middleware.js';
 import { validateRequest } from '../middleware/validation.middleware.js';
 import {
   broadcastCreateBodySchema,
   broadcastEndBodySchema,
+  broadcastExtendBodySchema,
+  broadcastHandoverBodySchema,
   broadcastIdParamsSchema,
+  broadcastIngressBodySchema,
+  broadcastListenerTokenBodySchema,
+  broadcastParticipantMuteBodySchema,
+  broadcastParticipantParamsSchema,
   broadcastStartBodySchema,
   broadcastListQuerySchema,
+  broadcastLiveQuerySchema,
+  broadcastStreamQuerySchema,
+  broadcastUpcomingQuerySchema,
+  broadcastUpdateBodySchema,
 } from '../validators/broadcast.validator.js';
 import {
   createBroadcast,
+  updateBroadcast,
+  cancelBroadcast,
   listBroadcasts,
+  listLiveBroadcasts,
+  listUpcomingBroadcasts,
   startBroadcast,
   endBroadcast,
+  extendBroadcast,
   getBroadcastToken,
   getBroadcastListenerToken,
+  createBroadcastIngress,
   getHlsAsset,
+  listBroadcastEvents,
+  getBroadcastStats,
+  getBroadcastRecordingUrl,
+  getBroadcastRecording,
+  streamBroadcastUpdates,
 } from '../controllers/broadcast.controller.js';
+import {
+  listBroadcastParticipants,
+  muteBroadcastParticipant,
+  removeBroadcastParticipant,
+  handoverBroadcastMic,
+  listBroadcastModerationEvents,
+} from '../controllers/broadcast-moderation.controller.js';
 
 /**
  * @param {import('fastify').FastifyInstance} fastify
  */
 export async function broadcastRoutes(fastify) {
   fastify.get('/:id/hls/:file', getHlsAsset);
+  fastify.get('/:id/hls/:variant/:file', getHlsAsset);
+
+  fastify.get(
+    '/:id/recording',
+    { preHandler: validateRequest({ params: broadcastIdParamsSchema }) },
+    getBroadcastRecording,
+  );
 
   fastify.register(authMiddleware);
+  fastify.register(idempotencyMiddleware);
 
   fastify.post(
     '/',
@@ -37,6 +74,48 @@ export async function broadcastRoutes(fastify) {
     listBroadcasts,
   );
 
+  fastify.get(
+    '/live',
+    { preHandler: validateRequest({ query: broadcastLiveQuerySchema }) },
+    listLiveBroadcasts,
+  );
+
+  fastify.get(
+    '/upcoming',
+    { preHandler: validateRequest({ query: broadcastUpcomingQuerySchema }) },
+    listUpcomingBroadcasts,
+  );
+
+  fastify.get(
+    '/stream',
+    { preHandler: validateRequest({ query: broadcastStreamQuerySchema }) },
+    streamBroadcastUpdates,
+  );
+
+  fastify.patch(
+    '/:id',
+    { preHandler: validateRequest({ params: broadcastIdParamsSchema, body: broadcastUpdateBodySchema }) },
+    updateBroadcast,
+  );
+
+  fastify.delete(
+    '/:id',
+    { preHandler: validateRequest({ params: broadcastIdParamsSchema }) },
+    cancelBroadcast,
+  );
+
+  fastify.get(
+    '/:id/events',
+    { preHandler: validateRequest({ params: broadcastIdParamsSchema }) },
+    listBroadcastEvents,
+  );
+
+  fastify.get(
+    '/:id/stats',
+    { preHandler: validateRequest({ params: broadcastIdParamsSchema }) },
+    getBroadcastStats,
+  );
+
   fastify.post(
     '/:id/start',
     {
@@ -59,11 +138,32 @@ export async function broadcastRoutes(fastify) {
     '/:id/listener-token',
     {
       config: { rateLimit: { max: 60, timeWindow: '1 minute' } },
-      preHandler: validateRequest({ params: broadcastIdParamsSchema }),
+      preHandler: validateRequest({
+        params: broadcastIdParamsSchema,
+        body: broadcastListenerTokenBodySchema,
+      }),
     },
     getBroadcastListenerToken,
   );
 
+  fastify.post(
+    '/:id/ingress',
+    {
+      config: { rateLimit: { max: 10, timeWindow: '1 minute' } },
+      preHandler: validateRequest({ params: broadcastIdParamsSchema, body: broadcastIngressBodySchema }),
+    },
+    createBroadcastIngress,
+  );
+
+  fastify.post(
+    '/:id/recording-url',
+    {
+      config: { rateLimit: { max: 60, timeWindow: '1 minute' } },
+      preHandler: validateRequest({ params: broadcastIdParamsSchema }),
+    },
+    getBroadcastRecordingUrl,
+  );
+
   fastify.post(
     '/:id/end',
     {
@@ -72,4 +172,55 @@ export async function broadcastRoutes(fastify) {
     },
     endBroadcast,
   );
-}
\ No newline at end of file
+
+  fastify.post(
+    '/:id/extend',
+    {
+      config: { rateLimit: { max: 10, timeWindow: '1 minute' } },
+      preHandler: validateRequest({ params: broadcastIdParamsSchema, body: broadcastExtendBodySchema }),
+    },
+    extendBroadcast,
+  );
+
+  fastify.get(
+    '/:id/participants',
+    { preHandler: validateRequest({ params: broadcastIdParamsSchema }) },
+    listBroadcastParticipants,
+  );
+
+  fastify.post(
+    '/:id/participants/:identity/mute',
+    {
+      config: { rateLimit: { max: 30, timeWindow: '1 minute' } },
+      preHandler: validateRequest({
+        params: broadcastParticipantParamsSchema,
+        body: broadcastParticipantMuteBodySchema,
+      }),
+    },
+    muteBroadcastParticipant,
+  );
+
+  fastify.delete(
+    '/:id/participants/:identity',
+    {
+      config: { rateLimit: { max: 30, timeWindow: '1 minute' } },
+      preHandler: validateRequest({ params: broadcastParticipantParamsSchema }),
+    },
+    removeBroadcastParticipant,
+  );
+
+  fastify.post(
+    '/:id/handover',
+    {
+      config: { rateLimit: { max: 10, timeWindow: '1 minute' } },
+      preHandler: validateRequest({ params: broadcastIdParamsSchema, body: broadcastHandoverBodySchema }),
+    },
+    handoverBroadcastMic,
+  );
+
+  fastify.get(
+    '/:id/moderation-events',
+    { preHandler: validateRequest({ params: broadcastIdParamsSchema }) },
+    listBroadcastModerationEvents,
+  );
+}
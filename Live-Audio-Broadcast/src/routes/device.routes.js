@@ -1,4 +1,5 @@
 import authMiddleware from '../middleware/auth.middleware.js';
+import idempotencyMiddleware from '../middleware/idempotency.middleware.js';
 import { validateRequest } from '../middleware/validation.middleware.js';
 import {
   deviceIdParamsSchema,
@@ -16,6 +17,7 @@ import {
  */
 export async function deviceRoutes(fastify) {
   fastify.register(authMiddleware);
+  fastify.register(idempotencyMiddleware);
 
   fastify.post(
     '/',
@@ -1,5 +1,6 @@
 import { pgPool } from '../db/client.js';
 import { redis } from '../config/redis.js';
+import { getStreamProvidersHealth } from '../services/stream-providers.js';
 
 /**
  * Health and readiness endpoints.
@@ -31,6 +32,8 @@ export async function healthRoutes(fastify) {
     return {
       status: isReady ? 'ready' : 'not_ready',
       checks,
+      // Informational: a provider nobody uses should not take the API out of rotation.
+      streamProviders: getStreamProvidersHealth(),
     };
   });
 }
@@ -1,6 +1,8 @@
 import authMiddleware from '../middleware/auth.middleware.js';
+import idempotencyMiddleware from '../middleware/idempotency.middleware.js';
 import { validateRequest } from '../middleware/validation.middleware.js';
 import {
+  masjidBroadcastStatsQuerySchema,
   masjidIdParamsSchema,
   masjidListQuerySchema,
   masjidRegistrationBodySchema,
@@ -15,8 +17,10 @@ import {
   approveMasjidRequest,
   createMasjid,
   deleteMasjidStaff,
+  getHlsStorageUsage,
   getMasjid,
   listPendingMasjidRequests,
+  listMasjidBroadcastStats,
   listMasjids,
   rejectMasjidRequest,
   updateMasjid,
@@ -41,6 +45,7 @@ export async function masjidRoutes(fastify) {
 
   fastify.register(async (secured) => {
     secured.register(authMiddleware);
+    secured.register(idempotencyMiddleware);
 
     secured.post(
       '/requests',
@@ -54,6 +59,8 @@ export async function masjidRoutes(fastify) {
       listPendingMasjidRequests,
     );
 
+    secured.get('/hls-usage', getHlsStorageUsage);
+
     secured.patch(
       '/requests/:id/approve',
       { preHandler: validateRequest({ params: masjidRequestIdParamsSchema }) },
@@ -82,6 +89,17 @@ export async function masjidRoutes(fastify) {
       updateMasjid,
     );
 
+    secured.get(
+      '/:id/broadcast-stats',
+      {
+        preHandler: validateRequest({
+          params: masjidIdParamsSchema,
+          query: masjidBroadcastStatsQuerySchema,
+        }),
+      },
+      listMasjidBroadcastStats,
+    );
+
     secured.put(
       '/:id/staff',
       {
@@ -1,4 +1,5 @@
 import authMiddleware from '../middleware/auth.middleware.js';
+import idempotencyMiddleware from '../middleware/idempotency.middleware.js';
 import { validateRequest } from '../middleware/validation.middleware.js';
 import {
   masjidIdParamsSchema,
@@ -27,6 +28,7 @@ export async function scheduleRoutes(fastify) {
 
   fastify.register(async (secured) => {
     secured.register(authMiddleware);
+    secured.register(idempotencyMiddleware);
 
     secured.post(
       '/:id',
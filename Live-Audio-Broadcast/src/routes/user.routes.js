@@ -11,10 +11,12 @@ import {
   getUserById,
 } from '../controllers/user.controller.js';
 import authMiddleware from '../middleware/auth.middleware.js';
+import idempotencyMiddleware from '../middleware/idempotency.middleware.js';
 
 
 export async function userRoutes(fastify) {
   fastify.register(authMiddleware);
+  fastify.register(idempotencyMiddleware);
 
   fastify.get('/me', getCurrentUser);
 
@@ -0,0 +1,18 @@
+import { handleLivekitWebhook } from '../controllers/webhook.controller.js';
+
+/**
+ * Provider webhooks. Signature checks happen in the controllers, so these
+ * routes sit outside the JWT auth middleware.
+ * @param {import('fastify').FastifyInstance} fastify
+ */
+export async function webhookRoutes(fastify) {
+  // LiveKit signs the raw body; keep it as a string so the checksum can be verified.
+  fastify.removeContentTypeParser('application/json');
+  fastify.addContentTypeParser(
+    ['application/json', 'application/webhook+json'],
+    { parseAs: 'string' },
+    (request, body, done) => done(null, body),
+  );
+
+  fastify.post('/livekit', { config: { rateLimit: false } }, handleLivekitWebhook);
+}
@@ -1,8 +1,19 @@
-import { and, eq, gte, lt, ne, or } from 'drizzle-orm';
+import { and, eq, gte, isNotNull, lt, lte, ne, or } from 'drizzle-orm';
 import { db } from './db/client.js';
 import { broadcasts, masjids, schedules, scheduleTemplates } from './db/schema.js';
 import { env } from './config/env.js';
 import { logger } from './config/logger.js';
+import { notificationQueue } from './queues/queue.factory.js';
+import { startAdhanFallback } from './services/adhan-fallback.js';
+import { getAdhanAssetUrl } from './services/audio-assets.js';
+import { rebuildBroadcastIndex } from './services/broadcast-index.js';
+import { resolveStreamProviderId } from './services/stream-providers.js';
+import {
+  publishBroadcastStatus,
+  recordBroadcastEvent,
+  transitionBroadcast,
+} from './services/broadcast-lifecycle.js';
+import { resolvesToPublicHttpsUrl } from './utils/public-url.js';
 import { DateTime } from 'luxon';
 
 const prepMinutes = Number.isFinite(env.BROADCAST_PREP_MINUTES)
@@ -12,6 +23,9 @@ const intervalSeconds = Number.isFinite(env.SCHEDULER_INTERVAL_SECONDS)
   ? env.SCHEDULER_INTERVAL_SECONDS
   : 60;
 const intervalMs = Math.max(10, intervalSeconds) * 1000;
+const missedGraceMinutes = Number.isFinite(env.MISSED_BROADCAST_GRACE_MINUTES)
+  ? env.MISSED_BROADCAST_GRACE_MINUTES
+  : 10;
 
 function getDayRange(date) {
   const startOfDay = new Date(
@@ -30,12 +44,21 @@ async function runSchedulerCycle() {
     logger.error({ err: error }, 'Template schedule generation failed')
   );
 
+  await startDueAdhanFallbacks().catch((error) =>
+    logger.error({ err: error }, 'Adhan fallback sweep failed')
+  );
+
+  await failMissedBroadcasts().catch((error) =>
+    logger.error({ err: error }, 'Missed broadcast sweep failed')
+  );
+
   const upcoming = await db
     .select({
       scheduleId: schedules.id,
       masjidId: schedules.masjidId,
       prayerName: schedules.prayerName,
       adhanAtUtc: schedules.adhanAtUtc,
+      streamProvider: masjids.streamProvider,
     })
     .from(schedules)
     .innerJoin(masjids, eq(masjids.id, schedules.masjidId))
@@ -60,6 +83,7 @@ async function runSchedulerCycle() {
       .where(
         and(
           eq(broadcasts.masjidId, item.masjidId),
+          eq(broadcasts.broadcastType, 'prayer'),
           eq(broadcasts.prayerName, item.prayerName),
           ne(broadcasts.status, 'failed'),
           or(
@@ -72,15 +96,32 @@ async function runSchedulerCycle() {
 
     if (existingBroadcast) continue;
 
-    await db.insert(broadcasts).values({
+    const [createdBroadcast] = await db
+      .insert(broadcasts)
+      .values({
+        masjidId: item.masjidId,
+        title: `${item.prayerName} Adhan`,
+        prayerName: item.prayerName,
+        status: 'scheduled',
+        scheduledAt,
+        streamProvider: resolveStreamProviderId({ masjid: item }),
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      })
+      .returning({ id: broadcasts.id });
+
+    await recordBroadcastEvent({
+      broadcastId: createdBroadcast.id,
+      toStatus: 'scheduled',
+      source: 'scheduler',
+      reason: 'created_from_schedule',
+    });
+
+    await publishBroadcastStatus({
+      broadcastId: createdBroadcast.id,
       masjidId: item.masjidId,
-      title: `${item.prayerName} Adhan`,
-      prayerName: item.prayerName,
       status: 'scheduled',
       scheduledAt,
-      streamProvider: 'livekit',
-      createdAt: new Date(),
-      updatedAt: new Date(),
     });
 
     createdCount += 1;
@@ -89,6 +130,109 @@ async function runSchedulerCycle() {
   if (createdCount) {
     logger.info({ created: createdCount }, 'Broadcasts scheduled');
   }
+
+  // Reconcile discovery with the database (missed syncs, masjid name/logo changes).
+  await rebuildBroadcastIndex({
+    upcomingFrom: new Date(now.getTime() - missedGraceMinutes * 60 * 1000),
+  }).catch((error) => logger.error({ err: error }, 'Broadcast index rebuild failed'));
+}
+
+// Go live with the pre-recorded adhan for opted-in masjids once adhan time passes unstarted.
+async function startDueAdhanFallbacks() {
+  const now = new Date();
+  const graceStart = new Date(now.getTime() - Math.max(1, missedGraceMinutes) * 60 * 1000);
+
+  const due = await db
+    .select({
+      id: broadcasts.id,
+      masjidId: broadcasts.masjidId,
+      prayerName: broadcasts.prayerName,
+      streamProvider: broadcasts.streamProvider,
+      streamRoomId: broadcasts.streamRoomId,
+      audioUrl: masjids.adhanFallbackAudioUrl,
+    })
+    .from(broadcasts)
+    .innerJoin(masjids, eq(masjids.id, broadcasts.masjidId))
+    .where(
+      and(
+        eq(broadcasts.status, 'scheduled'),
+        eq(broadcasts.broadcastType, 'prayer'),
+        eq(masjids.adhanFallbackEnabled, true),
+        lte(broadcasts.scheduledAt, now),
+        gte(broadcasts.scheduledAt, graceStart)
+      )
+    );
+
+  for (const item of due) {
+    try {
+      // A library upload wins over the plain URL setting.
+      let audioUrl = await getAdhanAssetUrl(item.masjidId, item.prayerName);
+      if (!audioUrl && item.audioUrl) {
+        // Admin-supplied and fetched by LiveKit: re-check where it resolves to now.
+        if (!(await resolvesToPublicHttpsUrl(item.audioUrl))) {
+          logger.warn({ broadcastId: item.id }, 'Adhan fallback URL is not a public https URL');
+          continue;
+        }
+        audioUrl = item.audioUrl;
+      }
+      if (!audioUrl) continue;
+      await startAdhanFallback(item, audioUrl);
+    } catch (error) {
+      logger.error({ err: error, broadcastId: item.id }, 'Adhan fallback failed to start');
+    }
+  }
+}
+
+// Fail scheduled broadcasts nobody started within the grace window and alert managers.
+async function failMissedBroadcasts() {
+  const cutoff = new Date(Date.now() - Math.max(1, missedGraceMinutes) * 60 * 1000);
+
+  const missed = await db
+    .select({
+      id: broadcasts.id,
+      masjidId: broadcasts.masjidId,
+      prayerName: broadcasts.prayerName,
+      scheduledAt: broadcasts.scheduledAt,
+    })
+    .from(broadcasts)
+    .where(
+      and(
+        eq(broadcasts.status, 'scheduled'),
+        isNotNull(broadcasts.scheduledAt),
+        lt(broadcasts.scheduledAt, cutoff)
+      )
+    );
+
+  let failedCount = 0;
+
+  for (const item of missed) {
+    try {
+      await transitionBroadcast({
+        broadcastId: item.id,
+        to: 'failed',
+        source: 'scheduler',
+        reason: 'not_started',
+        values: { endedAt: new Date(), endedReason: 'not_started' },
+      });
+    } catch (error) {
+      // Started or cancelled between the select and the update.
+      if (error?.statusCode === 409) continue;
+      throw error;
+    }
+
+    await notificationQueue.add('broadcast-missed', {
+      broadcastId: item.id,
+      masjidId: item.masjidId,
+      prayerName: item.prayerName,
+      scheduledAt: item.scheduledAt.toISOString(),
+    });
+
+    failedCount += 1;
+  }
+
+  if (failedCount) {
+    logger.warn({ failed: failedCount }, 'Missed broadcasts marked failed');
+  }
 }
 
 async function ensureDailySchedulesFromTemplates() {
@@ -163,7 +307,7 @@ async function ensureDailySchedulesFromTemplates() {
 
 async function startScheduler() {
   logger.info(
-    { prepMinutes, intervalSeconds },
+    { prepMinutes, intervalSeconds, missedGraceMinutes },
     'Broadcast scheduler started'
   );
 
@@ -0,0 +1,127 @@
+// Automated adhan: play a masjid's pre-recorded file into a broadcast nobody started.
+import { and, eq, isNull } from 'drizzle-orm';
+import { db } from '../db/client.js';
+import { broadcasts } from '../db/schema.js';
+import { logger } from '../config/logger.js';
+import {
+  deleteLivekitIngress,
+  ensureLivekitRoom,
+  getLivekitUrl,
+  startLivekitUrlIngress,
+} from './livekit.js';
+import { getStreamProvider } from './stream-providers.js';
+import {
+  enqueueBroadcastStartJobs,
+  resolveBroadcastMaxMinutes,
+  transitionBroadcast,
+} from './broadcast-lifecycle.js';
+
+const FALLBACK_IDENTITY_PREFIX = 'adhan-fallback-';
+
+export function getAdhanFallbackIdentity(broadcastId) {
+  return `${FALLBACK_IDENTITY_PREFIX}${broadcastId}`;
+}
+
+export function isAdhanFallbackIdentity(identity) {
+  return typeof identity === 'string' && identity.startsWith(FALLBACK_IDENTITY_PREFIX);
+}
+
+// Whether a broadcast that went live without us is running on the fallback ingress.
+// Records the ingress on it when the webhook did not, so ingress_ended cleans it up.
+async function adoptFallbackIngress(broadcastId, roomName, ingress) {
+  const [current] = await db
+    .select({
+      status: broadcasts.status,
+      streamRoomId: broadcasts.streamRoomId,
+      ingressId: broadcasts.ingressId,
+    })
+    .from(broadcasts)
+    .where(eq(broadcasts.id, broadcastId))
+    .limit(1);
+
+  if (current?.status !== 'live') return false;
+  if (current.ingressId) return current.ingressId === ingress.ingressId;
+  if (current.streamRoomId !== roomName) return false;
+
+  await db
+    .update(broadcasts)
+    .set({ ingressId: ingress.ingressId, isAutomated: true, updatedAt: new Date() })
+    .where(
+      and(eq(broadcasts.id, broadcastId), eq(broadcasts.status, 'live'), isNull(broadcasts.ingressId))
+    );
+
+  logger.info({ broadcastId, ingressId: ingress.ingressId }, 'Adhan fallback went live from webhook');
+  return true;
+}
+
+/**
+ * Take a scheduled broadcast live with the masjid's fallback audio.
+ * The ingress participant leaving (file finished) ends the broadcast via webhook.
+ * @param {object} broadcast
+ * @param {string} broadcast.id
+ * @param {string} broadcast.masjidId
+ * @param {string | null} [broadcast.prayerName]
+ * @param {string | null} [broadcast.streamProvider]
+ * @param {string | null} [broadcast.streamRoomId]
+ * @param {string} audioUrl
+ * @returns {Promise<Record<string, any> | null>} the live broadcast, or null if it was not started
+ */
+export async function startAdhanFallback(broadcast, audioUrl) {
+  // The file is played into a LiveKit room; external streams have none.
+  const livekitUrl = getLivekitUrl();
+  if (!livekitUrl || !getStreamProvider(broadcast.streamProvider).usesLivekitRoom) return null;
+
+  const roomName = broadcast.streamRoomId ?? `broadcast-${broadcast.id}`;
+  await ensureLivekitRoom(roomName);
+
+  const ingress = await startLivekitUrlIngress({
+    roomName,
+    url: audioUrl,
+    participantIdentity: getAdhanFallbackIdentity(broadcast.id),
+    participantName: 'Adhan',
+  });
+  if (!ingress?.ingressId) return null;
+
+  const maxDurationMinutes = await resolveBroadcastMaxMinutes(broadcast);
+
+  let updatedBroadcast;
+  try {
+    updatedBroadcast = await transitionBroadcast({
+      broadcastId: broadcast.id,
+      to: 'live',
+      source: 'scheduler',
+      reason: 'adhan_fallback',
+      values: {
+        streamRoomId: roomName,
+        audioUrl: livekitUrl,
+        ingressId: ingress.ingressId,
+        isAutomated: true,
+        startedAt: new Date(),
+        maxDurationMinutes,
+      },
+      returning: {
+        id: broadcasts.id,
+        masjidId: broadcasts.masjidId,
+        prayerName: broadcasts.prayerName,
+        streamRoomId: broadcasts.streamRoomId,
+        startedAt: broadcasts.startedAt,
+        maxDurationMinutes: broadcasts.maxDurationMinutes,
+      },
+    });
+  } catch (error) {
+    // The ingress's own track can take the broadcast live via the track_published webhook
+    // first; then it is the stream the broadcast is live on and must be kept.
+    if (error?.statusCode === 409 && (await adoptFallbackIngress(broadcast.id, roomName, ingress))) {
+      return null;
+    }
+    // The muazzin went live (or the broadcast was cancelled) meanwhile.
+    await deleteLivekitIngress(ingress.ingressId);
+    if (error?.statusCode === 409) return null;
+    throw error;
+  }
+
+  await enqueueBroadcastStartJobs(updatedBroadcast);
+
+  logger.info({ broadcastId: broadcast.id, ingressId: ingress.ingressId }, 'Adhan fallback started');
+  return updatedBroadcast;
+}
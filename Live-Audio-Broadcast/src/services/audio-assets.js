@@ -0,0 +1,128 @@
+// Masjid audio library: validation, normalisation, storage keys and signed URLs.
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { and, desc, eq, inArray } from 'drizzle-orm';
+import { db } from '../db/client.js';
+import { audioAssets } from '../db/schema.js';
+import { env } from '../config/env.js';
+import { ApiError } from '../utils/api-error.js';
+import { createSignature, getExpiry, parseExpiry, verifySignature } from '../utils/url-signing.js';
+import { probeAudio, transcodeAudio } from './audio-processing.js';
+import { audioAssetStorage } from './storage.js';
+
+const MIN_DURATION_SECONDS = 1;
+const ALLOWED_SOURCE_CODECS = new Set([
+  'mp3',
+  'aac',
+  'opus',
+  'vorbis',
+  'flac',
+  'alac',
+]);
+
+function getOutputFormat() {
+  return env.AUDIO_ASSET_FORMAT === 'mp4'
+    ? { format: 'mp4', extension: 'm4a', contentType: 'audio/mp4' }
+    : { format: 'ogg', extension: 'ogg', contentType: 'audio/ogg' };
+}
+
+export function createUploadTempPath() {
+  return path.join(os.tmpdir(), `audio-upload-${crypto.randomUUID()}`);
+}
+
+/**
+ * Validate an uploaded file with ffprobe, normalise it and move it into storage.
+ * @param {object} upload
+ * @param {string} upload.masjidId
+ * @param {string} upload.assetId
+ * @param {string} upload.tempPath raw upload on local disk; removed afterwards
+ * @returns {Promise<{ storageKey: string, contentType: string, sourceCodec: string, durationSeconds: number, sizeBytes: number }>}
+ */
+export async function storeAudioUpload({ masjidId, assetId, tempPath }) {
+  const { format, extension, contentType } = getOutputFormat();
+  const outputPath = `${tempPath}.${extension}`;
+
+  try {
+    const source = await probeAudio(tempPath);
+    if (!source) throw new ApiError(400, 'validation_error', 'File is not a readable audio file');
+
+    // pcm_* covers WAV in its many sample formats.
+    if (!ALLOWED_SOURCE_CODECS.has(source.codec) && !source.codec.startsWith('pcm_')) {
+      throw new ApiError(400, 'validation_error', `Unsupported audio codec: ${source.codec}`);
+    }
+
+    const maxSeconds = env.AUDIO_ASSET_MAX_SECONDS;
+    if (source.durationSeconds < MIN_DURATION_SECONDS || source.durationSeconds > maxSeconds) {
+      throw new ApiError(
+        400,
+        'validation_error',
+        `Audio must be between ${MIN_DURATION_SECONDS} and ${maxSeconds} seconds`,
+        { durationSeconds: source.durationSeconds }
+      );
+    }
+
+    await transcodeAudio({ inputPath: tempPath, outputPath, format });
+    const normalised = await probeAudio(outputPath);
+
+    const storageKey = path.posix.join('masjids', masjidId, `${assetId}.${extension}`);
+    const { size } = await audioAssetStorage.put(storageKey, outputPath);
+
+    return {
+      storageKey,
+      contentType,
+      sourceCodec: source.codec,
+      durationSeconds: normalised?.durationSeconds || source.durationSeconds,
+      sizeBytes: size,
+    };
+  } finally {
+    await fs.rm(tempPath, { force: true });
+    await fs.rm(outputPath, { force: true });
+  }
+}
+
+export function getAudioAssetFilePath(masjidId, assetId, basePath = '/api/v1') {
+  const pathPrefix = basePath.endsWith('/') ? basePath.slice(0, -1) : basePath;
+  return `${pathPrefix}/masjids/${masjidId}/audio-assets/${assetId}/file`;
+}
+
+export function signAudioAssetUrl(masjidId, assetId, basePath = '/api/v1') {
+  if (!env.HLS_SIGNING_SECRET) return null;
+  const ttlSeconds = Number(env.AUDIO_ASSET_URL_TTL_SECONDS) || 3600;
+  const exp = getExpiry(ttlSeconds);
+  const sig = createSignature(env.HLS_SIGNING_SECRET, `audio-asset.${assetId}.${exp}`);
+  return `${getAudioAssetFilePath(masjidId, assetId, basePath)}?exp=${exp}&sig=${sig}`;
+}
+
+export function verifyAudioAssetSignature(assetId, exp, sig) {
+  if (!env.HLS_SIGNING_SECRET || !sig) return false;
+  const expNumber = parseExpiry(exp);
+  if (!expNumber) return false;
+  return verifySignature(env.HLS_SIGNING_SECRET, `audio-asset.${assetId}.${expNumber}`, sig);
+}
+
+/**
+ * Absolute signed URL for the masjid's newest adhan asset, for consumers outside
+ * the API such as LiveKit ingress. Fajr prefers a `fajr_adhan` asset.
+ * @param {string} masjidId
+ * @param {string | null} [prayerName]
+ * @returns {Promise<string | null>}
+ */
+export async function getAdhanAssetUrl(masjidId, prayerName) {
+  if (!env.PUBLIC_API_URL) return null;
+
+  const types = prayerName === 'Fajr' ? ['fajr_adhan', 'adhan'] : ['adhan'];
+  const assets = await db
+    .select({ id: audioAssets.id, type: audioAssets.type })
+    .from(audioAssets)
+    .where(and(eq(audioAssets.masjidId, masjidId), inArray(audioAssets.type, types)))
+    .orderBy(desc(audioAssets.createdAt));
+
+  const asset = types.map((type) => assets.find((item) => item.type === type)).find(Boolean);
+  if (!asset) return null;
+
+  const signedPath = signAudioAssetUrl(masjidId, asset.id);
+  if (!signedPath) return null;
+  return new URL(signedPath, env.PUBLIC_API_URL).toString();
+}
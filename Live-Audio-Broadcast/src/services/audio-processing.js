@@ -0,0 +1,105 @@
+// ffprobe/ffmpeg helpers for uploaded audio.
+import { spawn } from 'node:child_process';
+import { env } from '../config/env.js';
+
+const PROCESS_TIMEOUT_MS = 2 * 60 * 1000;
+
+function runProcess(command, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+
+    const timer = setTimeout(() => child.kill('SIGKILL'), PROCESS_TIMEOUT_MS);
+
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk;
+    });
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve(stdout);
+        return;
+      }
+      reject(new Error(`${command} exited with ${signal ?? code}: ${stderr.trim().slice(0, 500)}`));
+    });
+  });
+}
+
+/**
+ * Read the first audio stream of a file.
+ * @param {string} filePath
+ * @returns {Promise<{ codec: string, durationSeconds: number, sampleRate: number | null, channels: number | null } | null>}
+ *   null when the file has no audio stream or cannot be parsed
+ */
+export async function probeAudio(filePath) {
+  let output;
+  try {
+    output = await runProcess(env.FFPROBE_PATH, [
+      '-v',
+      'error',
+      '-select_streams',
+      'a:0',
+      '-show_entries',
+      'stream=codec_name,sample_rate,channels,duration:format=duration',
+      '-of',
+      'json',
+      filePath,
+    ]);
+  } catch (error) {
+    if (error?.code === 'ENOENT') throw error;
+    return null;
+  }
+
+  const parsed = JSON.parse(output || '{}');
+  const stream = parsed.streams?.[0];
+  if (!stream?.codec_name) return null;
+
+  const durationSeconds = Number(stream.duration ?? parsed.format?.duration);
+
+  return {
+    codec: stream.codec_name,
+    durationSeconds: Number.isFinite(durationSeconds) ? durationSeconds : 0,
+    sampleRate: stream.sample_rate ? Number(stream.sample_rate) : null,
+    channels: stream.channels ?? null,
+  };
+}
+
+/**
+ * Transcode to mono Opus (.ogg) or AAC (.m4a), dropping any video/cover art and metadata.
+ * @param {object} options
+ * @param {string} options.inputPath
+ * @param {string} options.outputPath
+ * @param {'ogg' | 'mp4'} options.format
+ */
+export async function transcodeAudio({ inputPath, outputPath, format }) {
+  const codecArgs =
+    format === 'mp4'
+      ? ['-c:a', 'aac', '-b:a', '96k', '-movflags', '+faststart', '-f', 'mp4']
+      : ['-c:a', 'libopus', '-b:a', '64k', '-application', 'audio', '-f', 'ogg'];
+
+  await runProcess(env.FFMPEG_PATH, [
+    '-hide_banner',
+    '-loglevel',
+    'error',
+    '-y',
+    '-i',
+    inputPath,
+    '-vn',
+    '-map_metadata',
+    '-1',
+    '-ac',
+    '1',
+    '-ar',
+    '48000',
+    ...codecArgs,
+    outputPath,
+  ]);
+}
@@ -0,0 +1,231 @@
+// Redis index of live and upcoming broadcasts for discovery, kept in step with lifecycle changes.
+import { and, eq, gte, inArray, isNotNull, or } from 'drizzle-orm';
+import { db } from '../db/client.js';
+import { broadcasts, masjids } from '../db/schema.js';
+import { redis } from '../config/redis.js';
+import { logger } from '../config/logger.js';
+
+const KEY_PREFIX = 'broadcast-index';
+// Entries are rewritten by the scheduler every cycle; the TTL only bounds orphans.
+const ENTRY_TTL_SECONDS = 24 * 60 * 60;
+const GEO_SEARCH_COUNT = 200;
+const UPCOMING_STATUSES = ['pending', 'scheduled'];
+
+const keys = {
+  ids: `${KEY_PREFIX}:ids`,
+  entry: (broadcastId) => `${KEY_PREFIX}:entry:${broadcastId}`,
+  masjid: (masjidId, state) => `${KEY_PREFIX}:masjid:${masjidId}:${state}`,
+  geo: (state) => `${KEY_PREFIX}:${state}:geo`,
+};
+
+const indexFields = {
+  id: broadcasts.id,
+  masjidId: broadcasts.masjidId,
+  title: broadcasts.title,
+  broadcastType: broadcasts.broadcastType,
+  prayerName: broadcasts.prayerName,
+  status: broadcasts.status,
+  scheduledAt: broadcasts.scheduledAt,
+  startedAt: broadcasts.startedAt,
+  streamProvider: broadcasts.streamProvider,
+  streamRoomId: broadcasts.streamRoomId,
+  audioUrl: broadcasts.audioUrl,
+  hlsUrl: broadcasts.hlsUrl,
+  masjidName: masjids.name,
+  masjidSlug: masjids.slug,
+  masjidLogoUrl: masjids.logoUrl,
+  latitude: masjids.latitude,
+  longitude: masjids.longitude,
+  isApproved: masjids.isApproved,
+  isActive: masjids.isActive,
+};
+
+function getIndexState(row) {
+  if (row.status === 'live') return 'live';
+  if (UPCOMING_STATUSES.includes(row.status) && row.scheduledAt) return 'upcoming';
+  return null;
+}
+
+function unindex(multi, broadcastId, masjidId) {
+  multi.hdel(keys.ids, broadcastId);
+  multi.del(keys.entry(broadcastId));
+  for (const state of ['live', 'upcoming']) {
+    if (masjidId) multi.zrem(keys.masjid(masjidId, state), broadcastId);
+    multi.zrem(keys.geo(state), broadcastId);
+  }
+}
+
+function index(multi, row) {
+  unindex(multi, row.id, row.masjidId);
+
+  const state = getIndexState(row);
+  if (!state) return;
+
+  const score = new Date(state === 'live' ? row.startedAt ?? Date.now() : row.scheduledAt).getTime();
+  const entry = {
+    id: row.id,
+    masjidId: row.masjidId,
+    masjidName: row.masjidName,
+    masjidSlug: row.masjidSlug,
+    masjidLogoUrl: row.masjidLogoUrl ?? null,
+    title: row.title ?? null,
+    broadcastType: row.broadcastType,
+    prayerName: row.prayerName ?? null,
+    status: row.status,
+    scheduledAt: row.scheduledAt ?? null,
+    startedAt: row.startedAt ?? null,
+    streamProvider: row.streamProvider,
+    streamRoomId: row.streamRoomId ?? null,
+    audioUrl: row.audioUrl ?? null,
+    hlsUrl: row.hlsUrl ?? null,
+  };
+
+  multi.hset(keys.ids, row.id, row.masjidId);
+  multi.set(keys.entry(row.id), JSON.stringify(entry), 'EX', ENTRY_TTL_SECONDS);
+  multi.zadd(keys.masjid(row.masjidId, state), score, row.id);
+
+  // Only approved, active masjids are discoverable by location.
+  if (row.isApproved && row.isActive) {
+    multi.geoadd(keys.geo(state), row.longitude, row.latitude, row.id);
+  }
+}
+
+/**
+ * Re-read one broadcast and place it in (or drop it from) the index.
+ * Failures are logged; discovery lags until the next scheduler rebuild.
+ * @param {string} broadcastId
+ */
+export async function syncBroadcastIndex(broadcastId) {
+  try {
+    const [row] = await db
+      .select(indexFields)
+      .from(broadcasts)
+      .innerJoin(masjids, eq(masjids.id, broadcasts.masjidId))
+      .where(eq(broadcasts.id, broadcastId))
+      .limit(1);
+
+    const multi = redis.multi();
+    if (row) {
+      index(multi, row);
+    } else {
+      unindex(multi, broadcastId, await redis.hget(keys.ids, broadcastId));
+    }
+    await multi.exec();
+  } catch (error) {
+    logger.warn({ err: error, broadcastId }, 'Broadcast index sync failed');
+  }
+}
+
+/**
+ * Rebuild the index from the database: re-index every live or upcoming broadcast
+ * and drop anything the index still holds that no longer qualifies.
+ * @param {object} [options]
+ * @param {Date} [options.upcomingFrom] earliest scheduledAt to keep as upcoming
+ * @returns {Promise<{ indexed: number, removed: number }>}
+ */
+export async function rebuildBroadcastIndex({ upcomingFrom = new Date() } = {}) {
+  const rows = await db
+    .select(indexFields)
+    .from(broadcasts)
+    .innerJoin(masjids, eq(masjids.id, broadcasts.masjidId))
+    .where(
+      or(
+        eq(broadcasts.status, 'live'),
+        and(
+          inArray(broadcasts.status, UPCOMING_STATUSES),
+          isNotNull(broadcasts.scheduledAt),
+          gte(broadcasts.scheduledAt, upcomingFrom)
+        )
+      )
+    );
+
+  const indexedIds = await redis.hgetall(keys.ids);
+  const currentIds = new Set(rows.map((row) => row.id));
+
+  const multi = redis.multi();
+  let removed = 0;
+  for (const [broadcastId, masjidId] of Object.entries(indexedIds)) {
+    if (currentIds.has(broadcastId)) continue;
+    unindex(multi, broadcastId, masjidId);
+    removed += 1;
+  }
+  for (const row of rows) {
+    index(multi, row);
+  }
+  await multi.exec();
+
+  return { indexed: rows.length, removed };
+}
+
+async function searchNearby(state, { latitude, longitude, radiusKm }) {
+  const results = await redis.geosearch(
+    keys.geo(state),
+    'FROMLONLAT',
+    longitude,
+    latitude,
+    'BYRADIUS',
+    radiusKm,
+    'km',
+    'ASC',
+    'COUNT',
+    GEO_SEARCH_COUNT,
+    'WITHDIST'
+  );
+  return new Map(results.map(([broadcastId, distance]) => [broadcastId, Number(distance)]));
+}
+
+/**
+ * Read indexed broadcasts for a set of masjids and/or around a coordinate.
+ * @param {object} options
+ * @param {'live' | 'upcoming'} options.state
+ * @param {string[]} [options.masjidIds]
+ * @param {{ latitude: number, longitude: number, radiusKm: number }} [options.near]
+ * @param {Date} [options.from] lower bound on the sort time (startedAt or scheduledAt)
+ * @param {Date} [options.to] upper bound on the sort time
+ * @param {number} [options.limit]
+ * @returns {Promise<Array<Record<string, any>>>} index entries, with `distanceKm` when `near` matched
+ */
+export async function getIndexedBroadcasts({ state, masjidIds = [], near, from, to, limit = 50 }) {
+  const min = from ? from.getTime() : '-inf';
+  const max = to ? to.getTime() : '+inf';
+
+  const ids = new Set();
+  if (masjidIds.length) {
+    const pipeline = redis.pipeline();
+    for (const masjidId of masjidIds) {
+      pipeline.zrangebyscore(keys.masjid(masjidId, state), min, max);
+    }
+    const results = await pipeline.exec();
+    for (const [error, members] of results) {
+      if (error) throw error;
+      for (const member of members) ids.add(member);
+    }
+  }
+
+  const distances = near ? await searchNearby(state, near) : new Map();
+  for (const broadcastId of distances.keys()) ids.add(broadcastId);
+
+  if (!ids.size) return [];
+
+  const idList = [...ids];
+  const rawEntries = await redis.mget(idList.map(keys.entry));
+  const sortKey = state === 'live' ? 'startedAt' : 'scheduledAt';
+
+  return rawEntries
+    .map((raw, position) => {
+      if (!raw) return null;
+      const entry = JSON.parse(raw);
+      const distanceKm = distances.get(idList[position]);
+      return distanceKm === undefined ? entry : { ...entry, distanceKm };
+    })
+    .filter((entry) => {
+      if (!entry) return false;
+      const time = new Date(entry[sortKey] ?? 0).getTime();
+      return (!from || time >= from.getTime()) && (!to || time <= to.getTime());
+    })
+    .sort((a, b) => {
+      const diff = new Date(a[sortKey]).getTime() - new Date(b[sortKey]).getTime();
+      return state === 'live' ? -diff : diff;
+    })
+    .slice(0, limit);
+}
@@ -0,0 +1,259 @@
+// Broadcast lifecycle: allowed status transitions, audit trail and side-effect jobs.
+import { and, eq } from 'drizzle-orm';
+import { db } from '../db/client.js';
+import { broadcastEvents, broadcasts, masjids } from '../db/schema.js';
+import { broadcastQueue, notificationQueue } from '../queues/queue.factory.js';
+import { env } from '../config/env.js';
+import { getBroadcastStreamEvent, publishBroadcastUpdate } from './broadcast-stream.js';
+import { syncBroadcastIndex } from './broadcast-index.js';
+import { getBroadcastTypeRules } from './broadcast-types.js';
+import { ApiError } from '../utils/api-error.js';
+
+const DEFAULT_BROADCAST_MAX_MINUTES = 15;
+// Upper bound for any configured or extended limit.
+export const BROADCAST_MAX_MINUTES_CEILING = 240;
+const BROADCAST_END_WARNING_MS = 60 * 1000;
+
+// Terminal states have no outgoing transitions.
+const BROADCAST_TRANSITIONS = {
+  pending: ['scheduled', 'live', 'cancelled'],
+  scheduled: ['live', 'failed', 'cancelled'],
+  live: ['completed', 'failed'],
+  completed: [],
+  failed: [],
+  cancelled: [],
+};
+
+export function getBroadcastMaxMinutes() {
+  const parsed = Number(env.BROADCAST_MAX_MINUTES);
+  if (Number.isFinite(parsed) && parsed > 0) return parsed;
+  return DEFAULT_BROADCAST_MAX_MINUTES;
+}
+
+/**
+ * Effective limit for a broadcast going live: the masjid's per-prayer override (a khutbah
+ * tied to Juma uses Juma's), then the masjid default, then the broadcast type's default,
+ * then BROADCAST_MAX_MINUTES.
+ * @param {{ masjidId: string, prayerName?: string | null, broadcastType?: string | null }} broadcast
+ * @returns {Promise<number>}
+ */
+export async function resolveBroadcastMaxMinutes({ masjidId, prayerName, broadcastType }) {
+  const [masjidRecord] = await db
+    .select({
+      broadcastMaxMinutes: masjids.broadcastMaxMinutes,
+      prayerMaxMinutes: masjids.prayerMaxMinutes,
+    })
+    .from(masjids)
+    .where(eq(masjids.id, masjidId))
+    .limit(1);
+
+  const prayerLimit = prayerName ? Number(masjidRecord?.prayerMaxMinutes?.[prayerName]) : NaN;
+  if (Number.isInteger(prayerLimit) && prayerLimit > 0) return prayerLimit;
+
+  const masjidLimit = masjidRecord?.broadcastMaxMinutes;
+  if (Number.isInteger(masjidLimit) && masjidLimit > 0) return masjidLimit;
+
+  return getBroadcastTypeRules(broadcastType).defaultMaxMinutes || getBroadcastMaxMinutes();
+}
+
+// Cutoff for a live broadcast; older rows without a stored limit use the global default.
+export function getBroadcastEndsAt({ startedAt, maxDurationMinutes }) {
+  if (!startedAt) return null;
+  const minutes = maxDurationMinutes > 0 ? maxDurationMinutes : getBroadcastMaxMinutes();
+  return new Date(startedAt.getTime() + minutes * 60 * 1000);
+}
+
+function getEndWarningJobId(broadcastId, endsAt) {
+  return `broadcast-end-warning-${broadcastId}-${endsAt.getTime()}`;
+}
+
+/**
+ * (Re)schedule the auto-end job and the one-minute warning before it.
+ * @param {{ id: string, startedAt: Date, maxDurationMinutes?: number | null }} broadcast
+ * @param {{ previousEndsAt?: Date | null }} [options] cutoff being replaced, on extension
+ */
+export async function scheduleBroadcastAutoEnd(broadcast, { previousEndsAt = null } = {}) {
+  const endsAt = getBroadcastEndsAt(broadcast);
+  if (!endsAt) return;
+
+  const autoEndJobId = `broadcast-auto-end-${broadcast.id}`;
+  await broadcastQueue.remove(autoEndJobId);
+  if (previousEndsAt) {
+    await broadcastQueue.remove(getEndWarningJobId(broadcast.id, previousEndsAt));
+  }
+
+  const remainingMs = endsAt.getTime() - Date.now();
+
+  await broadcastQueue.add(
+    'broadcast-auto-end',
+    { broadcastId: broadcast.id, endedReason: 'max_duration_reached' },
+    { delay: Math.max(1, remainingMs), jobId: autoEndJobId }
+  );
+
+  if (remainingMs > BROADCAST_END_WARNING_MS) {
+    await broadcastQueue.add(
+      'broadcast-end-warning',
+      { broadcastId: broadcast.id, endsAt: endsAt.toISOString() },
+      {
+        delay: remainingMs - BROADCAST_END_WARNING_MS,
+        jobId: getEndWarningJobId(broadcast.id, endsAt),
+      }
+    );
+  }
+}
+
+export function canTransitionBroadcast(fromStatus, toStatus) {
+  return (BROADCAST_TRANSITIONS[fromStatus] ?? []).includes(toStatus);
+}
+
+export function assertBroadcastTransition(fromStatus, toStatus) {
+  if (canTransitionBroadcast(fromStatus, toStatus)) return;
+  throw new ApiError(409, 'conflict', `Broadcast cannot move from ${fromStatus} to ${toStatus}`, {
+    fromStatus,
+    toStatus,
+  });
+}
+
+/**
+ * Record a lifecycle event without changing status, e.g. when a broadcast is created.
+ * @param {object} event
+ * @param {string} event.broadcastId
+ * @param {string | null} [event.fromStatus]
+ * @param {string} event.toStatus
+ * @param {'api' | 'worker' | 'scheduler' | 'webhook'} event.source
+ * @param {string | null} [event.actorId]
+ * @param {string | null} [event.reason]
+ * @param {object} [executor] drizzle db or transaction
+ */
+export async function recordBroadcastEvent(
+  { broadcastId, fromStatus = null, toStatus, source, actorId = null, reason = null },
+  executor = db
+) {
+  await executor.insert(broadcastEvents).values({
+    broadcastId,
+    fromStatus,
+    toStatus,
+    source,
+    actorId,
+    reason,
+  });
+}
+
+/**
+ * Move a broadcast to a new status, guarded by the transition table and a
+ * conditional update so concurrent writers cannot both succeed.
+ * @param {object} options
+ * @param {string} options.broadcastId
+ * @param {string} options.to
+ * @param {'api' | 'worker' | 'scheduler' | 'webhook'} options.source
+ * @param {string | null} [options.actorId]
+ * @param {string | null} [options.reason]
+ * @param {Record<string, any>} [options.values] extra columns to set with the status change
+ * @param {Record<string, any>} [options.returning] drizzle returning fields
+ * @returns {Promise<Record<string, any>>}
+ */
+export async function transitionBroadcast({
+  broadcastId,
+  to,
+  source,
+  actorId = null,
+  reason = null,
+  values = {},
+  returning,
+}) {
+  const { updatedBroadcast, previous } = await db.transaction(async (tx) => {
+    const [current] = await tx
+      .select({ id: broadcasts.id, masjidId: broadcasts.masjidId, status: broadcasts.status })
+      .from(broadcasts)
+      .where(eq(broadcasts.id, broadcastId))
+      .limit(1)
+      .for('update');
+
+    if (!current) throw new ApiError(404, 'not_found', 'Broadcast not found');
+    assertBroadcastTransition(current.status, to);
+
+    const [updatedBroadcast] = await tx
+      .update(broadcasts)
+      .set({ ...values, status: to, updatedAt: new Date() })
+      .where(and(eq(broadcasts.id, broadcastId), eq(broadcasts.status, current.status)))
+      .returning(returning);
+
+    if (!updatedBroadcast) {
+      throw new ApiError(409, 'conflict', 'Broadcast status changed concurrently');
+    }
+
+    await recordBroadcastEvent(
+      { broadcastId, fromStatus: current.status, toStatus: to, source, actorId, reason },
+      tx
+    );
+
+    return { updatedBroadcast, previous: current };
+  });
+
+  await publishBroadcastStatus({
+    broadcastId,
+    masjidId: previous.masjidId,
+    status: to,
+    fromStatus: previous.status,
+    reason,
+  });
+
+  return updatedBroadcast;
+}
+
+// Push a status change to SSE listeners of the masjid and the discovery index.
+export async function publishBroadcastStatus({ broadcastId, masjidId, status, ...data }) {
+  await syncBroadcastIndex(broadcastId);
+
+  const event = getBroadcastStreamEvent(status);
+  if (!event) return;
+  await publishBroadcastUpdate({ event, masjidId, broadcastId, data: { status, ...data } });
+}
+
+// One job per broadcast and kind; re-adding an existing jobId is a no-op in BullMQ.
+function fanOutJob(jobName, broadcastId) {
+  return { jobId: `${jobName}-${broadcastId}` };
+}
+
+// Notifications, provider output (e.g. the HLS relay), recording and the auto-end timer for a new live broadcast.
+export async function enqueueBroadcastStartJobs({
+  id,
+  masjidId,
+  prayerName,
+  streamRoomId,
+  startedAt,
+  maxDurationMinutes,
+}) {
+  await notificationQueue.add(
+    'broadcast-start',
+    { broadcastId: id, masjidId, prayerName },
+    fanOutJob('broadcast-start', id)
+  );
+
+  await broadcastQueue.add('stream-start', { broadcastId: id }, fanOutJob('stream-start', id));
+
+  if (streamRoomId) {
+    await broadcastQueue.add(
+      'recording-start',
+      { broadcastId: id, roomName: streamRoomId },
+      fanOutJob('recording-start', id)
+    );
+  }
+
+  await scheduleBroadcastAutoEnd({ id, startedAt: startedAt ?? new Date(), maxDurationMinutes });
+}
+
+// Notifications, provider output/ingress teardown, recording and listener stats finalisation for a broadcast that just left live.
+export async function enqueueBroadcastEndJobs({ id, masjidId }) {
+  await notificationQueue.add(
+    'broadcast-end',
+    { broadcastId: id, masjidId },
+    fanOutJob('broadcast-end', id)
+  );
+
+  await broadcastQueue.add('stream-stop', { broadcastId: id }, fanOutJob('stream-stop', id));
+
+  await broadcastQueue.add('recording-stop', { broadcastId: id }, fanOutJob('recording-stop', id));
+  await broadcastQueue.add('ingress-stop', { broadcastId: id }, fanOutJob('ingress-stop', id));
+  await broadcastQueue.add('stats-finalize', { broadcastId: id }, fanOutJob('stats-finalize', id));
+}
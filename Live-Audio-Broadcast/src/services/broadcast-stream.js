@@ -0,0 +1,116 @@
+// Broadcast status fan-out over Redis pub/sub so every API replica can serve SSE clients.
+import { EventEmitter } from 'node:events';
+import { redis } from '../config/redis.js';
+import { logger } from '../config/logger.js';
+
+const CHANNEL_PREFIX = 'broadcast-status:';
+
+const localEmitter = new EventEmitter();
+localEmitter.setMaxListeners(0);
+
+const channelRefCounts = new Map();
+let subscriber = null;
+
+function getChannel(masjidId) {
+  return `${CHANNEL_PREFIX}${masjidId}`;
+}
+
+function getSubscriber() {
+  if (subscriber) return subscriber;
+
+  subscriber = redis.duplicate();
+  subscriber.on('message', (channel, message) => {
+    try {
+      localEmitter.emit(channel, JSON.parse(message));
+    } catch (error) {
+      logger.warn({ err: error, channel }, 'Invalid broadcast stream message');
+    }
+  });
+  subscriber.on('error', (err) => logger.error({ err }, 'Broadcast stream subscriber error'));
+
+  return subscriber;
+}
+
+/**
+ * Publish a status update to every listener of a masjid, on any replica.
+ * @param {object} update
+ * @param {'scheduled' | 'live' | 'ended' | 'listener_count' | 'extended' | 'ending_soon'} update.event
+ * @param {string} update.masjidId
+ * @param {string} update.broadcastId
+ * @param {Record<string, any>} [update.data]
+ */
+export async function publishBroadcastUpdate({ event, masjidId, broadcastId, data = {} }) {
+  if (!masjidId || !broadcastId) return;
+
+  const message = JSON.stringify({
+    event,
+    masjidId,
+    broadcastId,
+    ...data,
+    at: new Date().toISOString(),
+  });
+
+  try {
+    await redis.publish(getChannel(masjidId), message);
+  } catch (error) {
+    logger.warn({ err: error, masjidId, broadcastId, event }, 'Broadcast stream publish failed');
+  }
+}
+
+/**
+ * Listen for updates on a set of masjids. Redis channels are shared between
+ * local listeners and dropped once the last one unsubscribes.
+ * @param {string[]} masjidIds
+ * @param {(update: Record<string, any>) => void} listener
+ * @returns {Promise<() => Promise<void>>} unsubscribe
+ */
+export async function subscribeToMasjids(masjidIds, listener) {
+  const client = getSubscriber();
+  const channels = masjidIds.map(getChannel);
+  const newChannels = [];
+
+  for (const channel of channels) {
+    const count = channelRefCounts.get(channel) ?? 0;
+    if (count === 0) newChannels.push(channel);
+    channelRefCounts.set(channel, count + 1);
+    localEmitter.on(channel, listener);
+  }
+
+  const release = (channel) => {
+    localEmitter.off(channel, listener);
+    const count = (channelRefCounts.get(channel) ?? 1) - 1;
+    if (count <= 0) {
+      channelRefCounts.delete(channel);
+      return true;
+    }
+    channelRefCounts.set(channel, count);
+    return false;
+  };
+
+  if (newChannels.length) {
+    try {
+      await client.subscribe(...newChannels);
+    } catch (error) {
+      // Undo this listener's counts, so the next one subscribes to Redis again.
+      channels.forEach(release);
+      throw error;
+    }
+  }
+
+  return async () => {
+    const staleChannels = channels.filter(release);
+
+    if (staleChannels.length) {
+      await client.unsubscribe(...staleChannels).catch((error) =>
+        logger.warn({ err: error }, 'Broadcast stream unsubscribe failed')
+      );
+    }
+  };
+}
+
+export function getBroadcastStreamEvent(status) {
+  if (status === 'live') return 'live';
+  if (status === 'scheduled') return 'scheduled';
+  if (['completed', 'failed', 'cancelled'].includes(status)) return 'ended';
+  return null;
+}
@@ -0,0 +1,91 @@
+// Per-type broadcast rules: duration, how subscribers are alerted and notification wording.
+import { ApiError } from '../utils/api-error.js';
+
+/**
+ * @typedef {object} BroadcastTypeRules
+ * @property {string} label
+ * @property {number | null} defaultMaxMinutes used when the masjid sets no limit; null means
+ *   BROADCAST_MAX_MINUTES
+ * @property {boolean} wakeOnSilent VoIP/high-priority wake instead of a normal push
+ * @property {string[] | null} prayerNames prayers the type may be tied to (null: none)
+ */
+
+/** @type {Record<string, BroadcastTypeRules>} */
+const BROADCAST_TYPE_RULES = {
+  prayer: {
+    label: 'Adhan',
+    defaultMaxMinutes: null,
+    wakeOnSilent: true,
+    prayerNames: ['Fajr', 'Dhuhr', 'Asr', 'Maghrib', 'Isha', 'Juma'],
+  },
+  khutbah: { label: 'Khutbah', defaultMaxMinutes: 60, wakeOnSilent: true, prayerNames: ['Juma'] },
+  lecture: { label: 'Lecture', defaultMaxMinutes: 90, wakeOnSilent: false, prayerNames: null },
+  quran_recitation: {
+    label: 'Quran recitation',
+    defaultMaxMinutes: 180,
+    wakeOnSilent: false,
+    prayerNames: null,
+  },
+  announcement: {
+    label: 'Announcement',
+    defaultMaxMinutes: 10,
+    wakeOnSilent: true,
+    prayerNames: null,
+  },
+};
+
+export const BROADCAST_TYPES = Object.keys(BROADCAST_TYPE_RULES);
+
+/**
+ * @param {string | null | undefined} broadcastType
+ * @returns {BroadcastTypeRules}
+ */
+export function getBroadcastTypeRules(broadcastType) {
+  return BROADCAST_TYPE_RULES[broadcastType] ?? BROADCAST_TYPE_RULES.prayer;
+}
+
+// Prayer names only make sense for prayers (and the Juma khutbah).
+export function assertBroadcastTypeFields({ broadcastType, prayerName }) {
+  if (!prayerName) return;
+
+  const { prayerNames } = getBroadcastTypeRules(broadcastType);
+  if (!prayerNames?.includes(prayerName)) {
+    throw new ApiError(
+      400,
+      'validation_error',
+      `prayerName ${prayerName} is not allowed for ${broadcastType} broadcasts`
+    );
+  }
+}
+
+/**
+ * Push title/body for a broadcast that started or ended.
+ * @param {object} broadcast
+ * @param {string} broadcast.broadcastType
+ * @param {string | null} [broadcast.prayerName]
+ * @param {string | null} [broadcast.title]
+ * @param {string | null} [broadcast.masjidName]
+ * @param {'start' | 'end'} eventType
+ * @returns {{ title: string, body: string }}
+ */
+export function getBroadcastNotificationText(
+  { broadcastType, prayerName, title, masjidName },
+  eventType
+) {
+  const { label } = getBroadcastTypeRules(broadcastType);
+  const subject = broadcastType === 'prayer' && prayerName ? `${prayerName} ${label}` : label;
+  const heading = masjidName || subject;
+
+  if (eventType === 'end') {
+    return { title: heading, body: `${subject} has ended` };
+  }
+
+  if (broadcastType === 'announcement') {
+    return { title: `${heading}: ${label}`, body: title || 'Tap to listen now' };
+  }
+
+  return {
+    title: heading,
+    body: title && title !== subject ? `${subject} is live: ${title}` : `${subject} is live now`,
+  };
+}
@@ -0,0 +1,65 @@
+// In-memory LRU of recently served HLS segments: every listener of a broadcast fetches
+// the same few parts within seconds of each other, so most requests never touch the disk.
+import crypto from 'node:crypto';
+import { env } from '../config/env.js';
+
+/**
+ * @typedef {object} HlsCachedFile
+ * @property {Buffer} body
+ * @property {string} etag
+ */
+
+// Insertion order doubles as recency: hits are moved to the end, eviction takes the front.
+const entries = new Map();
+const loading = new Map();
+let cachedBytes = 0;
+
+function getMaxBytes() {
+  return env.HLS_SEGMENT_CACHE_MB * 1024 * 1024;
+}
+
+export function createHlsEtag(body) {
+  return `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+}
+
+function remember(key, file) {
+  const maxBytes = getMaxBytes();
+  if (file.body.length > maxBytes) return;
+
+  entries.set(key, file);
+  cachedBytes += file.body.length;
+  for (const [oldestKey, oldest] of entries) {
+    if (cachedBytes <= maxBytes) break;
+    entries.delete(oldestKey);
+    cachedBytes -= oldest.body.length;
+  }
+}
+
+/**
+ * Serve a segment from memory, or load it once however many listeners ask at the same time.
+ * Entries are never revalidated: key files that can be rewritten (init files) by version.
+ * @param {string} key the file's path, plus its mtime and size if it can change
+ * @param {() => Promise<Buffer | null>} load null when the file does not exist (not cached)
+ * @returns {Promise<HlsCachedFile | null>}
+ */
+export async function getCachedHlsFile(key, load) {
+  const cached = entries.get(key);
+  if (cached) {
+    entries.delete(key);
+    entries.set(key, cached);
+    return cached;
+  }
+
+  if (!loading.has(key)) {
+    const pending = load()
+      .then((body) => {
+        if (!body) return null;
+        const file = { body, etag: createHlsEtag(body) };
+        remember(key, file);
+        return file;
+      })
+      .finally(() => loading.delete(key));
+    loading.set(key, pending);
+  }
+  return loading.get(key);
+}
@@ -0,0 +1,468 @@
+// HLS relay supervision across worker replicas: ownership in Redis, crash restarts and
+// reaping of relays whose worker died.
+import { execFile } from 'node:child_process';
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import { promisify } from 'node:util';
+import { eq } from 'drizzle-orm';
+import { db } from '../db/client.js';
+import { broadcasts } from '../db/schema.js';
+import { redis } from '../config/redis.js';
+import { env } from '../config/env.js';
+import { logger } from '../config/logger.js';
+import { startLivekitRtmpEgress, stopLivekitEgress } from './livekit.js';
+import {
+  finalizeHlsOutput,
+  getFfmpegContainerName,
+  HOLDING_CONTAINER_SUFFIX,
+  prepareHlsRelay,
+  spawnFfmpeg,
+} from './hls.js';
+
+const execFileAsync = promisify(execFile);
+
+const KEY_PREFIX = 'hls-relay';
+const HEARTBEAT_MS = 10 * 1000;
+// A worker that misses this many seconds of heartbeats is treated as dead.
+const OWNER_TTL_SECONDS = 30;
+const REAPER_INTERVAL_MS = 60 * 1000;
+const REAP_LOCK_SECONDS = 30;
+const RESTART_BASE_MS = 1000;
+const RESTART_MAX_MS = 30 * 1000;
+// A process that ran this long before exiting restarts the backoff from the beginning.
+const RESTART_STABLE_MS = 60 * 1000;
+// Time ffmpeg gets to flush its last part and playlist after SIGTERM.
+const STOP_GRACE_MS = 5 * 1000;
+
+const keys = {
+  ids: `${KEY_PREFIX}:ids`,
+  relay: (broadcastId) => `${KEY_PREFIX}:relay:${broadcastId}`,
+  owner: (ownerId) => `${KEY_PREFIX}:owner:${ownerId}`,
+  stop: (ownerId) => `${KEY_PREFIX}:stop:${ownerId}`,
+  reapLock: (broadcastId) => `${KEY_PREFIX}:reap:${broadcastId}`,
+};
+
+const ownerId = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+const localRelays = new Map();
+let supervisorStarted = false;
+
+/**
+ * Ownership record kept in Redis while a relay runs, so any replica can stop it
+ * or clean up after its worker.
+ * @typedef {object} RelayRecord
+ * @property {string} broadcastId
+ * @property {string} ownerId worker that runs ffmpeg
+ * @property {string} host
+ * @property {string} pid ffmpeg (or `docker run`) process id, empty while restarting
+ * @property {string} containerName
+ * @property {string} egressId LiveKit egress feeding the relay, empty without LiveKit
+ * @property {string} rtmpUrl
+ * @property {string} hlsUrl
+ * @property {string} icecastUrl
+ * @property {string} options JSON of the `startHlsRelay` options, for adoption
+ * @property {string} restarts
+ * @property {string} startedAt
+ * @property {string} heartbeatAt
+ */
+
+async function readRelayRecord(broadcastId) {
+  const record = await redis.hgetall(keys.relay(broadcastId));
+  return record?.broadcastId ? record : null;
+}
+
+async function deleteRelayRecord(broadcastId) {
+  await redis.multi().del(keys.relay(broadcastId)).srem(keys.ids, broadcastId).exec();
+}
+
+async function isOwnerAlive(relayOwnerId) {
+  if (relayOwnerId === ownerId) return true;
+  return (await redis.exists(keys.owner(relayOwnerId))) === 1;
+}
+
+async function isBroadcastLive(broadcastId) {
+  const [broadcastRecord] = await db
+    .select({ status: broadcasts.status })
+    .from(broadcasts)
+    .where(eq(broadcasts.id, broadcastId))
+    .limit(1);
+
+  return broadcastRecord?.status === 'live';
+}
+
+async function stopEgress(egressId, broadcastId) {
+  if (!egressId) return;
+  try {
+    await stopLivekitEgress(egressId);
+  } catch (error) {
+    logger.warn({ err: error, broadcastId, egressId }, 'Failed to stop LiveKit egress');
+  }
+}
+
+async function removeContainer(containerName) {
+  try {
+    await execFileAsync('docker', ['rm', '-f', containerName], { timeout: 15 * 1000 });
+  } catch (error) {
+    logger.warn({ err: error, containerName }, 'Failed to remove ffmpeg container');
+  }
+}
+
+// Only signal a pid that still runs this broadcast's ffmpeg; pids are reused after a crash.
+async function killOrphanProcess(record) {
+  const pid = Number(record.pid);
+  if (!pid || record.host !== os.hostname()) return;
+
+  try {
+    const cmdline = await fs.readFile(`/proc/${pid}/cmdline`, 'utf8');
+    if (!cmdline.includes('ffmpeg') || !cmdline.includes(record.broadcastId)) return;
+    process.kill(pid, 'SIGTERM');
+  } catch (error) {
+    if (error.code !== 'ENOENT' && error.code !== 'ESRCH') {
+      logger.warn({ err: error, broadcastId: record.broadcastId, pid }, 'Failed to kill ffmpeg');
+    }
+  }
+}
+
+// Clean up a relay this worker does not run: its egress, ffmpeg and ownership record.
+async function reapRelay(record) {
+  await stopEgress(record.egressId, record.broadcastId);
+  if (env.HLS_FFMPEG_MODE === 'docker') {
+    await removeContainer(record.containerName);
+  } else {
+    await killOrphanProcess(record);
+  }
+  await deleteRelayRecord(record.broadcastId);
+
+  logger.warn(
+    { broadcastId: record.broadcastId, ownerId: record.ownerId },
+    'Orphaned HLS relay reaped',
+  );
+}
+
+function getRestartDelay(restarts) {
+  return Math.min(RESTART_BASE_MS * 2 ** Math.max(0, restarts - 1), RESTART_MAX_MS);
+}
+
+function runRelayProcess(relay) {
+  const { broadcastId } = relay.options;
+  const startedAt = Date.now();
+
+  const ffmpeg = spawnFfmpeg({
+    name: relay.command.containerName,
+    ffmpegArgs: relay.command.ffmpegArgs,
+    hostOutputDir: relay.command.hostOutputDir,
+    logContext: { broadcastId },
+  });
+  relay.process = ffmpeg;
+
+  let exited = false;
+  const onExit = (code, signal) => {
+    if (exited) return;
+    exited = true;
+    if (relay.process === ffmpeg) relay.process = null;
+    if (relay.stopping) return;
+
+    if (Date.now() - startedAt >= RESTART_STABLE_MS) relay.restarts = 0;
+    relay.restarts += 1;
+    const retryMs = getRestartDelay(relay.restarts);
+    logger.warn({ broadcastId, code, signal, retryMs }, 'FFmpeg relay exited, restarting');
+
+    relay.restartTimer = setTimeout(() => {
+      restartRelayProcess(relay).catch((error) =>
+        logger.error({ err: error, broadcastId }, 'FFmpeg relay restart failed'),
+      );
+    }, retryMs);
+    relay.restartTimer.unref();
+  };
+
+  ffmpeg.on('exit', onExit);
+  ffmpeg.on('error', () => onExit(null, null));
+
+  return ffmpeg;
+}
+
+// Restart only while the broadcast is live; otherwise the relay is no longer wanted.
+async function restartRelayProcess(relay) {
+  const { broadcastId } = relay.options;
+  relay.restartTimer = null;
+  if (relay.stopping) return;
+
+  const live = await isBroadcastLive(broadcastId);
+  if (relay.stopping) return;
+  if (!live) {
+    await stopLocalRelay(relay);
+    return;
+  }
+
+  const ffmpeg = runRelayProcess(relay);
+  await redis.hset(keys.relay(broadcastId), {
+    pid: ffmpeg.pid ?? '',
+    restarts: relay.restarts,
+  });
+}
+
+function waitForExit(child, timeoutMs) {
+  if (!child || child.exitCode !== null || child.signalCode !== null) return Promise.resolve();
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, timeoutMs);
+    child.once('exit', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+}
+
+// The relay is gone for good, so its playlists end here (and kept ones become VOD).
+async function finalizeRelayOutput(broadcastId) {
+  try {
+    await finalizeHlsOutput(broadcastId);
+  } catch (error) {
+    logger.warn({ err: error, broadcastId }, 'Failed to finalize HLS playlists');
+  }
+}
+
+async function stopLocalRelay(relay) {
+  const { broadcastId } = relay.options;
+  relay.stopping = true;
+  localRelays.delete(broadcastId);
+  if (relay.restartTimer) clearTimeout(relay.restartTimer);
+
+  const ffmpeg = relay.process;
+  try {
+    if (ffmpeg?.pid) ffmpeg.kill('SIGTERM');
+  } catch (error) {
+    logger.warn({ err: error, broadcastId }, 'Failed to stop ffmpeg process');
+  }
+
+  await stopEgress(relay.egressId, broadcastId);
+  await deleteRelayRecord(broadcastId);
+  await waitForExit(ffmpeg, STOP_GRACE_MS);
+  await finalizeRelayOutput(broadcastId);
+}
+
+/**
+ * Relay a LiveKit room to HLS and/or Icecast on this worker and record ownership in
+ * Redis. ffmpeg restarts with backoff while the broadcast stays live.
+ * @param {object} options
+ * @param {string} options.broadcastId
+ * @param {string} options.roomName
+ * @param {string | null} [options.masjidSlug]
+ * @param {string | null} [options.masjidName]
+ * @param {number[] | null} [options.bitrateLadderKbps]
+ * @returns {Promise<{ hlsUrl: string | null, icecastUrl: string | null, egressId: string | null, rtmpUrl: string }>}
+ */
+export async function startHlsRelay(options) {
+  const { broadcastId } = options;
+
+  // A retried start job must not open a second egress for a relay that still runs.
+  const existing = await readRelayRecord(broadcastId);
+  if (existing && (await isOwnerAlive(existing.ownerId))) {
+    return {
+      hlsUrl: existing.hlsUrl || null,
+      icecastUrl: existing.icecastUrl || null,
+      egressId: existing.egressId || null,
+      rtmpUrl: existing.rtmpUrl,
+    };
+  }
+  if (existing) await reapRelay(existing);
+
+  const command = await prepareHlsRelay(options);
+  const egressInfo = await startLivekitRtmpEgress({
+    roomName: options.roomName,
+    rtmpUrl: command.publishUrl,
+    audioBitrateKbps: command.egressBitrateKbps,
+  });
+
+  const relay = {
+    options,
+    command,
+    egressId: egressInfo?.egressId ?? null,
+    process: null,
+    restarts: 0,
+    restartTimer: null,
+    stopping: false,
+  };
+  localRelays.set(broadcastId, relay);
+
+  // Recorded before ffmpeg starts so the reaper never sees an unowned container.
+  const now = new Date().toISOString();
+  await redis
+    .multi()
+    .hset(keys.relay(broadcastId), {
+      broadcastId,
+      ownerId,
+      host: os.hostname(),
+      pid: '',
+      containerName: command.containerName,
+      egressId: relay.egressId ?? '',
+      rtmpUrl: command.publishUrl,
+      hlsUrl: command.hlsUrl ?? '',
+      icecastUrl: command.icecastUrl ?? '',
+      options: JSON.stringify(options),
+      restarts: 0,
+      startedAt: now,
+      heartbeatAt: now,
+    })
+    .sadd(keys.ids, broadcastId)
+    .exec();
+
+  const ffmpeg = runRelayProcess(relay);
+  await redis.hset(keys.relay(broadcastId), { pid: ffmpeg.pid ?? '' });
+
+  return {
+    hlsUrl: command.hlsUrl,
+    icecastUrl: command.icecastUrl,
+    egressId: relay.egressId,
+    rtmpUrl: command.publishUrl,
+  };
+}
+
+/**
+ * Stop a broadcast's relay from any replica: locally if this worker owns it, through
+ * the owner's stop channel if that worker is alive, else by reaping it here.
+ * @param {string} broadcastId
+ * @returns {Promise<boolean | null>} null when no relay was running
+ */
+export async function stopHlsRelay(broadcastId) {
+  const relay = localRelays.get(broadcastId);
+  if (relay) {
+    await stopLocalRelay(relay);
+    return true;
+  }
+
+  const record = await readRelayRecord(broadcastId);
+  if (!record) return null;
+
+  if (await isOwnerAlive(record.ownerId)) {
+    const receivers = await redis.publish(keys.stop(record.ownerId), broadcastId);
+    if (receivers > 0) return true;
+  }
+
+  await reapRelay(record);
+  await finalizeRelayOutput(broadcastId);
+  return true;
+}
+
+async function sendHeartbeat() {
+  const multi = redis.multi().set(keys.owner(ownerId), '1', 'EX', OWNER_TTL_SECONDS);
+  const heartbeatAt = new Date().toISOString();
+  for (const broadcastId of localRelays.keys()) {
+    multi.hset(keys.relay(broadcastId), { heartbeatAt });
+  }
+  await multi.exec();
+}
+
+// Containers named like relays that no live worker owns, e.g. left by a crashed worker.
+async function reapOrphanedContainers() {
+  if (env.HLS_FFMPEG_MODE !== 'docker') return 0;
+
+  const prefix = getFfmpegContainerName('');
+  let stdout;
+  try {
+    ({ stdout } = await execFileAsync(
+      'docker',
+      ['ps', '--filter', `name=^/${prefix}`, '--format', '{{.Names}}'],
+      { timeout: 15 * 1000 },
+    ));
+  } catch (error) {
+    logger.warn({ err: error }, 'Failed to list ffmpeg containers');
+    return 0;
+  }
+
+  let reaped = 0;
+  for (const containerName of stdout.split('\n').filter(Boolean)) {
+    const broadcastId = containerName.slice(prefix.length);
+    if (broadcastId === HOLDING_CONTAINER_SUFFIX || localRelays.has(broadcastId)) continue;
+
+    const record = await readRelayRecord(broadcastId);
+    if (record && (await isOwnerAlive(record.ownerId))) continue;
+
+    await removeContainer(containerName);
+    reaped += 1;
+  }
+  return reaped;
+}
+
+/**
+ * Reap relays whose worker stopped heartbeating: stop their egress and ffmpeg, then
+ * start a fresh relay here if the broadcast is still live.
+ * @returns {Promise<{ reaped: number, adopted: number }>}
+ */
+export async function reapOrphanedHlsRelays() {
+  let reaped = 0;
+  let adopted = 0;
+
+  for (const broadcastId of await redis.smembers(keys.ids)) {
+    const record = await readRelayRecord(broadcastId);
+    if (!record) {
+      await redis.srem(keys.ids, broadcastId);
+      continue;
+    }
+    if (await isOwnerAlive(record.ownerId)) continue;
+
+    // Every replica runs the reaper; one takes each orphan.
+    const locked = await redis.set(
+      keys.reapLock(broadcastId),
+      ownerId,
+      'EX',
+      REAP_LOCK_SECONDS,
+      'NX',
+    );
+    if (!locked) continue;
+
+    await reapRelay(record);
+    reaped += 1;
+
+    if (await isBroadcastLive(broadcastId)) {
+      try {
+        const relay = await startHlsRelay(JSON.parse(record.options));
+        await db
+          .update(broadcasts)
+          .set({ hlsEgressId: relay.egressId, updatedAt: new Date() })
+          .where(eq(broadcasts.id, broadcastId));
+        adopted += 1;
+      } catch (error) {
+        logger.error({ err: error, broadcastId }, 'Failed to adopt orphaned HLS relay');
+      }
+    }
+  }
+
+  reaped += await reapOrphanedContainers();
+  return { reaped, adopted };
+}
+
+function runReaper() {
+  reapOrphanedHlsRelays()
+    .then(({ reaped, adopted }) => {
+      if (reaped) logger.info({ reaped, adopted }, 'Orphaned HLS relays reaped');
+    })
+    .catch((error) => logger.error({ err: error }, 'HLS relay reaper failed'));
+}
+
+/**
+ * Worker-side: heartbeat relay ownership, take stop requests from other replicas and
+ * reap orphaned relays now and periodically.
+ */
+export async function startHlsRelaySupervisor() {
+  if (supervisorStarted) return;
+  supervisorStarted = true;
+
+  await sendHeartbeat();
+  setInterval(() => {
+    sendHeartbeat().catch((error) => logger.warn({ err: error }, 'HLS relay heartbeat failed'));
+  }, HEARTBEAT_MS).unref();
+
+  const subscriber = redis.duplicate();
+  subscriber.on('message', (channel, broadcastId) => {
+    const relay = localRelays.get(broadcastId);
+    if (!relay) return;
+    stopLocalRelay(relay).catch((error) =>
+      logger.error({ err: error, broadcastId }, 'Failed to stop HLS relay'),
+    );
+  });
+  subscriber.on('error', (err) => logger.error({ err }, 'HLS relay subscriber error'));
+  await subscriber.subscribe(keys.stop(ownerId));
+
+  runReaper();
+  setInterval(runReaper, REAPER_INTERVAL_MS).unref();
+}
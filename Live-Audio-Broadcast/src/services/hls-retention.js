@@ -0,0 +1,198 @@
+// Disk usage and retention of per-broadcast HLS output under `HLS_OUTPUT_DIR/broadcasts`.
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { eq, inArray } from 'drizzle-orm';
+import { db } from '../db/client.js';
+import { broadcasts, masjids } from '../db/schema.js';
+import { redis } from '../config/redis.js';
+import { env } from '../config/env.js';
+import { logger } from '../config/logger.js';
+import { getHlsOutputDir, getHlsOutputRoot, isHlsVodRequested } from './hls.js';
+
+const ENDED_STATUSES = ['completed', 'failed', 'cancelled'];
+const BROADCAST_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// One sweep across all workers at a time; the TTL only matters if a worker dies mid-sweep.
+const CLEANUP_LOCK_KEY = 'hls-retention:lock';
+const CLEANUP_LOCK_SECONDS = 10 * 60;
+
+// Delete the lock only while this worker still holds it.
+redis.defineCommand('releaseLockKey', {
+  numberOfKeys: 1,
+  lua: `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`,
+});
+
+/**
+ * HLS directory of one broadcast, with what the database knows about it.
+ * @typedef {object} HlsOutputEntry
+ * @property {string} broadcastId
+ * @property {string} dir
+ * @property {number} bytes
+ * @property {Date} modifiedAt
+ * @property {{ masjidId: string, masjidName: string, status: string, endedAt: Date | null, updatedAt: Date, hlsVodEnabled: boolean } | null} broadcast
+ *   null when the broadcast no longer exists
+ */
+
+async function getDirectorySize(dir) {
+  let bytes = 0;
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      bytes += await getDirectorySize(entryPath);
+    } else if (entry.isFile()) {
+      bytes += (await fs.lstat(entryPath)).size;
+    }
+  }
+  return bytes;
+}
+
+async function listBroadcastDirectories() {
+  try {
+    const entries = await fs.readdir(getHlsOutputRoot(), { withFileTypes: true });
+    return entries
+      .filter((entry) => entry.isDirectory() && BROADCAST_ID_PATTERN.test(entry.name))
+      .map((entry) => entry.name);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+async function loadBroadcasts(broadcastIds) {
+  if (!broadcastIds.length) return new Map();
+
+  const rows = await db
+    .select({
+      id: broadcasts.id,
+      masjidId: broadcasts.masjidId,
+      masjidName: masjids.name,
+      status: broadcasts.status,
+      endedAt: broadcasts.endedAt,
+      updatedAt: broadcasts.updatedAt,
+      broadcastHlsVodEnabled: broadcasts.hlsVodEnabled,
+      masjidHlsVodEnabled: masjids.hlsVodEnabled,
+    })
+    .from(broadcasts)
+    .innerJoin(masjids, eq(masjids.id, broadcasts.masjidId))
+    .where(inArray(broadcasts.id, broadcastIds));
+
+  return new Map(
+    rows.map((row) => [
+      row.id,
+      {
+        masjidId: row.masjidId,
+        masjidName: row.masjidName,
+        status: row.status,
+        endedAt: row.endedAt,
+        updatedAt: row.updatedAt,
+        hlsVodEnabled: isHlsVodRequested(row),
+      },
+    ]),
+  );
+}
+
+/**
+ * Every broadcast directory on disk with its size and broadcast.
+ * @returns {Promise<HlsOutputEntry[]>}
+ */
+export async function listHlsOutput() {
+  const broadcastIds = await listBroadcastDirectories();
+  const records = await loadBroadcasts(broadcastIds);
+
+  const entries = [];
+  for (const broadcastId of broadcastIds) {
+    const dir = getHlsOutputDir(broadcastId);
+    try {
+      const [bytes, stat] = await Promise.all([getDirectorySize(dir), fs.stat(dir)]);
+      entries.push({
+        broadcastId,
+        dir,
+        bytes,
+        modifiedAt: stat.mtime,
+        broadcast: records.get(broadcastId) ?? null,
+      });
+    } catch (error) {
+      // Removed by another worker's sweep while we were reading it.
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  return entries;
+}
+
+// Past retention: ended and not kept for VOD, or left behind by a deleted broadcast.
+function isExpired(entry, cutoff) {
+  const { broadcast } = entry;
+  if (!broadcast) return entry.modifiedAt < cutoff;
+  if (!ENDED_STATUSES.includes(broadcast.status) || broadcast.hlsVodEnabled) return false;
+  return (broadcast.endedAt ?? broadcast.updatedAt) < cutoff;
+}
+
+/**
+ * Delete HLS output of broadcasts that ended more than `HLS_RETENTION_HOURS` ago.
+ * Broadcasts kept for VOD are never removed.
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{ removed: number, bytesReclaimed: number } | null>} null when another worker is sweeping
+ */
+export async function cleanupHlsOutput({ now = new Date() } = {}) {
+  const lockOwner = `${os.hostname()}:${process.pid}`;
+  const locked = await redis.set(CLEANUP_LOCK_KEY, lockOwner, 'EX', CLEANUP_LOCK_SECONDS, 'NX');
+  if (!locked) return null;
+
+  try {
+    const cutoff = new Date(now.getTime() - env.HLS_RETENTION_HOURS * 60 * 60 * 1000);
+    let removed = 0;
+    let bytesReclaimed = 0;
+
+    for (const entry of await listHlsOutput()) {
+      if (!isExpired(entry, cutoff)) continue;
+      await fs.rm(entry.dir, { recursive: true, force: true });
+      removed += 1;
+      bytesReclaimed += entry.bytes;
+      logger.info(
+        { broadcastId: entry.broadcastId, bytes: entry.bytes, status: entry.broadcast?.status },
+        'HLS output removed',
+      );
+    }
+
+    return { removed, bytesReclaimed };
+  } finally {
+    await redis.releaseLockKey(CLEANUP_LOCK_KEY, lockOwner);
+  }
+}
+
+/**
+ * HLS disk usage grouped by masjid, largest first. Directories of deleted broadcasts
+ * are reported under a `null` masjid.
+ * @returns {Promise<{ totalBytes: number, masjids: Array<{ masjidId: string | null, masjidName: string | null, broadcasts: number, bytes: number, vodBytes: number }> }>}
+ */
+export async function getHlsUsageByMasjid() {
+  const usage = new Map();
+  let totalBytes = 0;
+
+  for (const entry of await listHlsOutput()) {
+    const masjidId = entry.broadcast?.masjidId ?? null;
+    const current = usage.get(masjidId) ?? {
+      masjidId,
+      masjidName: entry.broadcast?.masjidName ?? null,
+      broadcasts: 0,
+      bytes: 0,
+      vodBytes: 0,
+    };
+    current.broadcasts += 1;
+    current.bytes += entry.bytes;
+    if (entry.broadcast?.hlsVodEnabled) current.vodBytes += entry.bytes;
+    usage.set(masjidId, current);
+    totalBytes += entry.bytes;
+  }
+
+  return {
+    totalBytes,
+    masjids: [...usage.values()].sort((a, b) => b.bytes - a.bytes),
+  };
+}
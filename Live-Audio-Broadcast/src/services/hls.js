@@ -1,53 +1,298 @@
 import { spawn } from 'node:child_process';
+import crypto from 'node:crypto';
 import fs from 'node:fs/promises';
+import os from 'node:os';
 import path from 'node:path';
-import crypto from 'node:crypto';
 import { env } from '../config/env.js';
 import { logger } from '../config/logger.js';
-import { startLivekitRtmpEgress, stopLivekitEgress } from './livekit.js';
-
-const activeRelays = new Map();
+import { redis } from '../config/redis.js';
+import { createSignature, getExpiry, parseExpiry, verifySignature } from '../utils/url-signing.js';
+import { needsAacHls } from '../utils/user-agent.js';
+import {
+  HLS_SOURCE_PLAYLIST,
+  finalizeHlsSource,
+  getHlsDvrSegments,
+  getHlsPartSeconds,
+  getHlsPartsPerSegment,
+} from './ll-hls.js';
+
+const HOLDING_RESTART_MS = 30 * 1000;
+export const HOLDING_CONTAINER_SUFFIX = 'holding';
+// One holding source across workers: the leader renews the key well inside its TTL.
+const HOLDING_LEADER_KEY = 'icecast-holding:leader';
+const HOLDING_LEADER_TTL_SECONDS = 30;
+const HOLDING_LEADER_RENEW_MS = 10 * 1000;
+const holdingOwnerId = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+let holdingSourceStarted = false;
+
+// Extend the leader key only while this worker still owns it.
+redis.defineCommand('renewLeaderKey', {
+  numberOfKeys: 1,
+  lua: `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('EXPIRE', KEYS[1], ARGV[2])
+end
+return 0
+`,
+});
+
+const HLS_VARIANT_PATTERN = /^(opus|aac)-\d+k$/;
+// Muxing overhead of fMP4 segments on top of the audio bitrate, for BANDWIDTH.
+const HLS_CONTAINER_OVERHEAD = 1.1;
+const HLS_EXPIRY_STEP_SECONDS = 60;
+// Media URIs change once per window, so listeners in the same window share CDN entries.
+const HLS_MEDIA_EXPIRY_STEP_SECONDS = 5 * 60;
+
+const HLS_ENCODINGS = {
+  opus: {
+    args: (index) => [`-c:a:${index}`, 'libopus', `-application:a:${index}`, 'audio'],
+    codecs: () => 'opus',
+  },
+  // HE-AAC needs an ffmpeg build with libfdk_aac; the native encoder only does AAC-LC.
+  aac: {
+    args: (index) =>
+      env.HLS_AAC_PROFILE === 'he'
+        ? [`-c:a:${index}`, 'libfdk_aac', `-profile:a:${index}`, 'aac_he']
+        : [`-c:a:${index}`, 'aac', `-profile:a:${index}`, 'aac_low'],
+    codecs: () => (env.HLS_AAC_PROFILE === 'he' ? 'mp4a.40.5' : 'mp4a.40.2'),
+  },
+};
+
+const ICECAST_ENCODINGS = {
+  mp3: { codec: 'libmp3lame', format: 'mp3', contentType: 'audio/mpeg' },
+  aac: { codec: 'aac', format: 'adts', contentType: 'audio/aac' },
+};
 
 function applyTemplate(value, params) {
-  return value.replace(/\{(broadcastId|roomName)\}/g, (_, key) => params[key] ?? '');
+  return value.replace(/\{(broadcastId|roomName|masjidSlug)\}/g, (_, key) => params[key] ?? '');
+}
+
+export function isHlsOutputEnabled() {
+  return env.HLS_RELAY_OUTPUTS.includes('hls');
+}
+
+// Per-broadcast setting wins; otherwise fall back to the masjid default.
+export function isHlsVodRequested({ broadcastHlsVodEnabled, masjidHlsVodEnabled }) {
+  if (broadcastHlsVodEnabled !== null && broadcastHlsVodEnabled !== undefined) {
+    return Boolean(broadcastHlsVodEnabled);
+  }
+  return Boolean(masjidHlsVodEnabled);
+}
+
+export function isIcecastOutputEnabled() {
+  return env.HLS_RELAY_OUTPUTS.includes('icecast');
+}
+
+export function getIcecastMount(masjidSlug) {
+  return applyTemplate(env.ICECAST_MOUNT_TEMPLATE, { masjidSlug });
+}
+
+// The address radio receivers tune to; it never changes for a masjid.
+export function getIcecastPublicUrl(masjidSlug) {
+  if (!env.ICECAST_PUBLIC_BASE_URL || !masjidSlug) return null;
+  return `${env.ICECAST_PUBLIC_BASE_URL.replace(/\/$/, '')}${getIcecastMount(masjidSlug)}`;
 }
 
-export function isHlsEnabled() {
-  return Boolean(env.HLS_ENABLED);
+function getIcecastSourceUrl(mount) {
+  return `${env.ICECAST_URL.replace(/\/$/, '')}${mount}`;
 }
 
-export function getHlsPublicUrl(broadcastId) {
+/**
+ * Renditions to encode, lowest first: the masjid's ladder, else `HLS_BITRATE_LADDER_KBPS`.
+ * @param {number[] | null} [masjidLadderKbps]
+ * @returns {number[]}
+ */
+export function getHlsBitrateLadder(masjidLadderKbps) {
+  const ladder = masjidLadderKbps?.length ? masjidLadderKbps : env.HLS_BITRATE_LADDER_KBPS;
+  return [...new Set(ladder)].sort((a, b) => a - b);
+}
+
+// Every codec in `HLS_CODECS` at every ladder rung, AAC first so Apple players start on it.
+function getHlsRenditions(ladderKbps) {
+  const codecs = [...env.HLS_CODECS].sort((a, b) => Number(b === 'aac') - Number(a === 'aac'));
+  return codecs.flatMap((codec) =>
+    ladderKbps.map((bitrateKbps) => ({ codec, bitrateKbps, name: `${codec}-${bitrateKbps}k` }))
+  );
+}
+
+// Variant directories are named after codec and bitrate, e.g. `aac-32k/index.m3u8`.
+export function isHlsVariantName(value) {
+  return HLS_VARIANT_PATTERN.test(value);
+}
+
+/**
+ * Master playlist for one codec, or `index.m3u8` listing every rendition.
+ * @param {'opus' | 'aac' | null} [codec]
+ * @returns {string}
+ */
+export function getHlsMasterFile(codec) {
+  return codec ? `index-${codec}.m3u8` : 'index.m3u8';
+}
+
+/**
+ * Pick the master playlist a client can play: its declared codecs (preferring the
+ * `HLS_CODECS` order), else AAC for clients known to lack Opus, else null for the
+ * combined master, where players choose by CODECS.
+ * @param {object} [client]
+ * @param {string[]} [client.codecs] codecs the client says it decodes
+ * @param {string} [client.userAgent]
+ * @param {string | null} [client.platform] device platform, when known
+ * @returns {'opus' | 'aac' | null}
+ */
+export function selectHlsCodec({ codecs, userAgent, platform } = {}) {
+  const available = env.HLS_CODECS;
+  if (available.length <= 1) return available[0] ?? null;
+  if (codecs?.length) return available.find((codec) => codecs.includes(codec)) ?? null;
+  if (platform === 'ios' || needsAacHls(userAgent)) return 'aac';
+  return null;
+}
+
+export function getHlsPublicUrl(broadcastId, file = getHlsMasterFile()) {
   if (!env.HLS_PUBLIC_BASE_URL) return null;
-  return `${env.HLS_PUBLIC_BASE_URL}/broadcasts/${broadcastId}/index.m3u8`;
+  return `${env.HLS_PUBLIC_BASE_URL}/broadcasts/${broadcastId}/${file}`;
 }
 
-export function signHlsUrl(broadcastId, basePath = '/api/v1') {
+// Signing secrets by key id: the current `HLS_SIGNING_SECRET`, then retired ones.
+function getHlsSigningSecret(kid) {
+  if (kid === env.HLS_SIGNING_KEY_ID) return env.HLS_SIGNING_SECRET;
+  return env.HLS_SIGNING_PREVIOUS_KEYS[kid] ?? null;
+}
+
+/**
+ * Query string granting one user access to a broadcast's HLS files until it expires,
+ * signed with the current key.
+ * @param {string} broadcastId
+ * @param {string} userId
+ * @returns {string | null} `kid=...&uid=...&exp=...&sig=...`, or null when signing is off
+ */
+export function signHlsQuery(broadcastId, userId) {
+  if (!env.HLS_SIGNING_SECRET || !userId) return null;
+  // Rounded up to the minute so a re-signed playlist is byte-identical between changes,
+  // which keeps ETag revalidation working.
+  const exp =
+    Math.ceil(getExpiry(getHlsUrlTtlSeconds()) / HLS_EXPIRY_STEP_SECONDS) * HLS_EXPIRY_STEP_SECONDS;
+  const kid = env.HLS_SIGNING_KEY_ID;
+  const sig = createSignature(env.HLS_SIGNING_SECRET, `${broadcastId}.${userId}.${exp}`);
+  return new URLSearchParams({ kid, uid: userId, exp: String(exp), sig }).toString();
+}
+
+function getHlsUrlTtlSeconds() {
+  return Number(env.HLS_URL_TTL_SECONDS) || 900;
+}
+
+function getMediaSignaturePayload(broadcastId, exp) {
+  return `${broadcastId}:media:${exp}`;
+}
+
+/**
+ * Query string granting access to a broadcast's media files (parts, segments, init
+ * files). It names no user and only changes once per window, so every listener gets the
+ * same URLs and a CDN that keys on the full URL serves them all from one entry.
+ * @param {string} broadcastId
+ * @returns {string | null} `kid=...&exp=...&sig=...`, or null when signing is off
+ */
+export function signHlsMediaQuery(broadcastId) {
   if (!env.HLS_SIGNING_SECRET) return null;
-  const ttlSeconds = Number(env.HLS_URL_TTL_SECONDS) || 900;
-  const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
-  const payload = `${broadcastId}.${exp}`;
-  const sig = crypto
-    .createHmac('sha256', env.HLS_SIGNING_SECRET)
-    .update(payload)
-    .digest('hex');
+  const step = HLS_MEDIA_EXPIRY_STEP_SECONDS;
+  const exp = Math.ceil(getExpiry(getHlsUrlTtlSeconds()) / step) * step;
+  const kid = env.HLS_SIGNING_KEY_ID;
+  const sig = createSignature(env.HLS_SIGNING_SECRET, getMediaSignaturePayload(broadcastId, exp));
+  return new URLSearchParams({ kid, exp: String(exp), sig }).toString();
+}
+
+/**
+ * Check a media file request signed by `signHlsMediaQuery`.
+ * @param {string} broadcastId
+ * @param {{ kid?: string, exp?: string, sig?: string }} query
+ * @returns {number | null} the signature's expiry (unix seconds), or null if it is invalid
+ */
+export function verifyHlsMediaSignature(broadcastId, { kid, exp, sig } = {}) {
+  if (!kid || !sig) return null;
+  const secret = getHlsSigningSecret(kid);
+  if (!secret) return null;
+  const expNumber = parseExpiry(exp);
+  if (!expNumber) return null;
+  return verifySignature(secret, getMediaSignaturePayload(broadcastId, expNumber), sig)
+    ? expNumber
+    : null;
+}
+
+/**
+ * @param {string} broadcastId
+ * @param {object} options
+ * @param {string} options.userId listener the URL is issued to
+ * @param {string} [options.basePath]
+ * @param {string} [options.file] defaults to the master playlist
+ * @returns {string | null}
+ */
+export function signHlsUrl(
+  broadcastId,
+  { userId, basePath = '/api/v1', file = getHlsMasterFile() } = {}
+) {
+  const query = signHlsQuery(broadcastId, userId);
+  if (!query) return null;
   const pathPrefix = basePath.endsWith('/') ? basePath.slice(0, -1) : basePath;
-  return `${pathPrefix}/broadcasts/${broadcastId}/hls/index.m3u8?exp=${exp}&sig=${sig}`;
+  return `${pathPrefix}/broadcasts/${broadcastId}/hls/${file}?${query}`;
+}
+
+/**
+ * Check a signed HLS request; keys retired into `HLS_SIGNING_PREVIOUS_KEYS` still verify.
+ * @param {string} broadcastId
+ * @param {{ kid?: string, uid?: string, exp?: string, sig?: string }} query
+ * @param {object} [options]
+ * @param {boolean} [options.allowExpired] accept a genuine signature past its expiry
+ * @returns {string | null} the user the URL was issued to, or null if the signature is invalid
+ */
+export function verifyHlsSignature(
+  broadcastId,
+  { kid, uid, exp, sig } = {},
+  { allowExpired = false } = {}
+) {
+  if (!kid || !uid || !sig) return null;
+  const secret = getHlsSigningSecret(kid);
+  if (!secret) return null;
+  const expNumber = allowExpired ? Number(exp) || null : parseExpiry(exp);
+  if (!expNumber) return null;
+  return verifySignature(secret, `${broadcastId}.${uid}.${expNumber}`, sig) ? uid : null;
+}
+
+/**
+ * Add a query string to every URI a playlist references; players resolve them relative
+ * to the playlist and would otherwise drop the signature. Playlists get the listener's
+ * own signature, media files (init files, segments, parts) the shared one.
+ * @param {string} playlist
+ * @param {object} queries
+ * @param {string} queries.playlistQuery from `signHlsQuery`
+ * @param {string} queries.mediaQuery from `signHlsMediaQuery`
+ * @returns {string}
+ */
+export function appendHlsPlaylistQuery(playlist, { playlistQuery, mediaQuery }) {
+  const withQuery = (uri) => {
+    const query = uri.split('?')[0].endsWith('.m3u8') ? playlistQuery : mediaQuery;
+    return `${uri}${uri.includes('?') ? '&' : '?'}${query}`;
+  };
+
+  return playlist
+    .split('\n')
+    .map((line) => {
+      const trimmed = line.trim();
+      if (!trimmed) return line;
+      if (!trimmed.startsWith('#')) return withQuery(trimmed);
+      return line.replace(/URI="([^"]+)"/g, (_, uri) => `URI="${withQuery(uri)}"`);
+    })
+    .join('\n');
 }
 
-export function verifyHlsSignature(broadcastId, exp, sig) {
-  if (!env.HLS_SIGNING_SECRET || !exp || !sig) return false;
-  const expNumber = Number(exp);
-  if (!Number.isFinite(expNumber)) return false;
-  if (expNumber < Math.floor(Date.now() / 1000)) return false;
-  const payload = `${broadcastId}.${expNumber}`;
-  const expected = crypto
-    .createHmac('sha256', env.HLS_SIGNING_SECRET)
-    .update(payload)
-    .digest('hex');
-  const expectedBuf = Buffer.from(expected);
-  const providedBuf = Buffer.from(sig);
-  if (expectedBuf.length !== providedBuf.length) return false;
-  return crypto.timingSafeEqual(expectedBuf, providedBuf);
+export function getHlsConfigStatus() {
+  const missing = [];
+  if (!env.HLS_RTMP_PUBLISH_URL_TEMPLATE) missing.push('HLS_RTMP_PUBLISH_URL_TEMPLATE');
+  if (isHlsOutputEnabled() && !env.HLS_BITRATE_LADDER_KBPS.length) {
+    missing.push('HLS_BITRATE_LADDER_KBPS');
+  }
+  if (isHlsOutputEnabled() && !env.HLS_CODECS.length) missing.push('HLS_CODECS');
+  if (!isHlsOutputEnabled() && !isIcecastOutputEnabled()) missing.push('HLS_RELAY_OUTPUTS');
+  if (isIcecastOutputEnabled() && !env.ICECAST_URL) missing.push('ICECAST_URL');
+  return { ok: missing.length === 0, missing };
 }
 
 function getRtmpUrls({ broadcastId, roomName }) {
@@ -58,148 +303,325 @@ function getRtmpUrls({ broadcastId, roomName }) {
   return { publishUrl, playUrl };
 }
 
-async function ensureOutputDir(broadcastId) {
-  const dir = path.resolve(env.HLS_OUTPUT_DIR, 'broadcasts', broadcastId);
-  await fs.mkdir(dir, { recursive: true });
+export function getHlsOutputRoot() {
+  return path.resolve(env.HLS_OUTPUT_DIR, 'broadcasts');
+}
+
+export function getHlsOutputDir(broadcastId) {
+  return path.join(getHlsOutputRoot(), broadcastId);
+}
+
+async function ensureOutputDir(broadcastId, renditions) {
+  const dir = getHlsOutputDir(broadcastId);
+  await Promise.all(
+    renditions.map((rendition) => fs.mkdir(path.join(dir, rendition.name), { recursive: true }))
+  );
   return dir;
 }
 
+function buildMasterPlaylist(renditions) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:7', '#EXT-X-INDEPENDENT-SEGMENTS'];
+  for (const { codec, bitrateKbps, name } of renditions) {
+    const bandwidth = Math.round(bitrateKbps * 1000 * HLS_CONTAINER_OVERHEAD);
+    lines.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},CODECS="${HLS_ENCODINGS[codec].codecs()}"`,
+      `${name}/index.m3u8`
+    );
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Written by us rather than ffmpeg so CODECS is always set, including for Opus.
+async function writeMasterPlaylists(outputDir, renditions) {
+  const masters = [[getHlsMasterFile(), renditions]];
+  for (const codec of env.HLS_CODECS) {
+    masters.push([
+      getHlsMasterFile(codec),
+      renditions.filter((rendition) => rendition.codec === codec),
+    ]);
+  }
+
+  await Promise.all(
+    masters.map(([file, entries]) =>
+      fs.writeFile(path.join(outputDir, file), buildMasterPlaylist(entries))
+    )
+  );
+}
+
+/**
+ * End every rendition playlist of a stopped relay with `EXT-X-ENDLIST`, turning kept
+ * broadcasts into VOD playlists.
+ * @param {string} broadcastId
+ */
+export async function finalizeHlsOutput(broadcastId) {
+  const outputDir = getHlsOutputDir(broadcastId);
+  let entries;
+  try {
+    entries = await fs.readdir(outputDir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  await Promise.all(
+    entries
+      .filter((entry) => entry.isDirectory() && isHlsVariantName(entry.name))
+      .map((entry) => finalizeHlsSource(path.join(outputDir, entry.name)))
+  );
+}
+
 function buildContainerOutputDir(broadcastId) {
   return path.posix.join('/hls', 'broadcasts', broadcastId);
 }
 
-function buildFfmpegArgs({ inputUrl, outputDir }) {
-  const bitrate = env.HLS_AUDIO_BITRATE_KBPS;
-  const segmentSeconds = Math.max(1, env.HLS_SEGMENT_SECONDS);
+// One rendition per codec and ladder rung, each under `<codec>-<kbps>k/`. ffmpeg cuts
+// LL-HLS parts into `source.m3u8`; the served `index.m3u8` is built from it (see ll-hls.js).
+// VOD relays keep every part so the broadcast can be replayed once it ends.
+function buildHlsOutputArgs(outputDir, renditions, { vod = false } = {}) {
+  const partSeconds = getHlsPartSeconds();
+  const flags = ['append_list', 'program_date_time', 'independent_segments', 'temp_file'];
+  if (!vod) flags.unshift('delete_segments');
+  const listSegments = Math.max(6, getHlsDvrSegments() + 1);
+  const varStreamMap = renditions.map(({ name }, index) => `a:${index},name:${name}`).join(' ');
 
   return [
-    '-hide_banner',
-    '-loglevel',
-    'error',
-    '-i',
-    inputUrl,
     '-vn',
-    '-c:a',
-    'libopus',
-    '-b:a',
-    `${bitrate}k`,
-    '-application',
-    'audio',
+    ...renditions.flatMap(() => ['-map', '0:a']),
+    ...renditions.flatMap(({ codec, bitrateKbps }, index) => [
+      ...HLS_ENCODINGS[codec].args(index),
+      `-b:a:${index}`,
+      `${bitrateKbps}k`,
+    ]),
     '-f',
     'hls',
     '-hls_time',
-    `${segmentSeconds}`,
-    '-hls_playlist_type',
-    'event',
+    `${partSeconds}`,
     '-hls_flags',
-    'delete_segments+append_list+program_date_time+independent_segments',
+    flags.join('+'),
     '-hls_segment_type',
     'fmp4',
     '-hls_list_size',
-    '6',
+    `${vod ? 0 : getHlsPartsPerSegment() * listSegments}`,
     '-hls_fmp4_init_filename',
     'init.mp4',
+    '-var_stream_map',
+    varStreamMap,
     '-hls_segment_filename',
-    path.join(outputDir, 'segment_%05d.m4s'),
-    path.join(outputDir, 'index.m3u8'),
+    path.join(outputDir, '%v', 'part_%06d.m4s'),
+    path.join(outputDir, '%v', HLS_SOURCE_PLAYLIST),
   ];
 }
 
-function buildDockerArgs({ name, inputUrl, outputDir, hostOutputDir }) {
+// Live and holding sources share one encoding so Icecast can move listeners between them.
+function buildIcecastOutputArgs({ mount, name }) {
+  const { codec, format, contentType } = ICECAST_ENCODINGS[env.ICECAST_FORMAT];
+
+  return [
+    '-vn',
+    '-ac',
+    '1',
+    '-ar',
+    '44100',
+    '-c:a',
+    codec,
+    '-b:a',
+    `${env.ICECAST_BITRATE_KBPS}k`,
+    '-content_type',
+    contentType,
+    '-ice_name',
+    name,
+    '-f',
+    format,
+    getIcecastSourceUrl(mount),
+  ];
+}
+
+function buildFfmpegArgs({ inputArgs, outputs }) {
+  return ['-hide_banner', '-loglevel', 'error', ...inputArgs, ...outputs.flat()];
+}
+
+function buildDockerArgs({ name, ffmpegArgs, hostOutputDir }) {
   const args = ['run', '--rm', '--name', name];
 
   if (env.HLS_FFMPEG_DOCKER_NETWORK) {
     args.push('--network', env.HLS_FFMPEG_DOCKER_NETWORK);
   }
 
-  args.push('-v', `${hostOutputDir}:/hls`);
+  if (hostOutputDir) {
+    args.push('-v', `${hostOutputDir}:/hls`);
+  }
   args.push(env.HLS_FFMPEG_DOCKER_IMAGE, 'ffmpeg');
 
-  return args.concat(buildFfmpegArgs({ inputUrl, outputDir }));
+  return args.concat(ffmpegArgs);
 }
 
-export async function startHlsRelay({ broadcastId, roomName }) {
-  if (!isHlsEnabled()) return null;
-
-  const { publishUrl, playUrl } = getRtmpUrls({ broadcastId, roomName });
-  if (!publishUrl || !playUrl) {
-    throw new Error('HLS RTMP URL templates are not configured');
-  }
-
-  const outputDir = await ensureOutputDir(broadcastId);
-
-  const egressInfo = await startLivekitRtmpEgress({
-    roomName,
-    rtmpUrl: publishUrl,
-    audioBitrateKbps: env.HLS_AUDIO_BITRATE_KBPS,
-  });
-
-  const ffmpegMode = env.HLS_FFMPEG_MODE;
-  const containerOutputDir = buildContainerOutputDir(broadcastId);
-
-  const ffmpegArgs =
-    ffmpegMode === 'docker'
-      ? buildDockerArgs({
-          name: `${env.HLS_FFMPEG_CONTAINER_PREFIX}${broadcastId}`,
-          inputUrl: playUrl,
-          outputDir: containerOutputDir,
-          hostOutputDir: env.HLS_OUTPUT_DIR,
-        })
-      : buildFfmpegArgs({ inputUrl: playUrl, outputDir });
+// Relay containers are `<prefix><broadcastId>`; the holding source is `<prefix>holding`.
+export function getFfmpegContainerName(suffix) {
+  return `${env.HLS_FFMPEG_CONTAINER_PREFIX}${suffix}`;
+}
 
-  const ffmpegCommand = ffmpegMode === 'docker' ? 'docker' : 'ffmpeg';
-  const ffmpeg = spawn(ffmpegCommand, ffmpegArgs, { stdio: ['ignore', 'pipe', 'pipe'] });
+export function spawnFfmpeg({ name, ffmpegArgs, hostOutputDir, logContext }) {
+  const useDocker = env.HLS_FFMPEG_MODE === 'docker';
+  const ffmpeg = useDocker
+    ? spawn('docker', buildDockerArgs({ name, ffmpegArgs, hostOutputDir }), {
+        stdio: ['ignore', 'pipe', 'pipe'],
+      })
+    : spawn(env.FFMPEG_PATH, ffmpegArgs, { stdio: ['ignore', 'pipe', 'pipe'] });
 
   ffmpeg.stdout.on('data', (chunk) => {
-    logger.info({ broadcastId, message: chunk.toString() }, 'FFmpeg output');
+    logger.info({ ...logContext, message: chunk.toString() }, 'FFmpeg output');
   });
 
   ffmpeg.stderr.on('data', (chunk) => {
-    logger.warn({ broadcastId, message: chunk.toString() }, 'FFmpeg error');
+    logger.warn({ ...logContext, message: chunk.toString() }, 'FFmpeg error');
   });
 
-  ffmpeg.on('exit', (code, signal) => {
-    logger.info({ broadcastId, code, signal }, 'FFmpeg exited');
-    activeRelays.delete(broadcastId);
+  ffmpeg.on('error', (error) => {
+    logger.error({ ...logContext, err: error }, 'FFmpeg failed to start');
   });
 
-  const relay = {
-    broadcastId,
-    roomName,
-    egressId: egressInfo?.egressId ?? null,
-    rtmpUrl: publishUrl,
-    process: ffmpeg,
-  };
+  return ffmpeg;
+}
 
-  activeRelays.set(broadcastId, relay);
+/**
+ * Prepare a broadcast's relay for the configured outputs (`HLS_RELAY_OUTPUTS`): HLS
+ * directories and master playlists, and the ffmpeg command that reads the room's RTMP
+ * feed. Nothing is started; `hls-relay.js` runs and supervises it.
+ * @param {object} options
+ * @param {string} options.broadcastId
+ * @param {string} options.roomName
+ * @param {string | null} [options.masjidSlug] names the Icecast mount
+ * @param {string | null} [options.masjidName]
+ * @param {number[] | null} [options.bitrateLadderKbps] the masjid's HLS ladder, if it has one
+ * @param {boolean} [options.vod] keep every segment for replay after the broadcast
+ * @returns {Promise<{ publishUrl: string, egressBitrateKbps: number, containerName: string, ffmpegArgs: string[], hostOutputDir: string | null, hlsUrl: string | null, icecastUrl: string | null }>}
+ */
+export async function prepareHlsRelay({
+  broadcastId,
+  roomName,
+  masjidSlug,
+  masjidName,
+  bitrateLadderKbps,
+  vod = false,
+}) {
+  const { publishUrl, playUrl } = getRtmpUrls({ broadcastId, roomName });
+  if (!publishUrl || !playUrl) {
+    throw new Error('HLS RTMP URL templates are not configured');
+  }
+
+  const useDocker = env.HLS_FFMPEG_MODE === 'docker';
+  const hlsOutput = isHlsOutputEnabled();
+  const icecastOutput = isIcecastOutputEnabled() && Boolean(env.ICECAST_URL && masjidSlug);
+  const ladderKbps = getHlsBitrateLadder(bitrateLadderKbps);
+
+  const outputs = [];
+  if (hlsOutput) {
+    const renditions = getHlsRenditions(ladderKbps);
+    const outputDir = await ensureOutputDir(broadcastId, renditions);
+    await writeMasterPlaylists(outputDir, renditions);
+    outputs.push(
+      buildHlsOutputArgs(useDocker ? buildContainerOutputDir(broadcastId) : outputDir, renditions, {
+        vod,
+      })
+    );
+  }
+  if (icecastOutput) {
+    outputs.push(
+      buildIcecastOutputArgs({
+        mount: getIcecastMount(masjidSlug),
+        name: masjidName || masjidSlug,
+      })
+    );
+  }
+  if (!outputs.length) {
+    throw new Error('No relay outputs configured');
+  }
 
   return {
-    hlsUrl: getHlsPublicUrl(broadcastId),
-    egressId: relay.egressId,
-    rtmpUrl: relay.rtmpUrl,
+    publishUrl,
+    // The egress feeds every output, so it carries the highest bitrate any of them encodes.
+    egressBitrateKbps: Math.max(
+      ...(hlsOutput ? ladderKbps : []),
+      icecastOutput ? env.ICECAST_BITRATE_KBPS : 0
+    ),
+    containerName: getFfmpegContainerName(broadcastId),
+    ffmpegArgs: buildFfmpegArgs({ inputArgs: ['-fflags', 'nobuffer', '-i', playUrl], outputs }),
+    hostOutputDir: hlsOutput ? env.HLS_OUTPUT_DIR : null,
+    hlsUrl: hlsOutput ? getHlsPublicUrl(broadcastId) : null,
+    icecastUrl: icecastOutput ? getIcecastPublicUrl(masjidSlug) : null,
   };
 }
 
-export async function stopHlsRelay(broadcastId) {
-  const relay = activeRelays.get(broadcastId);
-  if (!relay) return null;
-
-  try {
-    if (relay.process?.pid) {
-      relay.process.kill('SIGTERM');
-    }
-  } catch (error) {
-    logger.warn({ err: error, broadcastId }, 'Failed to stop ffmpeg process');
+function getHoldingInputArgs() {
+  const source = env.ICECAST_HOLDING_AUDIO;
+  if (source === 'silence') return ['-re', '-f', 'lavfi', '-i', 'anullsrc=r=44100:cl=mono'];
+  if (source === 'tone') {
+    return ['-re', '-f', 'lavfi', '-i', 'sine=frequency=440:sample_rate=44100,volume=0.05'];
   }
+  return ['-re', '-stream_loop', '-1', '-i', source];
+}
 
-  if (relay.egressId) {
-    try {
-      await stopLivekitEgress(relay.egressId);
-    } catch (error) {
-      logger.warn({ err: error, broadcastId }, 'Failed to stop LiveKit egress');
+/**
+ * Feed the shared holding mount (silence, a soft tone or a looped file) that masjid
+ * mounts fall back to between broadcasts, restarting it whenever it stops.
+ * Icecast takes one source per mount, so only the worker holding the Redis leader key
+ * runs it; the others take over once that key expires.
+ */
+export function startIcecastHoldingSource() {
+  if (holdingSourceStarted || !isIcecastOutputEnabled() || !env.ICECAST_URL) return;
+  holdingSourceStarted = true;
+
+  const mount = env.ICECAST_HOLDING_MOUNT;
+  let leader = false;
+  let ffmpeg = null;
+
+  const run = () => {
+    if (!leader) return;
+    const child = spawnFfmpeg({
+      name: getFfmpegContainerName(HOLDING_CONTAINER_SUFFIX),
+      ffmpegArgs: buildFfmpegArgs({
+        inputArgs: getHoldingInputArgs(),
+        outputs: [buildIcecastOutputArgs({ mount, name: 'Holding' })],
+      }),
+      logContext: { mount },
+    });
+    ffmpeg = child;
+
+    let restarted = false;
+    const restart = () => {
+      if (restarted) return;
+      restarted = true;
+      if (ffmpeg === child) ffmpeg = null;
+      if (!leader) return;
+      logger.warn({ mount, retryMs: HOLDING_RESTART_MS }, 'Icecast holding source stopped');
+      setTimeout(run, HOLDING_RESTART_MS).unref();
+    };
+
+    child.on('error', restart);
+    child.on('exit', restart);
+  };
+
+  const elect = async () => {
+    const ttl = HOLDING_LEADER_TTL_SECONDS;
+    const held = leader
+      ? (await redis.renewLeaderKey(HOLDING_LEADER_KEY, holdingOwnerId, ttl)) === 1
+      : Boolean(await redis.set(HOLDING_LEADER_KEY, holdingOwnerId, 'EX', ttl, 'NX'));
+
+    if (held && !leader) {
+      leader = true;
+      logger.info({ mount }, 'Icecast holding source leadership taken');
+      run();
+    } else if (!held && leader) {
+      leader = false;
+      logger.warn({ mount }, 'Icecast holding source leadership lost');
+      ffmpeg?.kill('SIGTERM');
     }
-  }
+  };
+
+  const runElection = () => {
+    elect().catch((error) => logger.warn({ err: error, mount }, 'Icecast holding election failed'));
+  };
 
-  activeRelays.delete(broadcastId);
-  return true;
+  runElection();
+  setInterval(runElection, HOLDING_LEADER_RENEW_MS).unref();
 }
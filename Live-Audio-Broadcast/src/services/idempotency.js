@@ -0,0 +1,66 @@
+// Idempotency-Key records in Redis: the first response per (user, route, key) is kept and replayed.
+import crypto from 'node:crypto';
+import { redis } from '../config/redis.js';
+import { env } from '../config/env.js';
+
+const KEY_PREFIX = 'idempotency';
+// How long a first attempt may run before a retry is allowed to take over.
+const IN_FLIGHT_TTL_SECONDS = 60;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * @param {object} scope
+ * @param {string} scope.userId
+ * @param {string} scope.method
+ * @param {string} scope.path request path without the query string
+ * @param {string} scope.key client-supplied Idempotency-Key
+ * @returns {string}
+ */
+export function getIdempotencyStoreKey({ userId, method, path, key }) {
+  return `${KEY_PREFIX}:${sha256(`${userId}|${method}|${path}|${key}`)}`;
+}
+
+// Retries must send the same body; a different one is a client bug, not a retry.
+export function getRequestFingerprint(body) {
+  return sha256(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Claim a key for the current request.
+ * @param {string} storeKey
+ * @param {string} fingerprint
+ * @returns {Promise<{ reserved: true } | { reserved: false, record: Record<string, any> }>}
+ *   `record.state` is `in_flight` while the first request runs, then `completed`
+ */
+export async function reserveIdempotencyKey(storeKey, fingerprint) {
+  const inFlight = JSON.stringify({ state: 'in_flight', fingerprint });
+
+  // Two passes cover the record expiring between SET NX and GET.
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    const reserved = await redis.set(storeKey, inFlight, 'EX', IN_FLIGHT_TTL_SECONDS, 'NX');
+    if (reserved) return { reserved: true };
+
+    const raw = await redis.get(storeKey);
+    if (raw) return { reserved: false, record: JSON.parse(raw) };
+  }
+
+  return { reserved: false, record: { state: 'in_flight', fingerprint } };
+}
+
+/**
+ * Store the response of a reserved request for replay.
+ * @param {string} storeKey
+ * @param {{ fingerprint: string, statusCode: number, contentType?: string, body: string }} response
+ */
+export async function completeIdempotencyKey(storeKey, response) {
+  const ttlSeconds = env.IDEMPOTENCY_TTL_SECONDS || 24 * 60 * 60;
+  await redis.set(storeKey, JSON.stringify({ state: 'completed', ...response }), 'EX', ttlSeconds);
+}
+
+// Forget a reservation so the client can retry (server errors, unreplayable responses).
+export async function releaseIdempotencyKey(storeKey) {
+  await redis.del(storeKey);
+}
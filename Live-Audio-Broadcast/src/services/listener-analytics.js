@@ -0,0 +1,164 @@
+// Listener presence and per-broadcast audience figures, kept in Redis while live.
+import { db } from '../db/client.js';
+import { broadcastStats } from '../db/schema.js';
+import { redis } from '../config/redis.js';
+import { logger } from '../config/logger.js';
+
+const KEY_TTL_SECONDS = 24 * 60 * 60;
+// HLS players refresh the playlist every segment; treat a listener as gone after this.
+const HEARTBEAT_TTL_SECONDS = 30;
+// LiveKit listeners leave explicitly via webhook; this only bounds a missed leave event.
+const CONNECTED_TTL_SECONDS = 6 * 60 * 60;
+
+// KEYS: active, lastSeen, firstSeen, platforms, peak
+// ARGV: listenerId, now, expiresAt, platform, keyTtlSeconds
+const TOUCH_LISTENER_SCRIPT = `
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[2])
+redis.call('ZADD', KEYS[1], ARGV[3], ARGV[1])
+redis.call('ZADD', KEYS[2], ARGV[2], ARGV[1])
+redis.call('HSETNX', KEYS[3], ARGV[1], ARGV[2])
+if ARGV[4] ~= 'unknown' then redis.call('HSET', KEYS[4], ARGV[1], ARGV[4]) end
+local count = redis.call('ZCARD', KEYS[1])
+local peak = tonumber(redis.call('GET', KEYS[5]) or '0')
+if count > peak then redis.call('SET', KEYS[5], count) end
+for i = 1, 5 do redis.call('EXPIRE', KEYS[i], ARGV[5]) end
+return count
+`;
+
+redis.defineCommand('touchBroadcastListener', {
+  numberOfKeys: 5,
+  lua: TOUCH_LISTENER_SCRIPT,
+});
+
+function getKeys(broadcastId) {
+  const prefix = `broadcast:${broadcastId}:listeners`;
+  return {
+    active: `${prefix}:active`,
+    lastSeen: `${prefix}:last-seen`,
+    firstSeen: `${prefix}:first-seen`,
+    platforms: `${prefix}:platforms`,
+    peak: `${prefix}:peak`,
+  };
+}
+
+export function getUserListenerId(userId) {
+  return `user:${userId}`;
+}
+
+async function touchListener({ broadcastId, listenerId, platform, ttlSeconds }) {
+  const keys = getKeys(broadcastId);
+  const now = Date.now();
+
+  try {
+    return await redis.touchBroadcastListener(
+      keys.active,
+      keys.lastSeen,
+      keys.firstSeen,
+      keys.platforms,
+      keys.peak,
+      listenerId,
+      now,
+      now + ttlSeconds * 1000,
+      platform ?? 'unknown',
+      KEY_TTL_SECONDS
+    );
+  } catch (error) {
+    logger.warn({ err: error, broadcastId }, 'Listener tracking failed');
+    return null;
+  }
+}
+
+export function recordListenerHeartbeat({
+  broadcastId,
+  listenerId,
+  platform,
+  ttlSeconds = HEARTBEAT_TTL_SECONDS,
+}) {
+  return touchListener({ broadcastId, listenerId, platform, ttlSeconds });
+}
+
+export function recordListenerJoin({ broadcastId, listenerId, platform }) {
+  return touchListener({ broadcastId, listenerId, platform, ttlSeconds: CONNECTED_TTL_SECONDS });
+}
+
+export async function recordListenerLeave({ broadcastId, listenerId }) {
+  const keys = getKeys(broadcastId);
+
+  try {
+    await redis
+      .multi()
+      .zrem(keys.active, listenerId)
+      .zadd(keys.lastSeen, Date.now(), listenerId)
+      .exec();
+  } catch (error) {
+    logger.warn({ err: error, broadcastId }, 'Listener leave tracking failed');
+  }
+}
+
+/**
+ * Current audience figures for a broadcast.
+ * @param {string} broadcastId
+ * @returns {Promise<{ currentListeners: number, peakListeners: number, uniqueListeners: number, avgListenSeconds: number, platformSplit: Record<string, number> }>}
+ */
+export async function getListenerStats(broadcastId) {
+  const keys = getKeys(broadcastId);
+  const now = Date.now();
+
+  await redis.zremrangebyscore(keys.active, '-inf', now);
+
+  const [activeMembers, peak, firstSeen, lastSeenFlat, platforms] = await Promise.all([
+    redis.zrange(keys.active, 0, -1),
+    redis.get(keys.peak),
+    redis.hgetall(keys.firstSeen),
+    redis.zrange(keys.lastSeen, 0, -1, 'WITHSCORES'),
+    redis.hgetall(keys.platforms),
+  ]);
+
+  const active = new Set(activeMembers);
+  const lastSeen = {};
+  for (let index = 0; index < lastSeenFlat.length; index += 2) {
+    lastSeen[lastSeenFlat[index]] = Number(lastSeenFlat[index + 1]);
+  }
+
+  const listenerIds = Object.keys(firstSeen);
+  let totalListenMs = 0;
+  const platformSplit = {};
+
+  for (const listenerId of listenerIds) {
+    const startedAt = Number(firstSeen[listenerId]);
+    const endedAt = active.has(listenerId) ? now : lastSeen[listenerId] ?? startedAt;
+    totalListenMs += Math.max(0, endedAt - startedAt);
+
+    const platform = platforms[listenerId] ?? 'unknown';
+    platformSplit[platform] = (platformSplit[platform] ?? 0) + 1;
+  }
+
+  return {
+    currentListeners: active.size,
+    peakListeners: Math.max(Number(peak) || 0, active.size),
+    uniqueListeners: listenerIds.length,
+    avgListenSeconds: listenerIds.length ? Math.round(totalListenMs / listenerIds.length / 1000) : 0,
+    platformSplit,
+  };
+}
+
+// Snapshot the Redis figures into broadcast_stats once a broadcast has ended.
+export async function persistListenerStats(broadcastId) {
+  const stats = await getListenerStats(broadcastId);
+  const values = {
+    peakListeners: stats.peakListeners,
+    uniqueListeners: stats.uniqueListeners,
+    avgListenSeconds: stats.avgListenSeconds,
+    platformSplit: stats.platformSplit,
+  };
+
+  await db
+    .insert(broadcastStats)
+    .values({ broadcastId, ...values })
+    .onConflictDoUpdate({
+      target: broadcastStats.broadcastId,
+      set: { ...values, updatedAt: new Date() },
+    });
+
+  return values;
+}
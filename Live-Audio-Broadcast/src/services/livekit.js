@@ -1,5 +1,19 @@
-import { AccessToken, EgressClient, RoomServiceClient } from 'livekit-server-sdk';
-import { AudioCodec, StreamProtocol } from '@livekit/protocol';
+import {
+  AccessToken,
+  EgressClient,
+  IngressClient,
+  RoomServiceClient,
+  WebhookReceiver,
+} from 'livekit-server-sdk';
+import {
+  AudioCodec,
+  EgressStatus,
+  EncodedFileType,
+  IngressInput,
+  IngressState_Status,
+  StreamProtocol,
+  TrackType,
+} from '@livekit/protocol';
 import { env } from '../config/env.js';
 import { logger } from '../config/logger.js';
 
@@ -46,11 +60,82 @@ export async function deleteLivekitRoom(roomName) {
   }
 }
 
-export async function createLivekitToken({ identity, roomName, canPublish = false }) {
+export async function listLivekitParticipants(roomName) {
+  const client = getRoomClient();
+  if (!client || !roomName) return null;
+
+  try {
+    return await client.listParticipants(roomName);
+  } catch (error) {
+    logger.warn({ err: error, roomName }, 'LiveKit participant list failed');
+    return null;
+  }
+}
+
+function isLivekitNotFound(error) {
+  return error?.status === 404 || error?.code === 'not_found';
+}
+
+export async function getLivekitParticipant(roomName, identity) {
+  const client = getRoomClient();
+  if (!client || !roomName) return null;
+
+  try {
+    return await client.getParticipant(roomName, identity);
+  } catch (error) {
+    if (isLivekitNotFound(error)) return null;
+    throw error;
+  }
+}
+
+export function getLivekitAudioTracks(participant) {
+  return (participant?.tracks ?? []).filter((track) => track.type === TrackType.AUDIO);
+}
+
+// Server-side mute/unmute of every audio track a participant publishes.
+export async function setLivekitParticipantMuted(roomName, participant, muted) {
+  const client = getRoomClient();
+  if (!client) return [];
+
+  const audioTracks = getLivekitAudioTracks(participant);
+  return Promise.all(
+    audioTracks.map((track) =>
+      client.mutePublishedTrack(roomName, participant.identity, track.sid, muted)
+    )
+  );
+}
+
+export async function removeLivekitParticipant(roomName, identity) {
+  const client = getRoomClient();
+  if (!client) return null;
+  return client.removeParticipant(roomName, identity);
+}
+
+// Permissions are replaced as a whole, so always send the subscribe grant too.
+export async function setLivekitParticipantCanPublish(roomName, identity, canPublish) {
+  const client = getRoomClient();
+  if (!client) return null;
+  return client.updateParticipant(roomName, identity, {
+    permission: { canPublish, canSubscribe: true, canPublishData: true },
+  });
+}
+
+export function parseLivekitMetadata(metadata) {
+  if (!metadata) return {};
+  try {
+    const parsed = JSON.parse(metadata);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+export async function createLivekitToken({ identity, roomName, canPublish = false, metadata }) {
   if (!hasLivekitConfig) return null;
 
   const token = new AccessToken(env.LIVEKIT_API_KEY, env.LIVEKIT_API_SECRET, {
     identity,
+    metadata: metadata ? JSON.stringify(metadata) : undefined,
   });
 
   token.addGrant({
@@ -96,8 +181,126 @@ export async function startLivekitRtmpEgress({ roomName, rtmpUrl, audioBitrateKb
   });
 }
 
+export async function startLivekitFileEgress({ roomName, filepath, format = 'ogg' }) {
+  const client = getEgressClient();
+  if (!client) return null;
+
+  const output = {
+    fileType: format === 'mp4' ? EncodedFileType.MP4 : EncodedFileType.OGG,
+    filepath,
+  };
+
+  const encodingOptions = {
+    audioCodec: format === 'mp4' ? AudioCodec.AAC : AudioCodec.OPUS,
+  };
+
+  return client.startRoomCompositeEgress(roomName, output, {
+    audioOnly: true,
+    encodingOptions,
+  });
+}
+
 export async function stopLivekitEgress(egressId) {
   const client = getEgressClient();
   if (!client || !egressId) return null;
   return client.stopEgress(egressId);
 }
+
+function getIngressClient() {
+  if (!hasLivekitConfig) return null;
+  return new IngressClient(env.LIVEKIT_URL, env.LIVEKIT_API_KEY, env.LIVEKIT_API_SECRET);
+}
+
+// Pull a media file into a room as a publishing participant.
+export async function startLivekitUrlIngress({ roomName, url, participantIdentity, participantName }) {
+  const client = getIngressClient();
+  if (!client) return null;
+
+  return client.createIngress(IngressInput.URL_INPUT, {
+    name: participantIdentity,
+    roomName,
+    url,
+    participantIdentity,
+    participantName,
+  });
+}
+
+const INGRESS_INPUTS = {
+  rtmp: IngressInput.RTMP_INPUT,
+  whip: IngressInput.WHIP_INPUT,
+};
+
+// Push endpoint (RTMP or WHIP) for an encoder; the URL and stream key stay valid until deleted.
+export async function createLivekitIngress({
+  inputType,
+  roomName,
+  participantIdentity,
+  participantName,
+  participantMetadata,
+}) {
+  const client = getIngressClient();
+  if (!client) return null;
+
+  return client.createIngress(INGRESS_INPUTS[inputType], {
+    name: participantIdentity,
+    roomName,
+    participantIdentity,
+    participantName,
+    participantMetadata: participantMetadata ? JSON.stringify(participantMetadata) : undefined,
+  });
+}
+
+// Point an existing ingress at another room; LiveKit rejects this while it is publishing.
+export async function updateLivekitIngress(ingressId, { roomName, participantIdentity }) {
+  const client = getIngressClient();
+  if (!client) return null;
+
+  return client.updateIngress(ingressId, { name: participantIdentity, roomName });
+}
+
+export async function getLivekitIngress(ingressId) {
+  const client = getIngressClient();
+  if (!client || !ingressId) return null;
+
+  const [ingressInfo] = await client.listIngress({ ingressId });
+  return ingressInfo ?? null;
+}
+
+export function isLivekitIngressPublishing(ingressInfo) {
+  return ingressInfo?.state?.status === IngressState_Status.ENDPOINT_PUBLISHING;
+}
+
+export async function deleteLivekitIngress(ingressId) {
+  const client = getIngressClient();
+  if (!client || !ingressId) return null;
+
+  try {
+    return await client.deleteIngress(ingressId);
+  } catch (error) {
+    logger.warn({ err: error, ingressId }, 'LiveKit ingress delete failed');
+    return null;
+  }
+}
+
+export function isLivekitIngressFailed(ingressInfo) {
+  if (!ingressInfo?.state) return false;
+  return (
+    ingressInfo.state.status === IngressState_Status.ENDPOINT_ERROR ||
+    Boolean(ingressInfo.state.error)
+  );
+}
+
+export async function receiveLivekitWebhook(body, authHeader) {
+  if (!env.LIVEKIT_API_KEY || !env.LIVEKIT_API_SECRET) return null;
+  const receiver = new WebhookReceiver(env.LIVEKIT_API_KEY, env.LIVEKIT_API_SECRET);
+  return receiver.receive(body, authHeader);
+}
+
+export function isLivekitEgressFailed(egressInfo) {
+  if (!egressInfo) return false;
+  return (
+    egressInfo.status === EgressStatus.EGRESS_FAILED ||
+    egressInfo.status === EgressStatus.EGRESS_ABORTED ||
+    Boolean(egressInfo.error)
+  );
+}
@@ -0,0 +1,416 @@
+// Low-latency HLS on top of ffmpeg's output: ffmpeg cuts short fMP4 parts into
+// `source.m3u8`, and the LL-HLS playlist (EXT-X-PART, preload hints, blocking reloads)
+// is built from it per request, grouping parts into full segments.
+import fs from 'node:fs/promises';
+import { watch } from 'node:fs';
+import path from 'node:path';
+import { env } from '../config/env.js';
+
+export const HLS_SOURCE_PLAYLIST = 'source.m3u8';
+const SEGMENT_FILE_PATTERN = /^seg_(\d+)\.m4s$/;
+// Parts listed individually for the most recent full segments (the spec asks for at least 2).
+const PART_WINDOW_SEGMENTS = 3;
+// Re-check between filesystem events, in case the output volume does not report changes.
+const WAIT_POLL_MS = 100;
+
+// Parsed source playlists, least recently read first; bounded by their total part count,
+// since a long VOD rendition lists tens of thousands of parts.
+const SOURCE_CACHE_MAX_PARTS = 100 * 1000;
+const sourceCache = new Map();
+let cachedSourceParts = 0;
+const outputNotifiers = new Map();
+
+export function getHlsPartSeconds() {
+  return Math.max(0.1, env.HLS_PART_MS / 1000);
+}
+
+// Parts per full segment, e.g. five 200ms parts per 1s segment.
+export function getHlsPartsPerSegment() {
+  return Math.max(1, Math.round(Math.max(1, env.HLS_SEGMENT_SECONDS) / getHlsPartSeconds()));
+}
+
+function parseSourcePlaylist(text) {
+  const parts = [];
+  let mediaSequence = 0;
+  let mapUri = null;
+  let duration = null;
+  let programDateTime = null;
+  let ended = false;
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      mediaSequence = Number(line.slice('#EXT-X-MEDIA-SEQUENCE:'.length)) || 0;
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      mapUri = line.match(/URI="([^"]+)"/)?.[1] ?? null;
+    } else if (line.startsWith('#EXTINF:')) {
+      duration = Number.parseFloat(line.slice('#EXTINF:'.length));
+    } else if (line.startsWith('#EXT-X-PROGRAM-DATE-TIME:')) {
+      programDateTime = line.slice('#EXT-X-PROGRAM-DATE-TIME:'.length);
+    } else if (line === '#EXT-X-ENDLIST') {
+      ended = true;
+    } else if (!line.startsWith('#')) {
+      parts.push({
+        sequence: mediaSequence + parts.length,
+        duration: duration ?? 0,
+        uri: line,
+        programDateTime,
+      });
+      duration = null;
+      programDateTime = null;
+    }
+  }
+
+  return { parts, mapUri, ended };
+}
+
+function forgetSource(sourcePath) {
+  const cached = sourceCache.get(sourcePath);
+  if (!cached) return;
+  sourceCache.delete(sourcePath);
+  cachedSourceParts -= cached.source.parts.length;
+}
+
+function rememberSource(sourcePath, entry) {
+  forgetSource(sourcePath);
+  sourceCache.set(sourcePath, entry);
+  cachedSourceParts += entry.source.parts.length;
+  for (const oldestPath of sourceCache.keys()) {
+    if (cachedSourceParts <= SOURCE_CACHE_MAX_PARTS || oldestPath === sourcePath) break;
+    forgetSource(oldestPath);
+  }
+}
+
+/**
+ * Read (and cache by mtime) the part list ffmpeg keeps for one rendition directory.
+ * @param {string} dir
+ * @returns {Promise<{ parts: Array<{ sequence: number, duration: number, uri: string, programDateTime: string | null }>, mapUri: string | null, ended: boolean } | null>}
+ *   null when the directory has no source playlist
+ */
+export async function readHlsSource(dir) {
+  const sourcePath = path.join(dir, HLS_SOURCE_PLAYLIST);
+  let stat;
+  try {
+    stat = await fs.stat(sourcePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    forgetSource(sourcePath);
+    return null;
+  }
+
+  const cached = sourceCache.get(sourcePath);
+  if (cached && cached.mtimeMs === stat.mtimeMs) {
+    sourceCache.delete(sourcePath);
+    sourceCache.set(sourcePath, cached);
+    return cached.source;
+  }
+
+  const source = parseSourcePlaylist(await fs.readFile(sourcePath, 'utf8'));
+  rememberSource(sourcePath, { mtimeMs: stat.mtimeMs, source });
+  return source;
+}
+
+function groupSegments(source) {
+  const perSegment = getHlsPartsPerSegment();
+  const segments = [];
+
+  for (const part of source.parts) {
+    const msn = Math.floor(part.sequence / perSegment);
+    const last = segments[segments.length - 1];
+    if (last?.msn === msn) {
+      last.parts.push(part);
+    } else {
+      segments.push({ msn, parts: [part] });
+    }
+  }
+
+  for (const segment of segments) {
+    segment.complete = segment.parts.length === perSegment;
+  }
+  // A segment whose first parts already left ffmpeg's window cannot be served whole.
+  if (segments.length && segments[0].parts[0].sequence % perSegment !== 0) segments.shift();
+  // Once ffmpeg has finished, a short last segment is still a whole segment.
+  if (source.ended && segments.length) segments[segments.length - 1].complete = true;
+
+  return segments;
+}
+
+/**
+ * Where the rendition has got to, as an LL-HLS client counts it.
+ * @returns {{ msn: number, part: number } | null} last part written, or null before the first
+ */
+function getLastPosition(source) {
+  const last = source.parts[source.parts.length - 1];
+  if (!last) return null;
+  const perSegment = getHlsPartsPerSegment();
+  return { msn: Math.floor(last.sequence / perSegment), part: last.sequence % perSegment };
+}
+
+function getSegmentUri(msn) {
+  return `seg_${msn}.m4s`;
+}
+
+// ffmpeg numbers part files by sequence, so the next one is the last name plus one.
+function getNextPartUri(uri) {
+  return uri.replace(/(\d+)(\.m4s)$/, (_, digits, extension) => {
+    return `${String(Number(digits) + 1).padStart(digits.length, '0')}${extension}`;
+  });
+}
+
+function formatDuration(seconds) {
+  return seconds.toFixed(5).replace(/\.?0+$/, '');
+}
+
+// Full segments a live playlist offers behind the live edge.
+export function getHlsDvrSegments() {
+  return Math.max(1, Math.ceil(env.HLS_DVR_WINDOW_SECONDS / Math.max(1, env.HLS_SEGMENT_SECONDS)));
+}
+
+/**
+ * Build the LL-HLS media playlist for a rendition: full segments (served by
+ * concatenating their parts), EXT-X-PART entries for the live edge and a preload hint.
+ * Live playlists cover the DVR window; once ended, every segment still on disk is listed.
+ * @param {Awaited<ReturnType<typeof readHlsSource>>} source
+ * @returns {string}
+ */
+export function buildLowLatencyPlaylist(source) {
+  let segments = groupSegments(source);
+  const completeCount = segments.filter((segment) => segment.complete).length;
+  if (!source.ended) segments = segments.slice(Math.max(0, completeCount - getHlsDvrSegments()));
+  const windowCompleteCount = segments.filter((segment) => segment.complete).length;
+
+  const partTarget = source.parts.reduce(
+    (max, part) => Math.max(max, part.duration),
+    getHlsPartSeconds(),
+  );
+  const segmentDurations = segments.map((segment) =>
+    segment.parts.reduce((total, part) => total + part.duration, 0),
+  );
+  const targetDuration = Math.ceil(
+    segmentDurations.reduce((max, duration) => Math.max(max, duration), env.HLS_SEGMENT_SECONDS),
+  );
+
+  const lines = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:9',
+    `#EXT-X-TARGETDURATION:${targetDuration}`,
+    `#EXT-X-PART-INF:PART-TARGET=${formatDuration(partTarget)}`,
+    `#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES,PART-HOLD-BACK=${formatDuration(partTarget * 3)}`,
+    `#EXT-X-MEDIA-SEQUENCE:${segments[0]?.msn ?? 0}`,
+  ];
+  // A finished rendition that still starts at the first segment is a complete recording.
+  if (source.ended && segments[0]?.msn === 0) lines.push('#EXT-X-PLAYLIST-TYPE:VOD');
+  if (source.mapUri) lines.push(`#EXT-X-MAP:URI="${source.mapUri}"`);
+
+  segments.forEach((segment, index) => {
+    const { programDateTime } = segment.parts[0];
+    if (programDateTime) lines.push(`#EXT-X-PROGRAM-DATE-TIME:${programDateTime}`);
+
+    const showParts = !segment.complete || index >= windowCompleteCount - PART_WINDOW_SEGMENTS;
+    if (showParts && !source.ended) {
+      for (const part of segment.parts) {
+        lines.push(
+          `#EXT-X-PART:DURATION=${formatDuration(part.duration)},URI="${part.uri}",INDEPENDENT=YES`,
+        );
+      }
+    }
+    if (segment.complete) {
+      lines.push(`#EXTINF:${formatDuration(segmentDurations[index])},`, getSegmentUri(segment.msn));
+    }
+  });
+
+  const lastPart = source.parts[source.parts.length - 1];
+  if (source.ended) {
+    lines.push('#EXT-X-ENDLIST');
+  } else if (lastPart) {
+    lines.push(`#EXT-X-PRELOAD-HINT:TYPE=PART,URI="${getNextPartUri(lastPart.uri)}"`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Mark a rendition finished once its ffmpeg has stopped; ffmpeg writes `EXT-X-ENDLIST`
+ * itself on a clean exit, but not when it was killed or crashed.
+ * @param {string} dir
+ * @returns {Promise<boolean>} whether the playlist had to be finalised
+ */
+export async function finalizeHlsSource(dir) {
+  const sourcePath = path.join(dir, HLS_SOURCE_PLAYLIST);
+  let text;
+  try {
+    text = await fs.readFile(sourcePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+  if (parseSourcePlaylist(text).ended) return false;
+
+  await fs.appendFile(sourcePath, `${text.endsWith('\n') ? '' : '\n'}#EXT-X-ENDLIST\n`);
+  return true;
+}
+
+/**
+ * Whether the playlist already satisfies a blocking reload (`_HLS_msn`, `_HLS_part`).
+ * @param {Awaited<ReturnType<typeof readHlsSource>>} source
+ * @param {{ msn: number, part?: number }} request
+ */
+export function hasHlsPosition(source, { msn, part }) {
+  if (!source) return false;
+  if (source.ended) return true;
+  const last = getLastPosition(source);
+  if (!last) return false;
+  if (part === undefined) return last.msn > msn;
+  return last.msn > msn || (last.msn === msn && last.part >= part);
+}
+
+/**
+ * How far ahead of the live edge a blocking request may ask; further is a client error.
+ * @returns {boolean}
+ */
+export function isHlsPositionReachable(source, { msn }) {
+  const last = source ? getLastPosition(source) : null;
+  return msn <= (last?.msn ?? 0) + 2;
+}
+
+/**
+ * Concatenate the parts of one full segment (fMP4 fragments play back to back).
+ * @param {string} dir
+ * @param {string} file e.g. `seg_42.m4s`
+ * @returns {Promise<Buffer | null>} null when the file is not a segment or it is incomplete
+ */
+export async function readHlsSegment(dir, file) {
+  const match = file.match(SEGMENT_FILE_PATTERN);
+  if (!match) return null;
+
+  const source = await readHlsSource(dir);
+  if (!source) return null;
+
+  const msn = Number(match[1]);
+  const segment = groupSegments(source).find((candidate) => candidate.msn === msn);
+  if (!segment?.complete) return null;
+
+  try {
+    const buffers = await Promise.all(
+      segment.parts.map((part) => fs.readFile(path.join(dir, path.basename(part.uri)))),
+    );
+    return Buffer.concat(buffers);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+export function isHlsSegmentFile(file) {
+  return SEGMENT_FILE_PATTERN.test(file);
+}
+
+/**
+ * Whether a file is the part the playlist's preload hint names, i.e. one ffmpeg is writing now.
+ * @param {Awaited<ReturnType<typeof readHlsSource>>} source
+ * @param {string} file
+ */
+export function isHlsPreloadPart(source, file) {
+  const lastPart = source?.parts[source.parts.length - 1];
+  if (!lastPart || source.ended) return false;
+  return path.basename(getNextPartUri(lastPart.uri)) === file;
+}
+
+// Blocking requests get an answer within three target durations, as the LL-HLS spec asks.
+export function getHlsBlockingTimeoutMs() {
+  return Math.max(1, env.HLS_SEGMENT_SECONDS) * 3 * 1000;
+}
+
+// One watcher per rendition directory, shared by every request waiting on it.
+function createOutputNotifier(dir) {
+  const sourcePath = path.join(dir, HLS_SOURCE_PLAYLIST);
+  const listeners = new Set();
+  let lastMtimeMs = null;
+
+  // ffmpeg rewrites the source playlist after each part, so its mtime marks new output.
+  const refresh = () => {
+    fs.stat(sourcePath).then(
+      (stat) => {
+        if (stat.mtimeMs === lastMtimeMs) return;
+        lastMtimeMs = stat.mtimeMs;
+        for (const listener of [...listeners]) listener();
+      },
+      () => {},
+    );
+  };
+
+  let watcher = null;
+  try {
+    watcher = watch(dir, (eventType, filename) => {
+      if (!filename || filename === HLS_SOURCE_PLAYLIST) refresh();
+    });
+    watcher.on('error', () => {});
+  } catch {
+    watcher = null;
+  }
+  const poll = setInterval(refresh, WAIT_POLL_MS);
+  poll.unref();
+
+  return {
+    listeners,
+    close() {
+      clearInterval(poll);
+      watcher?.close();
+    },
+  };
+}
+
+function subscribeHlsOutput(dir, listener) {
+  let notifier = outputNotifiers.get(dir);
+  if (!notifier) {
+    notifier = createOutputNotifier(dir);
+    outputNotifiers.set(dir, notifier);
+  }
+  notifier.listeners.add(listener);
+
+  return () => {
+    notifier.listeners.delete(listener);
+    if (notifier.listeners.size || outputNotifiers.get(dir) !== notifier) return;
+    outputNotifiers.delete(dir);
+    notifier.close();
+  };
+}
+
+/**
+ * Hold until `check` passes, re-checking whenever ffmpeg updates the rendition; this is
+ * how blocking playlist reloads and preload-hinted parts wait for ffmpeg.
+ * @param {string} dir
+ * @param {() => Promise<boolean>} check
+ * @param {number} timeoutMs
+ * @returns {Promise<boolean>} false on timeout
+ */
+export async function waitForHlsOutput(dir, check, timeoutMs) {
+  if (await check()) return true;
+
+  return new Promise((resolve) => {
+    let settled = false;
+    let unsubscribe = null;
+    let timer = null;
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      unsubscribe();
+      resolve(result);
+    };
+
+    const recheck = () => {
+      check()
+        .then((ok) => ok && finish(true))
+        .catch(() => {});
+    };
+
+    unsubscribe = subscribeHlsOutput(dir, recheck);
+    timer = setTimeout(() => finish(false), timeoutMs);
+    // Output written between the first check and subscribing.
+    recheck();
+  });
+}
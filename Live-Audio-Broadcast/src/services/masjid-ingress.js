@@ -0,0 +1,120 @@
+// Reusable LiveKit ingress per masjid and input type, re-pointed at whichever broadcast is next.
+import { and, eq } from 'drizzle-orm';
+import { db } from '../db/client.js';
+import { masjidIngresses } from '../db/schema.js';
+import { logger } from '../config/logger.js';
+import { ApiError } from '../utils/api-error.js';
+import {
+  createLivekitIngress,
+  getLivekitIngress,
+  isLivekitIngressPublishing,
+  updateLivekitIngress,
+} from './livekit.js';
+
+export const INGRESS_INPUT_TYPES = ['rtmp', 'whip'];
+
+const ingressFields = {
+  ingressId: masjidIngresses.ingressId,
+  inputType: masjidIngresses.inputType,
+  url: masjidIngresses.url,
+  streamKey: masjidIngresses.streamKey,
+  broadcastId: masjidIngresses.broadcastId,
+};
+
+export function getMasjidIngressIdentity(masjidId, inputType) {
+  return `ingress-${inputType}-${masjidId}`;
+}
+
+/**
+ * Route the masjid's encoder into a broadcast's LiveKit room, creating the ingress on first use.
+ * The URL and stream key are kept across broadcasts so encoders are configured once.
+ * @param {object} options
+ * @param {{ id: string, name: string }} options.masjid
+ * @param {'rtmp' | 'whip'} options.inputType
+ * @param {{ id: string, streamRoomId: string }} options.broadcast
+ * @param {string} options.actorId
+ * @returns {Promise<{ ingressId: string, inputType: string, url: string, streamKey: string, broadcastId: string }>}
+ */
+export async function bindMasjidIngress({ masjid, inputType, broadcast, actorId }) {
+  const participantIdentity = getMasjidIngressIdentity(masjid.id, inputType);
+
+  const [existing] = await db
+    .select(ingressFields)
+    .from(masjidIngresses)
+    .where(and(eq(masjidIngresses.masjidId, masjid.id), eq(masjidIngresses.inputType, inputType)))
+    .limit(1);
+
+  // An ingress deleted on the LiveKit side is recreated below, with a new stream key.
+  const ingressInfo = existing ? await getLivekitIngress(existing.ingressId) : null;
+  if (existing && ingressInfo) {
+    if (ingressInfo.roomName !== broadcast.streamRoomId) {
+      if (isLivekitIngressPublishing(ingressInfo)) {
+        throw new ApiError(
+          409,
+          'conflict',
+          'Ingress is still publishing to another broadcast; stop the encoder first',
+        );
+      }
+      await updateLivekitIngress(existing.ingressId, {
+        roomName: broadcast.streamRoomId,
+        participantIdentity,
+      });
+    }
+
+    const [updated] = await db
+      .update(masjidIngresses)
+      .set({ broadcastId: broadcast.id, updatedAt: new Date() })
+      .where(eq(masjidIngresses.ingressId, existing.ingressId))
+      .returning(ingressFields);
+    return updated;
+  }
+
+  const created = await createLivekitIngress({
+    inputType,
+    roomName: broadcast.streamRoomId,
+    participantIdentity,
+    participantName: masjid.name,
+    participantMetadata: { role: 'encoder', masjidId: masjid.id },
+  });
+  if (!created) {
+    throw new ApiError(500, 'configuration_error', 'LiveKit credentials missing');
+  }
+
+  logger.info(
+    { masjidId: masjid.id, ingressId: created.ingressId, inputType },
+    'Masjid ingress created',
+  );
+
+  const values = {
+    ingressId: created.ingressId,
+    url: created.url,
+    streamKey: created.streamKey,
+    broadcastId: broadcast.id,
+    updatedAt: new Date(),
+  };
+
+  const [stored] = await db
+    .insert(masjidIngresses)
+    .values({ masjidId: masjid.id, inputType, createdBy: actorId, ...values })
+    .onConflictDoUpdate({
+      target: [masjidIngresses.masjidId, masjidIngresses.inputType],
+      set: values,
+    })
+    .returning(ingressFields);
+  return stored;
+}
+
+/**
+ * Broadcast a masjid ingress was last pointed at, for ingress webhooks.
+ * @param {string} ingressId
+ * @returns {Promise<string | null>}
+ */
+export async function findMasjidIngressBroadcastId(ingressId) {
+  const [row] = await db
+    .select({ broadcastId: masjidIngresses.broadcastId })
+    .from(masjidIngresses)
+    .where(eq(masjidIngresses.ingressId, ingressId))
+    .limit(1);
+
+  return row?.broadcastId ?? null;
+}
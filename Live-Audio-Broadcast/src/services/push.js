@@ -43,7 +43,8 @@ function initApns() {
   return apnsClient;
 }
 
-export async function sendFcmData({ token, data }) {
+// `notification` ({ title, body }) makes the OS show the push; without it the app handles the data.
+export async function sendFcmData({ token, data, notification }) {
   if (!token) {
     return { status: 'failed', provider: 'fcm', error: 'missing_token' };
   }
@@ -57,6 +58,7 @@ export async function sendFcmData({ token, data }) {
     await app.messaging().send({
       token,
       data: data ? Object.fromEntries(Object.entries(data).map(([k, v]) => [k, String(v)])) : undefined,
+      notification,
       android: {
         priority: 'high',
         ttl: 0,
@@ -0,0 +1,86 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { env } from '../config/env.js';
+import { logger } from '../config/logger.js';
+import { createSignature, getExpiry, parseExpiry, verifySignature } from '../utils/url-signing.js';
+import { startLivekitFileEgress, stopLivekitEgress } from './livekit.js';
+
+const RECORDING_CONTENT_TYPES = {
+  '.ogg': 'audio/ogg',
+  '.m4a': 'audio/mp4',
+};
+
+// Per-broadcast setting wins; otherwise fall back to the masjid default.
+export function isRecordingRequested({ broadcastRecordingEnabled, masjidRecordingEnabled }) {
+  if (broadcastRecordingEnabled !== null && broadcastRecordingEnabled !== undefined) {
+    return Boolean(broadcastRecordingEnabled);
+  }
+  return Boolean(masjidRecordingEnabled);
+}
+
+export function getRecordingRelativePath(broadcastId) {
+  const extension = env.RECORDING_FORMAT === 'mp4' ? 'm4a' : 'ogg';
+  return path.posix.join('broadcasts', broadcastId, `recording.${extension}`);
+}
+
+export function resolveRecordingPath(relativePath) {
+  const root = path.resolve(env.RECORDINGS_DIR);
+  const resolved = path.resolve(root, relativePath);
+  if (!resolved.startsWith(`${root}${path.sep}`)) return null;
+  return resolved;
+}
+
+export function getRecordingContentType(relativePath) {
+  return RECORDING_CONTENT_TYPES[path.extname(relativePath)] ?? 'application/octet-stream';
+}
+
+export function getRecordingApiPath(broadcastId, basePath = '/api/v1') {
+  const pathPrefix = basePath.endsWith('/') ? basePath.slice(0, -1) : basePath;
+  return `${pathPrefix}/broadcasts/${broadcastId}/recording`;
+}
+
+export function signRecordingUrl(broadcastId, basePath = '/api/v1') {
+  if (!env.HLS_SIGNING_SECRET) return null;
+  const ttlSeconds = Number(env.RECORDING_URL_TTL_SECONDS) || 3600;
+  const exp = getExpiry(ttlSeconds);
+  const sig = createSignature(env.HLS_SIGNING_SECRET, `recording.${broadcastId}.${exp}`);
+  return `${getRecordingApiPath(broadcastId, basePath)}?exp=${exp}&sig=${sig}`;
+}
+
+export function verifyRecordingSignature(broadcastId, exp, sig) {
+  if (!env.HLS_SIGNING_SECRET || !sig) return false;
+  const expNumber = parseExpiry(exp);
+  if (!expNumber) return false;
+  return verifySignature(env.HLS_SIGNING_SECRET, `recording.${broadcastId}.${expNumber}`, sig);
+}
+
+export async function startRecording({ broadcastId, roomName }) {
+  const recordingPath = getRecordingRelativePath(broadcastId);
+  const localPath = resolveRecordingPath(recordingPath);
+  await fs.mkdir(path.dirname(localPath), { recursive: true });
+
+  // The egress service writes from its own container; RECORDINGS_EGRESS_DIR is the
+  // same volume as RECORDINGS_DIR seen from there.
+  const egressDir = env.RECORDINGS_EGRESS_DIR || path.resolve(env.RECORDINGS_DIR);
+
+  const egressInfo = await startLivekitFileEgress({
+    roomName,
+    filepath: path.posix.join(egressDir, recordingPath),
+    format: env.RECORDING_FORMAT,
+  });
+
+  if (!egressInfo?.egressId) return null;
+
+  return { egressId: egressInfo.egressId, recordingPath };
+}
+
+export async function stopRecording(egressId) {
+  if (!egressId) return null;
+
+  try {
+    return await stopLivekitEgress(egressId);
+  } catch (error) {
+    logger.warn({ err: error, egressId }, 'Failed to stop recording egress');
+    return null;
+  }
+}
@@ -0,0 +1,70 @@
+// File storage behind a small interface so assets can move off local disk later.
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { env } from '../config/env.js';
+
+/**
+ * @typedef {object} FileStorage
+ * @property {(key: string, sourcePath: string) => Promise<{ key: string, size: number }>} put
+ *   Move a local file into storage under `key`.
+ * @property {(key: string) => Promise<{ size: number } | null>} stat
+ * @property {(key: string, range?: { start: number, end: number }) => import('node:stream').Readable} createReadStream
+ * @property {(key: string) => Promise<void>} remove
+ */
+
+/**
+ * Local-disk storage rooted at `rootDir`. Keys are POSIX-style relative paths.
+ * @param {string} rootDir
+ * @returns {FileStorage}
+ */
+export function createLocalStorage(rootDir) {
+  const root = path.resolve(rootDir);
+
+  function resolveKey(key) {
+    const resolved = path.resolve(root, key);
+    if (!resolved.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Storage key escapes root: ${key}`);
+    }
+    return resolved;
+  }
+
+  return {
+    async put(key, sourcePath) {
+      const target = resolveKey(key);
+      await fsp.mkdir(path.dirname(target), { recursive: true });
+
+      try {
+        await fsp.rename(sourcePath, target);
+      } catch (error) {
+        // Temp files usually live on another device.
+        if (error?.code !== 'EXDEV') throw error;
+        await fsp.copyFile(sourcePath, target);
+        await fsp.unlink(sourcePath);
+      }
+
+      const { size } = await fsp.stat(target);
+      return { key, size };
+    },
+
+    async stat(key) {
+      try {
+        const { size } = await fsp.stat(resolveKey(key));
+        return { size };
+      } catch (error) {
+        if (error?.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    createReadStream(key, range) {
+      return fs.createReadStream(resolveKey(key), range);
+    },
+
+    async remove(key) {
+      await fsp.rm(resolveKey(key), { force: true });
+    },
+  };
+}
+
+export const audioAssetStorage = createLocalStorage(env.AUDIO_ASSETS_DIR);
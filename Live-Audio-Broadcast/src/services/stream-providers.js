@@ -0,0 +1,279 @@
+// Stream providers behind one interface, so controllers and the worker never branch on provider names.
+import { env } from '../config/env.js';
+import { ApiError } from '../utils/api-error.js';
+import {
+  createLivekitToken,
+  deleteLivekitRoom,
+  ensureLivekitRoom,
+  getLivekitConfigStatus,
+  getLivekitUrl,
+} from './livekit.js';
+import {
+  getHlsConfigStatus,
+  getHlsMasterFile,
+  getHlsPublicUrl,
+  getIcecastPublicUrl,
+  isHlsOutputEnabled,
+  selectHlsCodec,
+  signHlsUrl,
+} from './hls.js';
+import { startHlsRelay, stopHlsRelay } from './hls-relay.js';
+
+export const STREAM_PROVIDERS = ['livekit', 'hls', 'external'];
+
+/**
+ * Broadcast fields providers read. `externalStreamUrl` is the masjid's setting.
+ * @typedef {object} StreamBroadcast
+ * @property {string} id
+ * @property {string | null} [streamRoomId]
+ * @property {string | null} [audioUrl]
+ * @property {string | null} [hlsUrl]
+ * @property {string | null} [masjidSlug]
+ * @property {string | null} [masjidName]
+ * @property {string | null} [externalStreamUrl]
+ * @property {number[] | null} [hlsBitrateLadderKbps] the masjid's HLS ladder
+ * @property {boolean} [hlsVodEnabled] keep the whole broadcast for replay
+ */
+
+/**
+ * Who is asking to listen; the client fields pick a codec where providers offer several.
+ * @typedef {object} ListenerOptions
+ * @property {string} identity
+ * @property {string} [basePath]
+ * @property {string[]} [codecs] codecs the client says it decodes
+ * @property {string} [userAgent]
+ * @property {string | null} [platform] device platform, e.g. from a push registration
+ */
+
+/**
+ * @typedef {object} StreamProvider
+ * @property {string} id
+ * @property {boolean} usesLivekitRoom publishers join a LiveKit room (moderation, recording, adhan fallback)
+ * @property {(broadcast: StreamBroadcast) => boolean} canReplay
+ *   Whether listeners can still play the broadcast once it has finished.
+ * @property {() => { ok: boolean, missing: string[] }} health
+ * @property {(broadcast: StreamBroadcast) => Promise<{ streamRoomId: string | null, audioUrl: string | null } | null>} createRoom
+ *   Prepare where the broadcast is published; returns columns to store, or null if nothing changed.
+ * @property {(broadcast: StreamBroadcast) => Promise<void>} deleteRoom
+ * @property {(broadcast: StreamBroadcast, options: { identity: string, metadata?: Record<string, any> }) => Promise<Record<string, any>>} getPublisherCredentials
+ * @property {(broadcast: StreamBroadcast, options: ListenerOptions) => Promise<{ format: string } & Record<string, any> | null>} getListenerCredentials
+ *   A playback descriptor, or null while the stream is not playable.
+ * @property {(broadcast: StreamBroadcast) => Promise<Record<string, any> | null>} start
+ *   Worker side, once live; returns columns to store.
+ * @property {(broadcast: StreamBroadcast) => Promise<Record<string, any> | null>} stop
+ */
+
+function getLivekitRoomName(broadcastId) {
+  return `broadcast-${broadcastId}`;
+}
+
+async function createLivekitRoom(broadcast) {
+  if (broadcast.streamRoomId || !getLivekitUrl()) return null;
+
+  const roomName = getLivekitRoomName(broadcast.id);
+  await ensureLivekitRoom(roomName);
+  return { streamRoomId: roomName, audioUrl: broadcast.audioUrl ?? getLivekitUrl() };
+}
+
+async function getLivekitPublisherCredentials(broadcast, { identity, metadata }) {
+  if (!broadcast.streamRoomId) {
+    throw new ApiError(500, 'configuration_error', 'LiveKit room not configured');
+  }
+
+  const token = await createLivekitToken({
+    identity,
+    roomName: broadcast.streamRoomId,
+    canPublish: true,
+    metadata,
+  });
+
+  if (!token) {
+    const configStatus = getLivekitConfigStatus();
+    throw new ApiError(500, 'configuration_error', 'LiveKit credentials missing', configStatus);
+  }
+
+  return {
+    token,
+    roomName: broadcast.streamRoomId,
+    livekitUrl: broadcast.audioUrl ?? getLivekitUrl(),
+  };
+}
+
+/** @type {StreamProvider} */
+const livekitProvider = {
+  id: 'livekit',
+  usesLivekitRoom: true,
+  canReplay: () => false,
+  health: getLivekitConfigStatus,
+  createRoom: createLivekitRoom,
+
+  async deleteRoom(broadcast) {
+    await deleteLivekitRoom(broadcast.streamRoomId);
+  },
+
+  getPublisherCredentials: getLivekitPublisherCredentials,
+
+  async getListenerCredentials(broadcast, { identity }) {
+    if (!broadcast.streamRoomId) return null;
+
+    const token = await createLivekitToken({
+      identity,
+      roomName: broadcast.streamRoomId,
+      canPublish: false,
+      metadata: { role: 'listener' },
+    });
+    if (!token) return null;
+
+    return {
+      format: 'livekit',
+      token,
+      roomName: broadcast.streamRoomId,
+      livekitUrl: broadcast.audioUrl ?? getLivekitUrl(),
+    };
+  },
+
+  async start() {
+    return null;
+  },
+
+  async stop() {
+    return null;
+  },
+};
+
+// Publishers use LiveKit; the ffmpeg relay feeds HLS and/or the masjid's Icecast mount.
+/** @type {StreamProvider} */
+const hlsRelayProvider = {
+  ...livekitProvider,
+  id: 'hls',
+
+  canReplay(broadcast) {
+    return isHlsOutputEnabled() && Boolean(broadcast.hlsVodEnabled);
+  },
+
+  health() {
+    const livekit = getLivekitConfigStatus();
+    const hls = getHlsConfigStatus();
+    const missing = [...livekit.missing, ...hls.missing];
+    return { ok: missing.length === 0, missing };
+  },
+
+  async getListenerCredentials(broadcast, { identity, basePath = '/api/v1', ...client } = {}) {
+    if (!isHlsOutputEnabled()) {
+      const icecastUrl = getIcecastPublicUrl(broadcast.masjidSlug);
+      return icecastUrl ? { format: 'icecast', url: icecastUrl } : null;
+    }
+
+    const getUrl = (file) =>
+      signHlsUrl(broadcast.id, { userId: identity, basePath, file }) ??
+      getHlsPublicUrl(broadcast.id, file);
+
+    const codec = selectHlsCodec(client);
+    const url = getUrl(getHlsMasterFile(codec)) ?? broadcast.hlsUrl;
+    if (!url) return null;
+
+    // Per-codec masters, for players that find out at runtime what they can decode.
+    const variants = Object.fromEntries(
+      env.HLS_CODECS.map((variantCodec) => [variantCodec, getUrl(getHlsMasterFile(variantCodec))])
+    );
+    return { format: 'hls', url, codec, variants };
+  },
+
+  async start(broadcast) {
+    if (!broadcast.streamRoomId) return null;
+
+    const relay = await startHlsRelay({
+      broadcastId: broadcast.id,
+      roomName: broadcast.streamRoomId,
+      masjidSlug: broadcast.masjidSlug,
+      masjidName: broadcast.masjidName,
+      bitrateLadderKbps: broadcast.hlsBitrateLadderKbps,
+      vod: Boolean(broadcast.hlsVodEnabled),
+    });
+
+    return {
+      hlsUrl: relay.hlsUrl ?? undefined,
+      hlsEgressId: relay.egressId ?? null,
+      hlsRtmpUrl: relay.rtmpUrl ?? null,
+    };
+  },
+
+  async stop(broadcast) {
+    await stopHlsRelay(broadcast.id);
+    return { hlsEgressId: null };
+  },
+};
+
+// The masjid streams elsewhere (e.g. its own Icecast server); listeners play that URL directly.
+/** @type {StreamProvider} */
+const externalUrlProvider = {
+  id: 'external',
+  usesLivekitRoom: false,
+  canReplay: () => false,
+
+  health() {
+    return { ok: true, missing: [] };
+  },
+
+  async createRoom(broadcast) {
+    if (broadcast.audioUrl) return null;
+    if (!broadcast.externalStreamUrl) {
+      throw new ApiError(409, 'conflict', 'No external stream URL configured for this masjid');
+    }
+    return { streamRoomId: null, audioUrl: broadcast.externalStreamUrl };
+  },
+
+  async deleteRoom() {},
+
+  async getPublisherCredentials() {
+    throw new ApiError(409, 'conflict', 'Broadcast is published from an external stream');
+  },
+
+  async getListenerCredentials(broadcast) {
+    return broadcast.audioUrl ? { format: 'external', url: broadcast.audioUrl } : null;
+  },
+
+  async start() {
+    return null;
+  },
+
+  async stop() {
+    return null;
+  },
+};
+
+const providers = {
+  livekit: livekitProvider,
+  hls: hlsRelayProvider,
+  external: externalUrlProvider,
+};
+
+// `HLS_ENABLED=true` predates per-masjid providers and still selects the relay.
+export function getDefaultStreamProviderId() {
+  return env.STREAM_PROVIDER_DEFAULT ?? (env.HLS_ENABLED ? 'hls' : 'livekit');
+}
+
+/**
+ * Provider for a new broadcast: the request's choice, then the masjid's, then the deployment default.
+ * @param {object} options
+ * @param {string | null} [options.requested]
+ * @param {{ streamProvider?: string | null }} [options.masjid]
+ * @returns {string}
+ */
+export function resolveStreamProviderId({ requested, masjid } = {}) {
+  return requested ?? masjid?.streamProvider ?? getDefaultStreamProviderId();
+}
+
+/**
+ * @param {string | null | undefined} providerId
+ * @returns {StreamProvider}
+ */
+export function getStreamProvider(providerId) {
+  const provider = providers[providerId ?? getDefaultStreamProviderId()];
+  if (!provider) throw new Error(`Unknown stream provider: ${providerId}`);
+  return provider;
+}
+
+export function getStreamProvidersHealth() {
+  return Object.fromEntries(STREAM_PROVIDERS.map((id) => [id, providers[id].health()]));
+}
@@ -0,0 +1,69 @@
+/**
+ * Single-range `Range: bytes=` header parsing for file responses.
+ */
+
+/**
+ * @typedef {object} ByteRange
+ * @property {number} start
+ * @property {number} end inclusive
+ */
+
+/**
+ * @param {string | undefined} header
+ * @param {number} size total file size in bytes
+ * @returns {ByteRange | null | false} null when no usable range was sent, false when unsatisfiable
+ */
+export function parseRangeHeader(header, size) {
+  if (!header || !header.startsWith('bytes=')) return null;
+
+  const spec = header.slice('bytes='.length).trim();
+  // Multipart ranges are rare for audio players; serve the full body instead.
+  if (spec.includes(',')) return null;
+
+  const [rawStart, rawEnd] = spec.split('-');
+  let start;
+  let end;
+
+  if (rawStart === '') {
+    const suffixLength = Number(rawEnd);
+    if (!Number.isInteger(suffixLength) || suffixLength <= 0) return false;
+    start = Math.max(0, size - suffixLength);
+    end = size - 1;
+  } else {
+    start = Number(rawStart);
+    end = rawEnd ? Number(rawEnd) : size - 1;
+    if (!Number.isInteger(start) || !Number.isInteger(end)) return null;
+    end = Math.min(end, size - 1);
+  }
+
+  if (start > end || start >= size) return false;
+  return { start, end };
+}
+
+/**
+ * Send a file stream honouring an optional Range header.
+ * @param {import('fastify').FastifyRequest} request
+ * @param {import('fastify').FastifyReply} reply
+ * @param {object} file
+ * @param {number} file.size
+ * @param {(options?: { start: number, end: number }) => import('node:stream').Readable} file.createStream
+ */
+export function sendWithRange(request, reply, { size, createStream }) {
+  reply.header('Accept-Ranges', 'bytes');
+
+  const range = parseRangeHeader(request.headers.range, size);
+
+  if (range === false) {
+    reply.header('Content-Range', `bytes */${size}`);
+    return reply.status(416).send();
+  }
+
+  if (range) {
+    reply.header('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    reply.header('Content-Length', range.end - range.start + 1);
+    return reply.status(206).send(createStream(range));
+  }
+
+  reply.header('Content-Length', size);
+  return reply.send(createStream());
+}
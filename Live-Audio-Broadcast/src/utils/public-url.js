@@ -0,0 +1,91 @@
+/**
+ * Checks for user-supplied URLs that a server (ours or LiveKit) fetches on our behalf.
+ */
+import dns from 'node:dns/promises';
+import net from 'node:net';
+
+const privateRanges = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+]) {
+  privateRanges.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  privateRanges.addSubnet(address, prefix, 'ipv6');
+}
+
+const PRIVATE_HOST_SUFFIXES = ['.localhost', '.local', '.internal', '.lan', '.home.arpa'];
+
+/**
+ * @param {string} address IPv4 or IPv6 literal
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  const version = net.isIP(address);
+  if (version === 4) return privateRanges.check(address, 'ipv4');
+  // BlockList also matches IPv4-mapped IPv6 addresses against the IPv4 ranges.
+  return version === 6 && privateRanges.check(address, 'ipv6');
+}
+
+/**
+ * @param {string} hostname as in `URL#hostname` (IPv6 in brackets)
+ * @returns {boolean}
+ */
+function isPrivateHostname(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (!host || host === 'localhost') return true;
+  // Single-label names only resolve on a local network.
+  if (!host.includes('.') && !net.isIP(host)) return true;
+  if (PRIVATE_HOST_SUFFIXES.some((suffix) => host.endsWith(suffix))) return true;
+  return isPrivateAddress(host);
+}
+
+/**
+ * An https URL whose host is not a loopback, private, link-local or internal name.
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isPublicHttpsUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return false;
+  }
+  return url.protocol === 'https:' && !url.username && !url.password && !isPrivateHostname(url.hostname);
+}
+
+/**
+ * Like `isPublicHttpsUrl`, and the host must not resolve to a private address either.
+ * @param {string} value
+ * @returns {Promise<boolean>}
+ */
+export async function resolvesToPublicHttpsUrl(value) {
+  if (!isPublicHttpsUrl(value)) return false;
+
+  const { hostname } = new URL(value);
+  if (net.isIP(hostname.replace(/^\[|\]$/g, ''))) return true;
+
+  try {
+    const addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+    return addresses.length > 0 && !addresses.some(({ address }) => isPrivateAddress(address));
+  } catch {
+    return false;
+  }
+}
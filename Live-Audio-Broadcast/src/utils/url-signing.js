@@ -0,0 +1,46 @@
+/**
+ * HMAC helpers for expiring signed URLs.
+ */
+import crypto from 'node:crypto';
+
+/**
+ * @param {string} secret
+ * @param {string} payload
+ * @returns {string}
+ */
+export function createSignature(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+/**
+ * @param {string} secret
+ * @param {string} payload
+ * @param {string} sig
+ * @returns {boolean}
+ */
+export function verifySignature(secret, payload, sig) {
+  const expectedBuf = Buffer.from(createSignature(secret, payload));
+  const providedBuf = Buffer.from(String(sig));
+  if (expectedBuf.length !== providedBuf.length) return false;
+  return crypto.timingSafeEqual(expectedBuf, providedBuf);
+}
+
+/**
+ * @param {number} ttlSeconds
+ * @returns {number} unix timestamp in seconds
+ */
+export function getExpiry(ttlSeconds) {
+  return Math.floor(Date.now() / 1000) + ttlSeconds;
+}
+
+/**
+ * @param {string | number | undefined} exp
+ * @returns {number | null} parsed expiry, or null when missing, malformed or in the past
+ */
+export function parseExpiry(exp) {
+  if (!exp) return null;
+  const expNumber = Number(exp);
+  if (!Number.isFinite(expNumber)) return null;
+  if (expNumber < Math.floor(Date.now() / 1000)) return null;
+  return expNumber;
+}
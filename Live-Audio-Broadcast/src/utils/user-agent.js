@@ -0,0 +1,27 @@
+/**
+ * Coarse client platform detection from a User-Agent header.
+ * @param {string | undefined} userAgent
+ * @returns {'android' | 'ios' | 'web' | 'unknown'}
+ */
+export function detectPlatform(userAgent) {
+  if (!userAgent) return 'unknown';
+  if (/android/i.test(userAgent)) return 'android';
+  if (/iphone|ipad|ipod|ios|cfnetwork|darwin/i.test(userAgent)) return 'ios';
+  if (/mozilla|chrome|safari|firefox|edg\//i.test(userAgent)) return 'web';
+  return 'unknown';
+}
+
+/**
+ * Clients whose HLS stack cannot decode Opus: Apple devices and Safari, smart TVs
+ * and Android WebViews. They need the AAC renditions.
+ * @param {string | undefined} userAgent
+ * @returns {boolean}
+ */
+export function needsAacHls(userAgent) {
+  if (!userAgent) return false;
+  if (detectPlatform(userAgent) === 'ios') return true;
+  if (/smart-?tv|tizen|web0?os|hbbtv|netcast|roku|bravia/i.test(userAgent)) return true;
+  if (/\bAFT[A-Z]/.test(userAgent)) return true;
+  if (/; wv\)/.test(userAgent)) return true;
+  return /safari/i.test(userAgent) && !/chrome|chromium|crios|fxios|edg|android/i.test(userAgent);
+}
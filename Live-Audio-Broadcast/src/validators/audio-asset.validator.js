@@ -0,0 +1,21 @@
+/**
+ * Audio asset validation schemas.
+ */
+import { z } from 'zod';
+
+const audioAssetTypeSchema = z.enum(['adhan', 'fajr_adhan', 'announcement', 'jingle']);
+
+export const audioAssetParamsSchema = z.object({
+  id: z.string().uuid(),
+  assetId: z.string().uuid(),
+});
+
+export const audioAssetListQuerySchema = z.object({
+  type: audioAssetTypeSchema.optional(),
+});
+
+// Multipart text fields, parsed in the controller once the upload stream is read.
+export const audioAssetUploadFieldsSchema = z.object({
+  type: audioAssetTypeSchema,
+  name: z.string().trim().min(1).max(255).optional(),
+});
@@ -8,27 +8,101 @@ export const broadcastIdParamsSchema = z.object({
 export const broadcastCreateBodySchema = z.object({
   masjidId: z.string().uuid(),
   title: z.string().max(255).optional(),
+  broadcastType: z.enum(['prayer', 'khutbah', 'lecture', 'quran_recitation', 'announcement']).optional(),
   prayerName: z.enum(['Fajr', 'Dhuhr', 'Asr', 'Maghrib', 'Isha', 'Juma']).optional(),
   scheduledAt: z.string().optional(),
-  streamProvider: z.string().max(64).optional(),
+  streamProvider: z.enum(['livekit', 'hls', 'external']).optional(),
   streamRoomId: z.string().max(255).optional(),
   audioUrl: z.string().url().optional(),
+  recordingEnabled: z.boolean().optional(),
+  hlsVodEnabled: z.boolean().optional(),
 });
 
+export const broadcastUpdateBodySchema = z
+  .object({
+    title: z.string().max(255).optional(),
+    broadcastType: z.enum(['prayer', 'khutbah', 'lecture', 'quran_recitation', 'announcement']).optional(),
+    prayerName: z.enum(['Fajr', 'Dhuhr', 'Asr', 'Maghrib', 'Isha', 'Juma']).optional(),
+    scheduledAt: z.string().optional(),
+    streamProvider: z.enum(['livekit', 'hls', 'external']).optional(),
+  })
+  .refine((body) => Object.values(body).some((value) => value !== undefined), {
+    message: 'At least one field is required',
+  });
+
 export const broadcastStartBodySchema = z.object({
-  streamProvider: z.string().max(64).optional(),
+  streamProvider: z.enum(['livekit', 'hls', 'external']).optional(),
   streamRoomId: z.string().max(255).optional(),
   audioUrl: z.string().url().optional(),
 });
 
+export const broadcastListenerTokenBodySchema = z.object({
+  codecs: z.array(z.enum(['opus', 'aac'])).max(2).optional(),
+});
+
+export const broadcastIngressBodySchema = z.object({
+  inputType: z.enum(['rtmp', 'whip']).default('rtmp'),
+});
+
 export const broadcastEndBodySchema = z.object({
   recordingUrl: z.string().url().optional(),
   endedReason: z.string().max(255).optional(),
 });
 
+export const broadcastExtendBodySchema = z.object({
+  minutes: z.number().int().min(1).max(60),
+});
+
+export const broadcastParticipantParamsSchema = z.object({
+  id: z.string().uuid(),
+  identity: z.string().min(1).max(255),
+});
+
+export const broadcastParticipantMuteBodySchema = z.object({
+  muted: z.boolean().default(true),
+});
+
+export const broadcastHandoverBodySchema = z.object({
+  toIdentity: z.string().uuid(),
+});
+
 export const broadcastListQuerySchema = z.object({
   masjidId: z.string().uuid(),
   date: z.string().optional(),
-  status: z.enum(['pending', 'scheduled', 'live', 'completed', 'failed']).optional(),
+  status: z.enum(['pending', 'scheduled', 'live', 'completed', 'failed', 'cancelled']).optional(),
   prayerName: z.enum(['Fajr', 'Dhuhr', 'Asr', 'Maghrib', 'Isha', 'Juma']).optional(),
-});
\ No newline at end of file
+  broadcastType: z.enum(['prayer', 'khutbah', 'lecture', 'quran_recitation', 'announcement']).optional(),
+});
+
+const broadcastDiscoveryQuerySchema = z.object({
+  latitude: z.coerce.number().min(-90).max(90).optional(),
+  longitude: z.coerce.number().min(-180).max(180).optional(),
+  radiusKm: z.coerce.number().positive().max(200).default(25),
+  limit: z.coerce.number().int().min(1).max(100).default(50),
+});
+
+function requireCoordinatePair(query) {
+  return (query.latitude === undefined) === (query.longitude === undefined);
+}
+
+const coordinatePairMessage = {
+  message: 'latitude and longitude must be provided together',
+  path: ['latitude'],
+};
+
+export const broadcastLiveQuerySchema = broadcastDiscoveryQuerySchema.refine(
+  requireCoordinatePair,
+  coordinatePairMessage
+);
+
+export const broadcastUpcomingQuerySchema = broadcastDiscoveryQuerySchema
+  .extend({ hours: z.coerce.number().int().min(1).max(168).default(24) })
+  .refine(requireCoordinatePair, coordinatePairMessage);
+
+export const broadcastStreamQuerySchema = z.object({
+  masjidIds: z
+    .string()
+    .optional()
+    .transform((value) => (value ? value.split(',').map((id) => id.trim()).filter(Boolean) : []))
+    .pipe(z.array(z.string().uuid()).max(50)),
+});
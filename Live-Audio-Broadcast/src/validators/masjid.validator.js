@@ -2,6 +2,7 @@
  * Masjid validation schemas.
  */
 import { z } from 'zod';
+import { isPublicHttpsUrl } from '../utils/public-url.js';
 
 export const masjidIdParamsSchema = z.object({
   id: z.string().uuid(),
@@ -60,10 +61,38 @@ export const masjidUpdateBodySchema = z.object({
   contactEmail: z.string().email().max(255).optional().nullable(),
   contactPhone: z.string().max(32).optional().nullable(),
   logoUrl: z.string().url().optional().nullable(),
+  recordingEnabled: z.boolean().optional(),
+  broadcastMaxMinutes: z.number().int().min(1).max(240).optional().nullable(),
+  prayerMaxMinutes: z
+    .record(z.enum(['Fajr', 'Dhuhr', 'Asr', 'Maghrib', 'Isha', 'Juma']), z.number().int().min(1).max(240))
+    .optional(),
+  adhanFallbackEnabled: z.boolean().optional(),
+  // Fetched by LiveKit's ingress, so it must not point into our own network.
+  adhanFallbackAudioUrl: z
+    .string()
+    .url()
+    .refine(isPublicHttpsUrl, 'Must be a public https URL')
+    .optional()
+    .nullable(),
+  streamProvider: z.enum(['livekit', 'hls', 'external']).optional().nullable(),
+  externalStreamUrl: z.string().url().optional().nullable(),
+  hlsBitrateLadderKbps: z.array(z.number().int().min(8).max(256)).min(1).max(5).optional().nullable(),
+  hlsVodEnabled: z.boolean().optional(),
   isApproved: z.boolean().optional(),
   isActive: z.boolean().optional(),
 });
 
+export const masjidBroadcastStatsQuerySchema = z
+  .object({
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional(),
+    prayerName: z.enum(['Fajr', 'Dhuhr', 'Asr', 'Maghrib', 'Isha', 'Juma']).optional(),
+  })
+  .refine((value) => !value.from || !value.to || value.from < value.to, {
+    message: 'from must be before to',
+    path: ['from'],
+  });
+
 export const masjidRequestDecisionBodySchema = z.object({
   reason: z.string().max(2000).optional(),
 });
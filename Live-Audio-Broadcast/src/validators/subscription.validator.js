@@ -7,6 +7,9 @@ export const masjidIdParamsSchema = z.object({
 
 export const subscriptionPreferencesSchema = z.object({
   mutedPrayers: z.array(z.enum(['Fajr', 'Dhuhr', 'Asr', 'Maghrib', 'Isha', 'Juma'])).optional(),
+  mutedTypes: z
+    .array(z.enum(['prayer', 'khutbah', 'lecture', 'quran_recitation', 'announcement']))
+    .optional(),
   wakeOnSilent: z.boolean().optional(),
 });
 
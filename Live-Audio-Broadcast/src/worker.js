@@ -1,34 +1,215 @@
-import { and, eq } from 'drizzle-orm';
-import { broadcastQueue, createWorker, notificationQueue } from './queues/queue.factory.js';
+import { and, eq, sql } from 'drizzle-orm';
+import { broadcastQueue, createWorker } from './queues/queue.factory.js';
 import { db } from './db/client.js';
-import { broadcasts, notificationLogs, subscriptions, userDevices } from './db/schema.js';
+import {
+  broadcasts,
+  masjidAdmins,
+  masjids,
+  notificationLogs,
+  subscriptions,
+  userDevices,
+} from './db/schema.js';
 import { logger } from './config/logger.js';
 import { sendFcmData, sendVoipPush } from './services/push.js';
-import { createLivekitToken, deleteLivekitRoom, getLivekitUrl } from './services/livekit.js';
-import { getHlsPublicUrl, isHlsEnabled, startHlsRelay, stopHlsRelay } from './services/hls.js';
-import { env } from './config/env.js';
+import { deleteLivekitIngress } from './services/livekit.js';
+import { getStreamProvider } from './services/stream-providers.js';
+import { isHlsVodRequested, startIcecastHoldingSource } from './services/hls.js';
+import { startHlsRelaySupervisor } from './services/hls-relay.js';
+import { cleanupHlsOutput } from './services/hls-retention.js';
+import {
+  getRecordingApiPath,
+  isRecordingRequested,
+  startRecording,
+  stopRecording,
+} from './services/recording.js';
+import { persistListenerStats } from './services/listener-analytics.js';
+import {
+  getBroadcastNotificationText,
+  getBroadcastTypeRules,
+} from './services/broadcast-types.js';
+import {
+  canTransitionBroadcast,
+  enqueueBroadcastEndJobs,
+  getBroadcastEndsAt,
+  getBroadcastMaxMinutes,
+  transitionBroadcast,
+} from './services/broadcast-lifecycle.js';
+import { publishBroadcastUpdate } from './services/broadcast-stream.js';
+
+// Alert masjid managers that a scheduled broadcast was never started.
+async function notifyManagersOfMissedBroadcast({ broadcastId, masjidId, prayerName, scheduledAt }) {
+  const managers = await db
+    .select({
+      userId: masjidAdmins.userId,
+      deviceId: userDevices.id,
+      fcmToken: userDevices.fcmToken,
+    })
+    .from(masjidAdmins)
+    .innerJoin(userDevices, eq(userDevices.userId, masjidAdmins.userId))
+    .where(
+      and(
+        eq(masjidAdmins.masjidId, masjidId),
+        eq(masjidAdmins.role, 'manager'),
+        eq(userDevices.isActive, true)
+      )
+    );
+
+  const logs = [];
+
+  for (const record of managers) {
+    const { status, provider, error } = await sendFcmData({
+      token: record.fcmToken,
+      data: {
+        action: 'BROADCAST_MISSED',
+        broadcastId,
+        masjidId,
+        prayerName: prayerName ?? '',
+        scheduledAt: scheduledAt ?? '',
+      },
+    });
+
+    logs.push({
+      userId: record.userId,
+      deviceId: record.deviceId,
+      masjidId,
+      broadcastId,
+      status,
+      provider,
+      error,
+    });
+  }
+
+  if (logs.length) {
+    await db.insert(notificationLogs).values(logs);
+  }
+
+  logger.info({ broadcastId, masjidId, queued: logs.length }, 'Missed broadcast alerts queued');
+}
+
+function isSubscriptionMuted(record, { prayerName, broadcastType }, now) {
+  if (record.isMuted) return true;
+  if (record.muteUntil && record.muteUntil.getTime() > now) return true;
+
+  const prefs = record.preferences || {};
+  const mutedPrayers = Array.isArray(prefs.mutedPrayers) ? prefs.mutedPrayers : [];
+  const mutedTypes = Array.isArray(prefs.mutedTypes) ? prefs.mutedTypes : [];
+  if (broadcastType && mutedTypes.includes(broadcastType)) return true;
+  return Boolean(prayerName && mutedPrayers.includes(prayerName));
+}
+
+const SCHEDULE_CHANGE_ACTIONS = {
+  'broadcast-rescheduled': 'BROADCAST_RESCHEDULED',
+  'broadcast-cancelled': 'BROADCAST_CANCELLED',
+};
+
+// Tell subscribers a broadcast moved or was called off. Plain FCM data: nothing to wake for.
+async function notifySubscribersOfScheduleChange(jobName, data) {
+  const {
+    broadcastId,
+    masjidId,
+    broadcastType,
+    prayerName,
+    title,
+    scheduledAt,
+    previousScheduledAt,
+  } = data;
+
+  const subscribers = await db
+    .select({
+      userId: subscriptions.userId,
+      preferences: subscriptions.preferences,
+      isMuted: subscriptions.isMuted,
+      muteUntil: subscriptions.muteUntil,
+      deviceId: userDevices.id,
+      fcmToken: userDevices.fcmToken,
+    })
+    .from(subscriptions)
+    .innerJoin(userDevices, eq(userDevices.userId, subscriptions.userId))
+    .where(and(eq(subscriptions.masjidId, masjidId), eq(userDevices.isActive, true)));
+
+  const now = Date.now();
+  const logs = [];
+
+  for (const record of subscribers) {
+    if (isSubscriptionMuted(record, { prayerName, broadcastType }, now)) continue;
+
+    const { status, provider, error } = await sendFcmData({
+      token: record.fcmToken,
+      data: {
+        action: SCHEDULE_CHANGE_ACTIONS[jobName],
+        broadcastId,
+        masjidId,
+        broadcastType: broadcastType ?? 'prayer',
+        prayerName: prayerName ?? '',
+        title: title ?? '',
+        scheduledAt: scheduledAt ?? '',
+        previousScheduledAt: previousScheduledAt ?? '',
+      },
+    });
+
+    logs.push({
+      userId: record.userId,
+      deviceId: record.deviceId,
+      masjidId,
+      broadcastId,
+      status,
+      provider,
+      error,
+    });
+  }
+
+  if (logs.length) {
+    await db.insert(notificationLogs).values(logs);
+  }
+
+  logger.info(
+    { broadcastId, masjidId, jobName, queued: logs.length },
+    'Schedule change notifications queued'
+  );
+}
 
 // Notification worker to honor subscription preferences.
 createWorker('notifications', async (job) => {
-  const { broadcastId, masjidId, prayerName } = job.data || {};
+  const { broadcastId, masjidId } = job.data || {};
   if (!broadcastId || !masjidId) return;
 
+  if (job.name === 'broadcast-missed') {
+    await notifyManagersOfMissedBroadcast(job.data);
+    return;
+  }
+
+  if (SCHEDULE_CHANGE_ACTIONS[job.name]) {
+    await notifySubscribersOfScheduleChange(job.name, job.data);
+    return;
+  }
+
   const eventType = job.name === 'broadcast-end' ? 'end' : 'start';
 
   const [broadcastRecord] = await db
     .select({
       id: broadcasts.id,
+      title: broadcasts.title,
+      broadcastType: broadcasts.broadcastType,
+      prayerName: broadcasts.prayerName,
       streamProvider: broadcasts.streamProvider,
       streamRoomId: broadcasts.streamRoomId,
       audioUrl: broadcasts.audioUrl,
       hlsUrl: broadcasts.hlsUrl,
+      masjidSlug: masjids.slug,
+      masjidName: masjids.name,
     })
     .from(broadcasts)
+    .innerJoin(masjids, eq(masjids.id, broadcasts.masjidId))
     .where(eq(broadcasts.id, broadcastId))
     .limit(1);
 
   if (!broadcastRecord) return;
 
+  const { broadcastType, prayerName } = broadcastRecord;
+  const typeRules = getBroadcastTypeRules(broadcastType);
+  const text = getBroadcastNotificationText(broadcastRecord, eventType);
+  const streamProvider = getStreamProvider(broadcastRecord.streamProvider);
+
   const results = await db
     .select({
       userId: subscriptions.userId,
@@ -50,38 +231,47 @@ createWorker('notifications', async (job) => {
   const logs = [];
 
   for (const record of results) {
-    if (record.isMuted) continue;
-    if (record.muteUntil && record.muteUntil.getTime() > now) continue;
+    if (isSubscriptionMuted(record, { prayerName, broadcastType }, now)) continue;
 
-    const prefs = record.preferences || {};
-    const mutedPrayers = Array.isArray(prefs.mutedPrayers) ? prefs.mutedPrayers : [];
-    if (prayerName && mutedPrayers.includes(prayerName)) continue;
-
-    const roomName = broadcastRecord.streamRoomId ?? null;
-    const livekitUrl = broadcastRecord.audioUrl ?? getLivekitUrl();
-    const hlsUrl = broadcastRecord.hlsUrl ?? (isHlsEnabled() ? getHlsPublicUrl(broadcastId) : null);
-    const token =
-      eventType === 'start' && roomName && !hlsUrl
-        ? await createLivekitToken({ identity: record.userId, roomName, canPublish: false })
+    const stream =
+      eventType === 'start'
+        ? await streamProvider.getListenerCredentials(broadcastRecord, {
+            identity: record.userId,
+            platform: record.platform,
+          })
         : null;
 
     const payload = {
       action: eventType === 'start' ? 'GO_LIVE' : 'END',
       broadcastId,
       masjidId,
+      broadcastType,
       prayerName: prayerName ?? '',
-      roomName: roomName ?? '',
-      livekitUrl: livekitUrl ?? '',
-      token: token ?? '',
-      streamUrl: hlsUrl ?? '',
+      title: text.title,
+      body: text.body,
+      roomName: broadcastRecord.streamRoomId ?? '',
+      livekitUrl: stream?.livekitUrl ?? '',
+      token: stream?.token ?? '',
+      streamUrl: stream?.url ?? '',
+      streamFormat: stream?.format ?? '',
+      streamCodec: stream?.codec ?? '',
     };
 
+    // Lectures and recitations arrive as a normal push; urgent types wake the device.
+    const prefs = record.preferences || {};
+    const wake =
+      typeRules.wakeOnSilent && prefs.wakeOnSilent !== false && record.wakeOnSilentEnabled;
+
     let result = { status: 'failed', provider: null, error: 'unsupported_platform' };
 
-    if (record.platform === 'ios') {
+    if (wake && record.platform === 'ios') {
       result = await sendVoipPush({ token: record.voipToken, data: payload });
     } else {
-      result = await sendFcmData({ token: record.fcmToken, data: payload });
+      result = await sendFcmData({
+        token: record.fcmToken,
+        data: payload,
+        notification: !wake && eventType === 'start' ? text : undefined,
+      });
     }
 
     const { status, provider, error } = result;
@@ -104,138 +294,297 @@ createWorker('notifications', async (job) => {
   logger.info({ broadcastId, masjidId, queued: logs.length }, 'Notifications queued');
 });
 
+// Fields stream providers need to start or stop a broadcast's output.
+async function loadStreamBroadcast(broadcastId) {
+  const [broadcastRecord] = await db
+    .select({
+      id: broadcasts.id,
+      streamProvider: broadcasts.streamProvider,
+      streamRoomId: broadcasts.streamRoomId,
+      audioUrl: broadcasts.audioUrl,
+      hlsUrl: broadcasts.hlsUrl,
+      masjidSlug: masjids.slug,
+      masjidName: masjids.name,
+      hlsBitrateLadderKbps: masjids.hlsBitrateLadderKbps,
+      broadcastHlsVodEnabled: broadcasts.hlsVodEnabled,
+      masjidHlsVodEnabled: masjids.hlsVodEnabled,
+    })
+    .from(broadcasts)
+    .innerJoin(masjids, eq(masjids.id, broadcasts.masjidId))
+    .where(eq(broadcasts.id, broadcastId))
+    .limit(1);
+
+  if (!broadcastRecord) return null;
+  return { ...broadcastRecord, hlsVodEnabled: isHlsVodRequested(broadcastRecord) };
+}
+
 // Auto-end live broadcasts after max duration.
 createWorker('broadcasts', async (job) => {
-  if (job.name === 'hls-start') {
+  // `hls-*` names are jobs queued before stream providers existed.
+  if (job.name === 'stream-start' || job.name === 'hls-start') {
+    const { broadcastId } = job.data || {};
+    if (!broadcastId) return;
+
+    const broadcastRecord = await loadStreamBroadcast(broadcastId);
+    if (!broadcastRecord) return;
+
+    try {
+      const values = await getStreamProvider(broadcastRecord.streamProvider).start(broadcastRecord);
+      if (values) {
+        await db
+          .update(broadcasts)
+          .set({ ...values, updatedAt: new Date() })
+          .where(eq(broadcasts.id, broadcastId));
+      }
+    } catch (error) {
+      logger.error(
+        { err: error, broadcastId, streamProvider: broadcastRecord.streamProvider },
+        'Failed to start stream output'
+      );
+    }
+    return;
+  }
+
+  if (job.name === 'stream-stop' || job.name === 'hls-stop') {
+    const { broadcastId } = job.data || {};
+    if (!broadcastId) return;
+
+    const broadcastRecord = await loadStreamBroadcast(broadcastId);
+    if (!broadcastRecord) return;
+
+    const values = await getStreamProvider(broadcastRecord.streamProvider).stop(broadcastRecord);
+    if (values) {
+      await db
+        .update(broadcasts)
+        .set({ ...values, updatedAt: new Date() })
+        .where(eq(broadcasts.id, broadcastId));
+    }
+    return;
+  }
+
+  if (job.name === 'recording-start') {
     const { broadcastId, roomName } = job.data || {};
     if (!broadcastId || !roomName) return;
 
+    const [broadcastRecord] = await db
+      .select({
+        broadcastRecordingEnabled: broadcasts.recordingEnabled,
+        masjidRecordingEnabled: masjids.recordingEnabled,
+      })
+      .from(broadcasts)
+      .innerJoin(masjids, eq(masjids.id, broadcasts.masjidId))
+      .where(eq(broadcasts.id, broadcastId))
+      .limit(1);
+
+    if (!broadcastRecord || !isRecordingRequested(broadcastRecord)) return;
+
     try {
-      const relayInfo = await startHlsRelay({ broadcastId, roomName });
-      if (relayInfo?.hlsUrl) {
+      const recording = await startRecording({ broadcastId, roomName });
+      if (recording) {
         await db
           .update(broadcasts)
           .set({
-            hlsUrl: relayInfo.hlsUrl,
-            hlsEgressId: relayInfo.egressId ?? null,
-            hlsRtmpUrl: relayInfo.rtmpUrl ?? null,
+            recordingEgressId: recording.egressId,
+            recordingPath: recording.recordingPath,
             updatedAt: new Date(),
           })
           .where(eq(broadcasts.id, broadcastId));
       }
     } catch (error) {
-      logger.error({ err: error, broadcastId }, 'Failed to start HLS relay');
+      logger.error({ err: error, broadcastId }, 'Failed to start recording');
     }
     return;
   }
 
-  if (job.name === 'hls-stop') {
+  if (job.name === 'recording-stop') {
+    const { broadcastId } = job.data || {};
+    if (!broadcastId) return;
+
+    const [broadcastRecord] = await db
+      .select({
+        recordingEgressId: broadcasts.recordingEgressId,
+        recordingPath: broadcasts.recordingPath,
+        recordingUrl: broadcasts.recordingUrl,
+      })
+      .from(broadcasts)
+      .where(eq(broadcasts.id, broadcastId))
+      .limit(1);
+
+    if (!broadcastRecord?.recordingPath) return;
+
+    await stopRecording(broadcastRecord.recordingEgressId);
+    await db
+      .update(broadcasts)
+      .set({
+        recordingEgressId: null,
+        recordingUrl: broadcastRecord.recordingUrl ?? getRecordingApiPath(broadcastId),
+        updatedAt: new Date(),
+      })
+      .where(eq(broadcasts.id, broadcastId));
+    return;
+  }
+
+  if (job.name === 'ingress-stop') {
     const { broadcastId } = job.data || {};
     if (!broadcastId) return;
-    await stopHlsRelay(broadcastId);
+
+    const [broadcastRecord] = await db
+      .select({ ingressId: broadcasts.ingressId })
+      .from(broadcasts)
+      .where(eq(broadcasts.id, broadcastId))
+      .limit(1);
+
+    if (!broadcastRecord?.ingressId) return;
+
+    await deleteLivekitIngress(broadcastRecord.ingressId);
     await db
       .update(broadcasts)
-      .set({ hlsEgressId: null, updatedAt: new Date() })
+      .set({ ingressId: null, updatedAt: new Date() })
       .where(eq(broadcasts.id, broadcastId));
     return;
   }
 
+  if (job.name === 'stats-finalize') {
+    const { broadcastId } = job.data || {};
+    if (!broadcastId) return;
+    await persistListenerStats(broadcastId);
+    return;
+  }
+
+  if (job.name === 'broadcast-end-warning') {
+    const { broadcastId, endsAt } = job.data || {};
+    if (!broadcastId || !endsAt) return;
+
+    const [broadcastRecord] = await db
+      .select({
+        masjidId: broadcasts.masjidId,
+        status: broadcasts.status,
+        startedAt: broadcasts.startedAt,
+        maxDurationMinutes: broadcasts.maxDurationMinutes,
+      })
+      .from(broadcasts)
+      .where(eq(broadcasts.id, broadcastId))
+      .limit(1);
+
+    if (broadcastRecord?.status !== 'live') return;
+
+    // Skip warnings left over from before an extension.
+    const currentEndsAt = getBroadcastEndsAt(broadcastRecord);
+    if (currentEndsAt?.toISOString() !== endsAt) return;
+
+    await publishBroadcastUpdate({
+      event: 'ending_soon',
+      masjidId: broadcastRecord.masjidId,
+      broadcastId,
+      data: {
+        endsAt,
+        remainingSeconds: Math.max(0, Math.round((currentEndsAt.getTime() - Date.now()) / 1000)),
+      },
+    });
+    return;
+  }
+
   const { broadcastId, endedReason } = job.data || {};
   if (!broadcastId) return;
 
   const [broadcastRecord] = await db
-    .select({ id: broadcasts.id, status: broadcasts.status, streamRoomId: broadcasts.streamRoomId })
+    .select({
+      id: broadcasts.id,
+      status: broadcasts.status,
+      streamProvider: broadcasts.streamProvider,
+      streamRoomId: broadcasts.streamRoomId,
+      startedAt: broadcasts.startedAt,
+      maxDurationMinutes: broadcasts.maxDurationMinutes,
+    })
     .from(broadcasts)
     .where(eq(broadcasts.id, broadcastId))
     .limit(1);
 
-  if (!broadcastRecord || broadcastRecord.status !== 'live') return;
+  if (!broadcastRecord || !canTransitionBroadcast(broadcastRecord.status, 'completed')) return;
 
-  const maxMinutes = Number.isFinite(env.BROADCAST_MAX_MINUTES) && env.BROADCAST_MAX_MINUTES > 0
-    ? env.BROADCAST_MAX_MINUTES
-    : 15;
+  const endsAt = getBroadcastEndsAt(broadcastRecord);
 
-  if (broadcastRecord.startedAt) {
-    const elapsedMs = Date.now() - broadcastRecord.startedAt.getTime();
-    const targetMs = maxMinutes * 60 * 1000;
+  if (endsAt) {
+    const remainingMs = endsAt.getTime() - Date.now();
 
-    if (elapsedMs < targetMs - 1000) {
-      const remainingMs = Math.max(1000, targetMs - elapsedMs);
+    // Also covers a broadcast extended after this job was queued.
+    if (remainingMs > 1000) {
       await broadcastQueue.add(
         'broadcast-auto-end',
         { broadcastId, endedReason: endedReason ?? 'max_duration_reached' },
         { delay: remainingMs, jobId: `broadcast-auto-end-${broadcastId}-${Date.now()}` }
       );
-      logger.warn({ broadcastId, elapsedMs, remainingMs }, 'Auto-end job ran early; rescheduled');
+      logger.warn({ broadcastId, remainingMs }, 'Auto-end job ran early; rescheduled');
       return;
     }
   }
 
-  const [updatedBroadcast] = await db
-    .update(broadcasts)
-    .set({
-      status: 'completed',
-      endedAt: new Date(),
-      endedReason: endedReason ?? 'max_duration_reached',
-      updatedAt: new Date(),
-    })
-    .where(eq(broadcasts.id, broadcastId))
-    .returning({
+  const resolvedReason = endedReason ?? 'max_duration_reached';
+  const updatedBroadcast = await transitionBroadcast({
+    broadcastId,
+    to: 'completed',
+    source: 'worker',
+    reason: resolvedReason,
+    values: { endedAt: new Date(), endedReason: resolvedReason },
+    returning: {
       id: broadcasts.id,
       masjidId: broadcasts.masjidId,
-    });
-
-  if (updatedBroadcast) {
-    await notificationQueue.add('broadcast-end', {
-      broadcastId: updatedBroadcast.id,
-      masjidId: updatedBroadcast.masjidId,
-    });
-  }
+    },
+  });
 
-  await stopHlsRelay(broadcastId);
-  await deleteLivekitRoom(broadcastRecord.streamRoomId);
+  await enqueueBroadcastEndJobs(updatedBroadcast);
+  await getStreamProvider(broadcastRecord.streamProvider).deleteRoom(broadcastRecord);
 
   logger.info({ broadcastId }, 'Broadcast auto-ended');
 });
 
 async function cleanupExpiredBroadcasts() {
-  const maxMinutes = Number.isFinite(env.BROADCAST_MAX_MINUTES)
-    ? env.BROADCAST_MAX_MINUTES
-    : 15;
-  const cutoff = new Date(Date.now() - Math.max(1, maxMinutes) * 60 * 1000);
+  const defaultMinutes = Math.max(1, getBroadcastMaxMinutes());
 
   const expired = await db
     .select({
       id: broadcasts.id,
       masjidId: broadcasts.masjidId,
+      streamProvider: broadcasts.streamProvider,
       streamRoomId: broadcasts.streamRoomId,
     })
     .from(broadcasts)
-    .where(and(eq(broadcasts.status, 'live'), lt(broadcasts.startedAt, cutoff)));
+    .where(
+      and(
+        eq(broadcasts.status, 'live'),
+        sql`${broadcasts.startedAt} + make_interval(
+          mins => coalesce(${broadcasts.maxDurationMinutes}, ${defaultMinutes}::int)
+        ) < now()`
+      )
+    );
 
   if (!expired.length) return;
 
-  for (const item of expired) {
-    await db
-      .update(broadcasts)
-      .set({
-        status: 'completed',
-        endedAt: new Date(),
-        endedReason: 'max_duration_reached',
-        updatedAt: new Date(),
-      })
-      .where(eq(broadcasts.id, item.id));
-
-    await notificationQueue.add('broadcast-end', {
-      broadcastId: item.id,
-      masjidId: item.masjidId,
-    });
+  let endedCount = 0;
 
-    await stopHlsRelay(item.id);
-    await deleteLivekitRoom(item.streamRoomId);
+  for (const item of expired) {
+    try {
+      await transitionBroadcast({
+        broadcastId: item.id,
+        to: 'completed',
+        source: 'worker',
+        reason: 'max_duration_reached',
+        values: { endedAt: new Date(), endedReason: 'max_duration_reached' },
+      });
+
+      await enqueueBroadcastEndJobs(item);
+      await getStreamProvider(item.streamProvider).deleteRoom(item);
+      endedCount += 1;
+    } catch (error) {
+      // Ended between the select and the update.
+      if (error?.statusCode === 409) continue;
+      logger.error({ err: error, broadcastId: item.id }, 'Expired broadcast cleanup failed');
+    }
   }
 
-  logger.info({ count: expired.length }, 'Expired broadcasts cleaned');
+  if (endedCount) {
+    logger.info({ count: endedCount }, 'Expired broadcasts cleaned');
+  }
 }
 
 cleanupExpiredBroadcasts().catch((error) =>
@@ -246,4 +595,23 @@ setInterval(() => {
   cleanupExpiredBroadcasts().catch((error) =>
     logger.error({ err: error }, 'Expired broadcast cleanup failed')
   );
-}, 5 * 60 * 1000).unref();
\ No newline at end of file
+}, 5 * 60 * 1000).unref();
+
+async function cleanupHlsRetention() {
+  const result = await cleanupHlsOutput();
+  if (result?.removed) logger.info(result, 'Stale HLS output removed');
+}
+
+cleanupHlsRetention().catch((error) => logger.error({ err: error }, 'HLS retention cleanup failed'));
+
+setInterval(() => {
+  cleanupHlsRetention().catch((error) => logger.error({ err: error }, 'HLS retention cleanup failed'));
+}, 60 * 60 * 1000).unref();
+
+// Masjid radio mounts fall back to this between broadcasts.
+startIcecastHoldingSource();
+
+// Relay ownership heartbeats, cross-replica stop requests and the orphan reaper.
+startHlsRelaySupervisor().catch((error) =>
+  logger.error({ err: error }, 'HLS relay supervisor failed to start')
+);